@@ -2,13 +2,17 @@
 
 import appConfig from "./lib/app-config.js";
 import helpModule from "./lib/cli/help.js";
+import { reportOptionMessages } from "./lib/cli/options.js";
 import parseCliModule from "./lib/cli/parse-cli-arguments.js";
 import { runCopyCommand } from "./lib/commands/copy.js";
 import { runListCommand } from "./lib/commands/list.js";
+import { runReorganizeCommand } from "./lib/commands/reorganize.js";
+import { runSearchCommand } from "./lib/commands/search.js";
 import { runSelectCommand } from "./lib/commands/select.js";
+import { runSummarizeCommand } from "./lib/commands/summarize.js";
 import { runSyncCommand } from "./lib/commands/sync.js";
 
-const { ensureTranscriptsDirectory } = appConfig;
+const { configureApp, ensureTranscriptsDirectory } = appConfig;
 const { parseCliArguments, parseSelectOptions } = parseCliModule;
 const { printUsage, runHelpCommand } = helpModule;
 
@@ -20,13 +24,26 @@ process.stdout.on("error", (error) => {
 });
 
 async function main() {
-  ensureTranscriptsDirectory();
   const parsed = parseCliArguments(process.argv.slice(2));
+  if (!reportOptionMessages({ errors: parsed.configErrors })) {
+    throw new Error("Unable to continue. Fix the errors above and try again.");
+  }
+  configureApp(parsed.configOverrides);
   const command = parsed.command || "select";
   const options = parsed.options || {};
+  if (!options.dryRun) {
+    ensureTranscriptsDirectory();
+  }
   const skipAutoSync = Boolean(parsed.skipAutoSync);
+  // Reorganize moves files written by earlier syncs, so it must run first. Dry
+  // runs write nothing, so they plan against the transcripts already on disk.
   const shouldAutoSync =
-    !skipAutoSync && command !== "sync" && command !== "help" && !options.help;
+    !skipAutoSync &&
+    !options.dryRun &&
+    command !== "sync" &&
+    command !== "reorganize" &&
+    command !== "help" &&
+    !options.help;
 
   if (shouldAutoSync) {
     const interactiveOutput = Boolean(
@@ -35,19 +52,19 @@ async function main() {
     );
     await runSyncCommand({
       mode: "batch",
-      includeTimestamps: true,
       showFilters: [],
       stationFilters: [],
       errors: [],
       warnings: [],
       interactiveOutput,
+      skipIfLocked: true,
     });
   }
 
   switch (command) {
     case "sync":
       await runSyncCommand(options);
-      if (options && options.launchSelectorAfterSync) {
+      if (options && options.launchSelectorAfterSync && !options.watch) {
         if (!process.stdin.isTTY || !process.stdout.isTTY) {
           console.log(
             "[INFO] Sync complete. Run `transcripts` from an interactive terminal to browse."
@@ -63,12 +80,21 @@ async function main() {
     case "list":
       await runListCommand(options);
       return;
+    case "search":
+      await runSearchCommand(options);
+      return;
     case "copy":
       await runCopyCommand(options);
       return;
     case "select":
       await runSelectCommand(options);
       return;
+    case "reorganize":
+      await runReorganizeCommand(options);
+      return;
+    case "summarize":
+      await runSummarizeCommand(options);
+      return;
     case "help":
       runHelpCommand(options);
       return;
@@ -2,25 +2,216 @@ import fs from "fs";
 import os from "os";
 import path from "path";
 
+import { loadEnv } from "./env.js";
+
 const __filename = new URL(import.meta.url).pathname;
 const __dirname = path.dirname(__filename);
 const projectRoot = path.resolve(__dirname, "..");
-const transcriptsDir = path.join(projectRoot, "transcripts");
-const ttmlCacheDir = path.join(
-  os.homedir(),
-  "Library/Group Containers/243LU875E5.groups.com.apple.podcasts/Library/Cache/Assets/TTML"
-);
+const CONFIG_FILENAME = "apple-podcast-helper.config.json";
+const PODCASTS_GROUP_CONTAINER =
+  "Library/Group Containers/243LU875E5.groups.com.apple.podcasts";
+
+// Each path setting can come from a CLI flag, an environment variable or the
+// config file, in that order of precedence, before falling back to the default.
+const PATH_SETTINGS = {
+  ttmlCacheDir: {
+    envKey: "APH_TTML_CACHE_DIR",
+    defaultValue: () =>
+      path.join(
+        os.homedir(),
+        PODCASTS_GROUP_CONTAINER,
+        "Library/Cache/Assets/TTML"
+      ),
+  },
+  libraryDbPath: {
+    envKey: "APH_LIBRARY_DB",
+    defaultValue: () =>
+      path.join(
+        os.homedir(),
+        PODCASTS_GROUP_CONTAINER,
+        "Documents/MTLibrary.sqlite"
+      ),
+  },
+  transcriptsDir: {
+    envKey: "APH_TRANSCRIPTS_DIR",
+    defaultValue: () => path.join(projectRoot, "transcripts"),
+  },
+  summariesDir: {
+    envKey: "APH_SUMMARIES_DIR",
+    defaultValue: () => path.join(projectRoot, "summaries"),
+  },
+  speakersDir: {
+    envKey: "APH_SPEAKERS_DIR",
+    defaultValue: () => path.join(projectRoot, "speakers"),
+  },
+  templatesDir: {
+    envKey: "APH_TEMPLATES_DIR",
+    defaultValue: () => path.join(projectRoot, "templates"),
+  },
+};
+
+let cliOverrides = {};
+let resolvedConfig = null;
+
+function expandHomeDirectory(input) {
+  if (!input) {
+    return null;
+  }
+  if (input === "~") {
+    return os.homedir();
+  }
+  if (input.startsWith("~/")) {
+    return path.join(os.homedir(), input.slice(2));
+  }
+  return input;
+}
+
+function resolvePathSetting(value, baseDirectory) {
+  if (typeof value !== "string" || !value.trim()) {
+    return null;
+  }
+  const expanded = expandHomeDirectory(value.trim());
+  if (path.isAbsolute(expanded)) {
+    return path.normalize(expanded);
+  }
+  return path.resolve(baseDirectory, expanded);
+}
+
+function findConfigFile() {
+  const explicit = cliOverrides.configPath || process.env.APH_CONFIG || null;
+  if (explicit) {
+    const explicitPath = resolvePathSetting(explicit, process.cwd());
+    if (!fs.existsSync(explicitPath)) {
+      throw new Error(`Config file not found at ${explicitPath}`);
+    }
+    return explicitPath;
+  }
+  const candidates = [
+    path.join(projectRoot, CONFIG_FILENAME),
+    path.join(os.homedir(), ".config", "apple-podcast-helper", "config.json"),
+  ];
+  return candidates.find((candidate) => fs.existsSync(candidate)) || null;
+}
+
+function readConfigFile(configPath) {
+  if (!configPath) {
+    return {};
+  }
+  let parsed = null;
+  try {
+    parsed = JSON.parse(fs.readFileSync(configPath, "utf8"));
+  } catch (error) {
+    throw new Error(
+      `Unable to read config file ${configPath}: ${error.message}`
+    );
+  }
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new Error(`Config file ${configPath} must contain a JSON object.`);
+  }
+  return parsed;
+}
+
+function resolveAppConfig() {
+  loadEnv();
+  const configFilePath = findConfigFile();
+  const fileSettings = readConfigFile(configFilePath);
+  const configDirectory = configFilePath
+    ? path.dirname(configFilePath)
+    : projectRoot;
+  const config = { configFilePath, fileSettings };
+  Object.entries(PATH_SETTINGS).forEach(([key, setting]) => {
+    config[key] =
+      resolvePathSetting(cliOverrides[key], process.cwd()) ||
+      resolvePathSetting(process.env[setting.envKey], process.cwd()) ||
+      resolvePathSetting(fileSettings[key], configDirectory) ||
+      setting.defaultValue();
+  });
+  return config;
+}
+
+function configureApp(overrides = {}) {
+  cliOverrides = { ...(overrides || {}) };
+  resolvedConfig = null;
+  return getAppConfig();
+}
+
+function getAppConfig() {
+  if (!resolvedConfig) {
+    resolvedConfig = resolveAppConfig();
+  }
+  return resolvedConfig;
+}
+
+function getConfigSetting(key, fallback = null) {
+  const { fileSettings } = getAppConfig();
+  if (
+    fileSettings &&
+    Object.prototype.hasOwnProperty.call(fileSettings, key) &&
+    fileSettings[key] !== undefined &&
+    fileSettings[key] !== null
+  ) {
+    return fileSettings[key];
+  }
+  return fallback;
+}
+
+function getTranscriptsDir() {
+  return getAppConfig().transcriptsDir;
+}
+
+function getSummariesDir() {
+  return getAppConfig().summariesDir;
+}
+
+function getTtmlCacheDir() {
+  return getAppConfig().ttmlCacheDir;
+}
+
+function getLibraryDbPath() {
+  return getAppConfig().libraryDbPath;
+}
+
+function getSpeakersDir() {
+  return getAppConfig().speakersDir;
+}
+
+function getTemplatesDir() {
+  return getAppConfig().templatesDir;
+}
 
 function ensureTranscriptsDirectory() {
+  const transcriptsDir = getTranscriptsDir();
   if (!fs.existsSync(transcriptsDir)) {
     fs.mkdirSync(transcriptsDir, { recursive: true });
   }
 }
 
-export { ensureTranscriptsDirectory, transcriptsDir, ttmlCacheDir };
+export {
+  configureApp,
+  ensureTranscriptsDirectory,
+  expandHomeDirectory,
+  getAppConfig,
+  getConfigSetting,
+  getLibraryDbPath,
+  getSpeakersDir,
+  getSummariesDir,
+  getTemplatesDir,
+  getTranscriptsDir,
+  getTtmlCacheDir,
+  projectRoot,
+};
 
 export default {
-  transcriptsDir,
-  ttmlCacheDir,
+  configureApp,
+  getAppConfig,
+  getConfigSetting,
+  getTranscriptsDir,
+  getSummariesDir,
+  getTtmlCacheDir,
+  getLibraryDbPath,
+  getSpeakersDir,
+  getTemplatesDir,
   ensureTranscriptsDirectory,
+  expandHomeDirectory,
+  projectRoot,
 };
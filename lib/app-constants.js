@@ -1,4 +1,22 @@
 const DEFAULT_LIST_LIMIT = 20;
 const DEFAULT_SELECT_PAGE_SIZE = 20;
+// Summaries requested at once by `summarize`; hosted APIs rate limit early.
+const DEFAULT_SUMMARIZE_CONCURRENCY = 2;
+// Generated show and library pages under transcripts/ (see library-index.js).
+const INDEX_PAGE_FILENAME = "index.md";
+const TRANSCRIPT_FORMATS = ["markdown", "srt", "vtt", "json"];
+const TRANSCRIPT_FORMAT_EXTENSIONS = {
+  markdown: ".md",
+  srt: ".srt",
+  vtt: ".vtt",
+  json: ".json",
+};
 
-export { DEFAULT_LIST_LIMIT, DEFAULT_SELECT_PAGE_SIZE };
+export {
+  DEFAULT_LIST_LIMIT,
+  DEFAULT_SELECT_PAGE_SIZE,
+  DEFAULT_SUMMARIZE_CONCURRENCY,
+  INDEX_PAGE_FILENAME,
+  TRANSCRIPT_FORMAT_EXTENSIONS,
+  TRANSCRIPT_FORMATS,
+};
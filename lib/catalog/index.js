@@ -8,7 +8,7 @@ import transcriptFieldFormatters from "../transcript-field-formatters.js";
 import { parsePositiveInteger } from "../utils/numbers.js";
 import { getStatusInfo, normalizePlayState } from "../utils/play-state.js";
 
-const { transcriptsDir } = appConfig;
+const { getTranscriptsDir } = appConfig;
 const { formatSlugAsTitle } = transcriptFieldFormatters;
 const { loadTranscriptMetadata } = podcastMetadataLoader;
 // parsePositiveInteger, getStatusInfo and normalizePlayState imported directly above
@@ -31,7 +31,7 @@ function buildCatalogEntry(entry) {
     ? relativePath.split(path.sep).join("/")
     : null;
   const absolutePath = relativePath
-    ? path.join(transcriptsDir, relativePath)
+    ? path.join(getTranscriptsDir(), relativePath)
     : null;
   const listeningStatus =
     metadata && metadata.listeningStatus ? metadata.listeningStatus : null;
@@ -1,19 +1,32 @@
 function printUsage() {
   console.log("Usage:");
   console.log(
-    "  transcripts [--no-sync] [--status <state>] [--show <query>] [--station <query>] [--page-size <n>]"
+    "  transcripts [--no-sync] [--status <state>] [--show <query>] [--station <query>] [--page-size <n>] [--prompt <name>] [--refresh-summary]"
   );
   console.log(
-    "  transcripts select [--no-sync] [--status <state>] [--show <query>] [--station <query>] [--page-size <n>]"
+    "  transcripts select [--no-sync] [--status <state>] [--show <query>] [--station <query>] [--page-size <n>] [--prompt <name>] [--refresh-summary]"
   );
   console.log(
-    "  transcripts --sync [--no-timestamps] [--show <query>] [--station <query>]"
+    "  transcripts --sync [--no-timestamps] [--format <fmt>] [--watch] [--dry-run] [--concurrency <n>] [--prune [--delete]] [--show <query>] [--station <query>]"
+  );
+  console.log(
+    "  transcripts sync <input.ttml> <output.md|.srt|.vtt|.json> [--no-timestamps] [--format <fmt>]"
   );
-  console.log("  transcripts sync <input.ttml> <output.md> [--no-timestamps]");
   console.log(
     "  transcripts list [--status <state>] [--show <query>] [--station <query>] [--limit <n>] [--page <n>] [--json]"
   );
-  console.log("  transcripts copy <identifier|relativePath> [--print]");
+  console.log(
+    "  transcripts search <query> [--status <state>] [--show <query>] [--station <query>] [--limit <n>] [--json]"
+  );
+  console.log(
+    "  transcripts copy <identifier|relativePath> [--print] [--prompt <name>] [--refresh-summary]"
+  );
+  console.log("  transcripts reorganize [--dry-run]");
+  console.log(
+    "  transcripts summarize [--status <state>] [--show <query>] [--station <query>] [--concurrency <n>] [--rpm <n>] [--prompt <name>] [--refresh-summary] [--dry-run]"
+  );
+  console.log("");
+  printPathOptions();
   console.log("");
   console.log("Run transcripts help <command> for command-specific options.");
   console.log(
@@ -21,21 +34,85 @@ function printUsage() {
   );
 }
 
+function printPathOptions() {
+  console.log("Path options (any command):");
+  console.log(
+    "  --config <file>          Read settings from a JSON config file."
+  );
+  console.log(
+    "  --ttml-cache <dir>       Apple Podcasts TTML cache root (APH_TTML_CACHE_DIR)."
+  );
+  console.log(
+    "  --library-db <file>      MTLibrary.sqlite database (APH_LIBRARY_DB)."
+  );
+  console.log(
+    "  --transcripts-dir <dir>  Markdown output directory (APH_TRANSCRIPTS_DIR)."
+  );
+  console.log(
+    "  --summaries-dir <dir>    Summary output directory (APH_SUMMARIES_DIR)."
+  );
+  console.log(
+    "  --speakers-dir <dir>     Per-show speaker name files (APH_SPEAKERS_DIR)."
+  );
+  console.log(
+    "  --templates-dir <dir>    Markdown templates such as episode.md (APH_TEMPLATES_DIR)."
+  );
+}
+
 function runHelpCommand(options = {}) {
   const topic = options.topic ? options.topic.toLowerCase() : "global";
   switch (topic) {
     case "sync":
-      console.log("Usage: transcripts --sync [--no-timestamps]");
-      console.log("       transcripts sync [--no-timestamps]");
       console.log(
-        "       transcripts sync <input.ttml> <output.md> [--no-timestamps]"
+        "Usage: transcripts --sync [--no-timestamps] [--format <fmt>]"
+      );
+      console.log(
+        "       transcripts sync [--timestamps <mode>] [--front-matter] [--format <fmt>] [--watch] [--dry-run] [--concurrency <n>]"
+      );
+      console.log(
+        "       transcripts sync --prune [--delete] [--prune-missing <age>]"
+      );
+      console.log(
+        "       transcripts sync <input.ttml> <output.md|.srt|.vtt|.json> [--no-timestamps] [--format <fmt>]"
       );
       console.log("");
       console.log("Options:");
       console.log(
-        "  --no-timestamps    Omit timestamp markers in generated Markdown."
+        "  --timestamps [mode]  Where Markdown gets [HH:MM:SS] markers (config: timestamps):"
+      );
+      console.log(
+        "                     paragraph (default), interval[:seconds], speaker, headings[:minutes] or none."
+      );
+      console.log(
+        "  --no-timestamps    Omit timestamp markers in generated Markdown (same as --timestamps none)."
+      );
+      console.log(
+        "  --front-matter     Start each Markdown transcript with a YAML front matter block (config: frontMatter)."
+      );
+      console.log(
+        "  --no-front-matter  Use the plain Markdown layout even when the config enables front matter."
+      );
+      console.log(
+        "  --format <fmt>     Output format: markdown (default), srt, vtt or json."
+      );
+      console.log(
+        "  --watch            Keep running and sync new or changed transcripts as they appear."
+      );
+      console.log(
+        "  --dry-run, -n      Print every planned write, move and manifest change without touching disk."
+      );
+      console.log(
+        "  --concurrency <n>  Parse up to n transcripts in parallel (default: CPU count, max 4)."
+      );
+      console.log(
+        "  --prune            After syncing, list transcripts and summaries that no manifest entry points to."
+      );
+      console.log(
+        "  --delete           With --prune, delete the listed files."
+      );
+      console.log(
+        "  --prune-missing <age>  Also drop manifest entries whose TTML has been gone for <age> (e.g. 30d, 2w, 12h)."
       );
-      console.log("  --timestamps       Include timestamp markers (default).");
       console.log(
         "  --show <query>     Only export shows whose title matches the query (fuzzy match)."
       );
@@ -46,6 +123,12 @@ function runHelpCommand(options = {}) {
       console.log(
         "Use --sync without additional arguments to scan the TTML cache and export every transcript as Markdown."
       );
+      console.log(
+        "With --format srt, vtt or json, that file is saved next to each Markdown transcript."
+      );
+      console.log(
+        "In single file mode the format is taken from the output extension unless --format is given."
+      );
       console.log(
         "Tip: other commands trigger a sync automatically unless you pass --no-sync."
       );
@@ -72,10 +155,54 @@ function runHelpCommand(options = {}) {
       console.log(
         "  --json             Emit JSON output instead of the table view."
       );
+      console.log("");
+      console.log(
+        "SUMMARY is current when the saved summary matches the transcript, prompt"
+      );
+      console.log(
+        "and model, stale when one of them changed since, and none when none was saved."
+      );
+      return;
+    case "search":
+      console.log(
+        "Usage: transcripts search <query> [--status <state>] [--show <query>] [--station <query>] [--limit <n>] [--page <n>] [--json]"
+      );
+      console.log("");
+      console.log("Query syntax:");
+      console.log(
+        "  word word          Both words must appear (same as word AND word)."
+      );
+      console.log('  "exact phrase"     Words must appear together, in order.');
+      console.log("  a OR b             Either side may match.");
+      console.log("");
+      console.log("Options:");
+      console.log(
+        "  --status <state>   Filter by play state (played, unplayed, in-progress, all). Default: all."
+      );
+      console.log(
+        "  --show <query>     Restrict to shows whose titles fuzzy-match the query."
+      );
+      console.log(
+        "  --station <query>  Restrict to shows whose station names fuzzy-match the query."
+      );
+      console.log(
+        "  --limit <n>        Number of episodes per page (default: 20)."
+      );
+      console.log("  --page <n>         Page number to display (default: 1).");
+      console.log(
+        "  --json             Emit JSON output instead of the text view."
+      );
+      console.log(
+        "  --rebuild          Discard the search index and rebuild it from scratch."
+      );
+      console.log("");
+      console.log(
+        "The index lives next to the manifest in transcripts/ and updates itself before each search."
+      );
       return;
     case "copy":
       console.log(
-        "Usage: transcripts copy <identifier|relativePath> [--print]"
+        "Usage: transcripts copy <identifier|relativePath> [--print] [--prompt <name>] [--refresh-summary]"
       );
       console.log("");
       console.log("Arguments:");
@@ -90,11 +217,85 @@ function runHelpCommand(options = {}) {
       console.log(
         "  --print            Also print the Markdown to stdout after copying."
       );
+      console.log(
+        "  --prompt <name>    Summarize with the profile in prompts/<name>.md (config: prompt, showPrompts)."
+      );
+      console.log(
+        "  --refresh-summary  Ask for a new summary even when the saved one is current."
+      );
+      return;
+    case "reorganize":
+      console.log("Usage: transcripts reorganize [--dry-run]");
+      console.log("");
+      console.log(
+        "Moves existing transcripts, their exports and summaries to the layout set by"
+      );
+      console.log(
+        "outputPattern in the config file and updates the manifest to match."
+      );
+      console.log("");
+      console.log("Options:");
+      console.log(
+        "  --dry-run, -n      Print the planned moves without changing anything."
+      );
+      console.log("");
+      console.log(
+        "Default pattern: {show}/{played}/{show}_{date}_{slug:20} (.md is optional)."
+      );
+      console.log(
+        "Tokens: {show} {showTitle} {title} {slug} {date} {year} {month} {day} {station}"
+      );
+      console.log(
+        "        {season} {episode}, plus {played} and {status} in folder names."
+      );
+      console.log(
+        "Add :N to shorten a value, e.g. {title:40}. Sync stops until you reorganize"
+      );
+      console.log("after changing the pattern.");
+      return;
+    case "summarize":
+      console.log(
+        "Usage: transcripts summarize [--status <state>] [--show <query>] [--station <query>] [--concurrency <n>] [--rpm <n>] [--prompt <name>] [--refresh-summary] [--dry-run]"
+      );
+      console.log("");
+      console.log("Options:");
+      console.log(
+        "  --status <state>   Filter by play state (played, unplayed, in-progress, all). Default: all."
+      );
+      console.log(
+        "  --show <query>     Restrict to shows whose titles fuzzy-match the query."
+      );
+      console.log(
+        "  --station <query>  Restrict to shows whose station names fuzzy-match the query."
+      );
+      console.log(
+        "  --concurrency <n>  Summaries requested at once (config: llm.concurrency, default: 2)."
+      );
+      console.log(
+        "  --rpm <n>          Most requests sent per minute (config: llm.requestsPerMinute)."
+      );
+      console.log(
+        "  --prompt <name>    Summarize with the profile in prompts/<name>.md (config: prompt, showPrompts)."
+      );
+      console.log(
+        "  --refresh-summary  Ask for new summaries even when the saved ones are current."
+      );
+      console.log(
+        "  --dry-run, -n      List the episodes that would be summarized; skips the sync."
+      );
+      console.log("");
+      console.log(
+        "Episodes whose saved summary is current are skipped and counted as cached."
+      );
+      console.log(
+        "Each summary is saved as soon as it arrives, so after Ctrl+C the same command"
+      );
+      console.log("continues with the episodes that are left.");
       return;
     case "select":
     case "interactive":
       console.log(
-        "Usage: transcripts select [--status <state>] [--show <query>] [--station <query>] [--page-size <n>]"
+        "Usage: transcripts select [--status <state>] [--show <query>] [--station <query>] [--page-size <n>] [--prompt <name>] [--refresh-summary]"
       );
       console.log("");
       console.log("Options:");
@@ -110,6 +311,12 @@ function runHelpCommand(options = {}) {
       console.log(
         "  --page-size <n>    Number of rows per page in the selector (default: 20)."
       );
+      console.log(
+        "  --prompt <name>    Summarize with the profile in prompts/<name>.md (config: prompt, showPrompts)."
+      );
+      console.log(
+        "  --refresh-summary  Ask for a new summary even when the saved one is current."
+      );
       console.log(
         "  --no-sync          Skip the automatic sync step before launching the selector."
       );
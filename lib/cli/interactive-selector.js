@@ -2,6 +2,7 @@ import React from "react";
 
 import { DEFAULT_SELECT_PAGE_SIZE } from "../app-constants.js";
 import catalog from "../catalog/index.js";
+import { getSummaryStatus } from "../llm/summary-cache.js";
 import { parsePositiveInteger } from "../utils/numbers.js";
 import { loadInk } from "./ink-loader.js";
 import outputFormat from "./output-format.js";
@@ -87,6 +88,13 @@ function buildSelectorEntryLines({
   if (statusSummary) {
     metaParts.push(statusSummary);
   }
+  const summaryStatus =
+    entry && !entry.isShowEntry ? getSummaryStatus(entry) : null;
+  if (summaryStatus === "current") {
+    metaParts.push("Summary saved");
+  } else if (summaryStatus === "stale") {
+    metaParts.push("Summary out of date");
+  }
   if (metaParts.length === 0) {
     // If this is a show entry and we have an _entries array, show count
     if (entry && entry.isShowEntry && Array.isArray(entry._entries)) {
@@ -13,6 +13,7 @@ const LIST_COMMAND_COLUMNS = {
   date: EPISODE_LOG_COLUMNS.date,
   show: EPISODE_LOG_COLUMNS.show,
   episode: EPISODE_LOG_COLUMNS.episode,
+  summary: 7,
   location: 44,
 };
 
@@ -105,6 +106,7 @@ function buildListLogHeaderLine() {
     truncateToWidth("DATE", LIST_COMMAND_COLUMNS.date),
     truncateToWidth("SHOW", LIST_COMMAND_COLUMNS.show),
     truncateToWidth("EPISODE", LIST_COMMAND_COLUMNS.episode),
+    truncateToWidth("SUMMARY", LIST_COMMAND_COLUMNS.summary),
     truncateToWidth("LOCATION", LIST_COMMAND_COLUMNS.location),
   ];
   return `📚 │ ${headerCells.join(" │ ")}`;
@@ -140,7 +142,9 @@ function formatEpisodeLogLine({
   )} │ [${actionLabel}]${fallbackBadge}`;
 }
 
-function formatListLogLine({ index, entry }) {
+// `summaryStatus` is a label such as "current" or "stale"; see
+// formatSummaryStatus in llm/summary-cache.js.
+function formatListLogLine({ index, entry, summaryStatus = null }) {
   const status = entry.statusInfo || getStatusInfo(entry.playState);
   const displayIndex =
     typeof index === "number" ? String(index).padStart(2, " ") : "-";
@@ -164,15 +168,41 @@ function formatListLogLine({ index, entry }) {
     truncateToWidth(safeDate, LIST_COMMAND_COLUMNS.date),
     truncateToWidth(safeShow, LIST_COMMAND_COLUMNS.show),
     truncateToWidth(safeEpisode, LIST_COMMAND_COLUMNS.episode),
+    truncateToWidth(summaryStatus || "-", LIST_COMMAND_COLUMNS.summary),
     truncateToWidth(locationLabel, LIST_COMMAND_COLUMNS.location),
   ];
   return `${status.icon} │ ${cells.join(" │ ")}`;
 }
 
+function formatSearchResultLines({ index, entry, matchCount, snippets }) {
+  const status = entry.statusInfo || getStatusInfo(entry.playState);
+  const safeDate =
+    entry.pubDate && entry.pubDate !== "unknown-date"
+      ? entry.pubDate
+      : "unknown date";
+  const safeShow = entry.showTitle || "Unknown show";
+  const safeEpisode = entry.episodeTitle || "Unknown episode";
+  const displayIndex =
+    typeof index === "number" ? String(index).padStart(2, " ") : "-";
+  const matchLabel = `${matchCount} match${matchCount === 1 ? "" : "es"}`;
+  const lines = [
+    `${status.icon} ${displayIndex}. ${safeShow} - ${safeEpisode}`,
+    `     ${status.label} • ${safeDate} • ${matchLabel} • ${
+      entry.normalizedRelativePath || entry.relativePath || entry.identifier
+    }`,
+  ];
+  (Array.isArray(snippets) ? snippets : []).forEach((snippet) => {
+    const stamp = snippet.timestamp ? `[${snippet.timestamp}]` : "[--:--:--]";
+    lines.push(`     ${stamp} ${snippet.text}`);
+  });
+  return lines;
+}
+
 export {
   formatEpisodeLogLine,
   formatListeningStatusSummary,
   formatListLogLine,
+  formatSearchResultLines,
   printEpisodeLogHeader,
   printListLogHeader,
   truncateForDisplay,
@@ -182,6 +212,7 @@ export default {
   formatEpisodeLogLine,
   formatListeningStatusSummary,
   formatListLogLine,
+  formatSearchResultLines,
   printEpisodeLogHeader,
   printListLogHeader,
   truncateForDisplay,
@@ -1,13 +1,38 @@
 import {
   DEFAULT_LIST_LIMIT,
   DEFAULT_SELECT_PAGE_SIZE,
+  TRANSCRIPT_FORMATS,
 } from "../app-constants.js";
+import { parseAge } from "../output-pruner.js";
+import {
+  DEFAULT_TIMESTAMP_MODE,
+  NO_TIMESTAMPS,
+  parseTimestampMode,
+} from "../timestamp-modes.js";
 import { parsePositiveInteger } from "../utils/numbers.js";
 
-const CLI_COMMANDS = new Set(["sync", "list", "copy", "select", "help"]);
+const CLI_COMMANDS = new Set([
+  "sync",
+  "list",
+  "search",
+  "copy",
+  "select",
+  "summarize",
+  "reorganize",
+  "help",
+]);
 const COMMAND_ALIASES = {
   interactive: "select",
 };
+const CONFIG_PATH_FLAGS = {
+  "--config": "configPath",
+  "--ttml-cache": "ttmlCacheDir",
+  "--library-db": "libraryDbPath",
+  "--transcripts-dir": "transcriptsDir",
+  "--summaries-dir": "summariesDir",
+  "--speakers-dir": "speakersDir",
+  "--templates-dir": "templatesDir",
+};
 
 function parseCliArguments(argv) {
   const rawArgs = Array.isArray(argv) ? argv.slice() : [];
@@ -15,27 +40,43 @@ function parseCliArguments(argv) {
   let flaggedCommand = null;
   let syncFlagEncountered = false;
   let skipAutoSync = false;
+  const configOverrides = {};
+  const configErrors = [];
 
-  rawArgs.forEach((arg) => {
+  for (let index = 0; index < rawArgs.length; index += 1) {
+    const arg = rawArgs[index];
+    const [flag, inlineValue] = splitFlagValue(arg);
+    if (Object.prototype.hasOwnProperty.call(CONFIG_PATH_FLAGS, flag)) {
+      const value = inlineValue !== null ? inlineValue : rawArgs[index + 1];
+      if (inlineValue === null && value !== undefined) {
+        index += 1;
+      }
+      if (value === undefined || !value) {
+        configErrors.push(`${flag} requires a path`);
+        continue;
+      }
+      configOverrides[CONFIG_PATH_FLAGS[flag]] = value;
+      continue;
+    }
     if (arg === "--no-sync" || arg === "--skip-sync") {
       skipAutoSync = true;
-      return;
+      continue;
     }
     if (arg === "--sync") {
       flaggedCommand = "sync";
       syncFlagEncountered = true;
-      return;
+      continue;
     }
     if (arg === "--select") {
       flaggedCommand = flaggedCommand || "select";
-      return;
+      continue;
     }
     if (arg === "--help" || arg === "-h") {
       flaggedCommand = "help";
-      return;
+      continue;
     }
     args.push(arg);
-  });
+  }
 
   if (flaggedCommand) {
     const options = parseCommandOptions(flaggedCommand, args);
@@ -46,14 +87,28 @@ function parseCliArguments(argv) {
       command: flaggedCommand,
       options,
       skipAutoSync,
+      configOverrides,
+      configErrors,
     };
   }
 
   if (args.length === 0) {
-    return { command: "select", options: parseSelectOptions([]), skipAutoSync };
+    return {
+      command: "select",
+      options: parseSelectOptions([]),
+      skipAutoSync,
+      configOverrides,
+      configErrors,
+    };
   }
   if (args.length === 1 && (args[0] === "--help" || args[0] === "-h")) {
-    return { command: "help", options: parseHelpOptions([]), skipAutoSync };
+    return {
+      command: "help",
+      options: parseHelpOptions([]),
+      skipAutoSync,
+      configOverrides,
+      configErrors,
+    };
   }
 
   const first = args[0];
@@ -65,17 +120,27 @@ function parseCliArguments(argv) {
           command: "help",
           options: parseHelpOptions(args.slice(1)),
           skipAutoSync,
+          configOverrides,
+          configErrors,
         };
       }
       return {
         command: normalized,
         options: parseCommandOptions(normalized, args.slice(1)),
         skipAutoSync,
+        configOverrides,
+        configErrors,
       };
     }
   }
 
-  return { command: "select", options: parseSelectOptions(args), skipAutoSync };
+  return {
+    command: "select",
+    options: parseSelectOptions(args),
+    skipAutoSync,
+    configOverrides,
+    configErrors,
+  };
 }
 
 function parseCommandOptions(command, args) {
@@ -84,10 +149,16 @@ function parseCommandOptions(command, args) {
       return parseSyncOptions(args);
     case "list":
       return parseListOptions(args);
+    case "search":
+      return parseSearchOptions(args);
     case "copy":
       return parseCopyOptions(args);
     case "select":
       return parseSelectOptions(args);
+    case "summarize":
+      return parseSummarizeOptions(args);
+    case "reorganize":
+      return parseReorganizeOptions(args);
     default:
       return { help: true, errors: [`Unknown command: ${command}`] };
   }
@@ -111,10 +182,18 @@ function parseHelpOptions(args) {
 
 function parseSyncOptions(args) {
   const options = {
-    includeTimestamps: true,
+    timestamps: null,
+    frontMatter: null,
     mode: "batch",
     inputPath: null,
     outputPath: null,
+    format: null,
+    watch: false,
+    concurrency: null,
+    dryRun: false,
+    prune: false,
+    pruneDelete: false,
+    pruneMissingMs: null,
     help: false,
     showFilters: [],
     stationFilters: [],
@@ -125,12 +204,32 @@ function parseSyncOptions(args) {
   const list = Array.isArray(args) ? args : [];
   for (let index = 0; index < list.length; index += 1) {
     const rawArg = list[index];
-    if (rawArg === "--timestamps") {
-      options.includeTimestamps = true;
+    if (rawArg === "--no-timestamps") {
+      options.timestamps = NO_TIMESTAMPS;
       continue;
     }
-    if (rawArg === "--no-timestamps") {
-      options.includeTimestamps = false;
+    if (rawArg === "--front-matter") {
+      options.frontMatter = true;
+      continue;
+    }
+    if (rawArg === "--no-front-matter") {
+      options.frontMatter = false;
+      continue;
+    }
+    if (rawArg === "--watch") {
+      options.watch = true;
+      continue;
+    }
+    if (rawArg === "--dry-run" || rawArg === "-n") {
+      options.dryRun = true;
+      continue;
+    }
+    if (rawArg === "--prune") {
+      options.prune = true;
+      continue;
+    }
+    if (rawArg === "--delete") {
+      options.pruneDelete = true;
       continue;
     }
     if (rawArg === "--help" || rawArg === "-h") {
@@ -138,6 +237,27 @@ function parseSyncOptions(args) {
       continue;
     }
     const [flag, inlineValue] = splitFlagValue(rawArg);
+    if (flag === "--timestamps") {
+      // The mode is optional, so a following argument is only taken when it
+      // names one; plain `--timestamps` means a marker on every paragraph.
+      if (inlineValue === null) {
+        const nextMode = parseTimestampMode(list[index + 1]);
+        if (nextMode) {
+          index += 1;
+        }
+        options.timestamps = nextMode || DEFAULT_TIMESTAMP_MODE;
+        continue;
+      }
+      const mode = parseTimestampMode(inlineValue);
+      if (!mode) {
+        options.errors.push(
+          `Invalid --timestamps value "${inlineValue}". Use paragraph, interval[:seconds], speaker, headings[:minutes] or none.`
+        );
+        continue;
+      }
+      options.timestamps = mode;
+      continue;
+    }
     if (flag === "--show") {
       const value = inlineValue !== null ? inlineValue : list[index + 1];
       if (inlineValue === null && value !== undefined) {
@@ -162,8 +282,63 @@ function parseSyncOptions(args) {
       addFilterValues(options.stationFilters, value);
       continue;
     }
+    if (flag === "--prune-missing") {
+      const value = inlineValue !== null ? inlineValue : list[index + 1];
+      if (inlineValue === null && value !== undefined) {
+        index += 1;
+      }
+      const parsed = parseAge(value);
+      if (parsed == null) {
+        options.errors.push(
+          "--prune-missing requires an age such as 30d, 2w or 12h"
+        );
+        continue;
+      }
+      options.prune = true;
+      options.pruneMissingMs = parsed;
+      continue;
+    }
+    if (flag === "--concurrency") {
+      const value = inlineValue !== null ? inlineValue : list[index + 1];
+      if (inlineValue === null && value !== undefined) {
+        index += 1;
+      }
+      const parsed = parsePositiveInteger(value);
+      if (!parsed) {
+        options.errors.push("--concurrency requires a positive integer");
+        continue;
+      }
+      options.concurrency = parsed;
+      continue;
+    }
+    if (flag === "--format") {
+      const value = inlineValue !== null ? inlineValue : list[index + 1];
+      if (inlineValue === null && value !== undefined) {
+        index += 1;
+      }
+      const normalized = normalizeTranscriptFormat(value);
+      if (!normalized) {
+        options.errors.push(
+          value === undefined
+            ? `--format requires a value (${TRANSCRIPT_FORMATS.join(", ")})`
+            : `Unknown transcript format: ${value}`
+        );
+        continue;
+      }
+      options.format = normalized;
+      continue;
+    }
     positional.push(rawArg);
   }
+  if (options.pruneDelete && !options.prune) {
+    options.errors.push("--delete is only valid together with --prune");
+  }
+  if (options.prune && options.watch) {
+    options.errors.push("--prune cannot be combined with --watch");
+  }
+  if (options.dryRun && options.watch) {
+    options.errors.push("--dry-run cannot be combined with --watch");
+  }
   if (positional.length === 0) {
     options.mode = "batch";
     return options;
@@ -178,6 +353,15 @@ function parseSyncOptions(args) {
     options.mode = "single";
     options.inputPath = positional[0];
     options.outputPath = positional[1];
+    if (options.watch) {
+      options.errors.push("--watch cannot be combined with single file mode");
+    }
+    if (options.prune) {
+      options.errors.push("--prune cannot be combined with single file mode");
+    }
+    if (options.dryRun) {
+      options.errors.push("--dry-run cannot be combined with single file mode");
+    }
   }
   return options;
 }
@@ -296,36 +480,285 @@ function parseListOptions(args) {
   return options;
 }
 
+function parseSearchOptions(args) {
+  const options = {
+    query: "",
+    status: "all",
+    limit: DEFAULT_LIST_LIMIT,
+    page: 1,
+    format: "table",
+    rebuild: false,
+    help: false,
+    showFilters: [],
+    stationFilters: [],
+    errors: [],
+    warnings: [],
+  };
+  const queryParts = [];
+  const list = Array.isArray(args) ? args : [];
+  for (let index = 0; index < list.length; index += 1) {
+    const rawArg = list[index];
+    if (rawArg === "--help" || rawArg === "-h") {
+      options.help = true;
+      continue;
+    }
+    const [flag, inlineValue] = splitFlagValue(rawArg);
+    if (flag === "--status") {
+      const value = inlineValue !== null ? inlineValue : list[index + 1];
+      if (inlineValue === null && value !== undefined) {
+        index += 1;
+      }
+      if (value === undefined) {
+        options.errors.push(
+          "--status requires a value (played, unplayed, in-progress, all)"
+        );
+        continue;
+      }
+      const normalized = normalizeStatusFilter(value);
+      if (!normalized) {
+        options.errors.push(`Unknown status filter: ${value}`);
+        continue;
+      }
+      options.status = normalized;
+      continue;
+    }
+    if (flag === "--limit" || flag === "--page") {
+      const value = inlineValue !== null ? inlineValue : list[index + 1];
+      if (inlineValue === null && value !== undefined) {
+        index += 1;
+      }
+      if (value === undefined) {
+        options.errors.push(`${flag} requires a positive integer`);
+        continue;
+      }
+      const parsed = parsePositiveInteger(value);
+      if (parsed === null) {
+        options.errors.push(
+          `${flag} requires a positive integer (received "${value}")`
+        );
+        continue;
+      }
+      if (flag === "--page") {
+        options.page = parsed;
+      } else {
+        options.limit = parsed;
+      }
+      continue;
+    }
+    if (flag === "--json") {
+      options.format = "json";
+      continue;
+    }
+    if (flag === "--rebuild") {
+      options.rebuild = true;
+      continue;
+    }
+    if (flag === "--show") {
+      const value = inlineValue !== null ? inlineValue : list[index + 1];
+      if (inlineValue === null && value !== undefined) {
+        index += 1;
+      }
+      if (value === undefined) {
+        options.errors.push("--show requires a value");
+        continue;
+      }
+      addFilterValues(options.showFilters, value);
+      continue;
+    }
+    if (flag === "--station") {
+      const value = inlineValue !== null ? inlineValue : list[index + 1];
+      if (inlineValue === null && value !== undefined) {
+        index += 1;
+      }
+      if (value === undefined) {
+        options.errors.push("--station requires a value");
+        continue;
+      }
+      addFilterValues(options.stationFilters, value);
+      continue;
+    }
+    if (rawArg.startsWith("--")) {
+      options.warnings.push(`Unrecognized argument: ${rawArg}`);
+      continue;
+    }
+    // The shell strips quotes, so a single argument with spaces was a phrase.
+    queryParts.push(
+      /\s/.test(rawArg) && !rawArg.includes('"') ? `"${rawArg}"` : rawArg
+    );
+  }
+  options.query = queryParts.join(" ");
+  if (!options.query && !options.help) {
+    options.errors.push("search command requires a query");
+  }
+  return options;
+}
+
 function parseCopyOptions(args) {
   const options = {
     key: null,
     print: false,
+    refreshSummary: false,
+    promptProfile: null,
     help: false,
     errors: [],
     warnings: [],
   };
   const list = Array.isArray(args) ? args : [];
-  list.forEach((arg) => {
+  for (let index = 0; index < list.length; index += 1) {
+    const arg = list[index];
     if (arg === "--help" || arg === "-h") {
       options.help = true;
-      return;
+      continue;
     }
     if (arg === "--print") {
       options.print = true;
-      return;
+      continue;
+    }
+    if (arg === "--refresh-summary") {
+      options.refreshSummary = true;
+      continue;
+    }
+    const [flag, inlineValue] = splitFlagValue(arg);
+    if (flag === "--prompt") {
+      const value = inlineValue !== null ? inlineValue : list[index + 1];
+      if (inlineValue === null && value !== undefined) {
+        index += 1;
+      }
+      if (!value) {
+        options.errors.push("--prompt requires a profile name");
+        continue;
+      }
+      options.promptProfile = value;
+      continue;
     }
     if (!options.key) {
       options.key = arg;
-      return;
+      continue;
     }
     options.errors.push(`Unexpected argument: ${arg}`);
-  });
+  }
   if (!options.key && !options.help) {
     options.errors.push("copy command requires an identifier or relative path");
   }
   return options;
 }
 
+function parseSummarizeOptions(args) {
+  const options = {
+    status: "all",
+    showFilters: [],
+    stationFilters: [],
+    concurrency: null,
+    requestsPerMinute: null,
+    promptProfile: null,
+    refreshSummary: false,
+    dryRun: false,
+    help: false,
+    errors: [],
+    warnings: [],
+  };
+  const list = Array.isArray(args) ? args : [];
+  for (let index = 0; index < list.length; index += 1) {
+    const rawArg = list[index];
+    if (rawArg === "--help" || rawArg === "-h") {
+      options.help = true;
+      continue;
+    }
+    if (rawArg === "--dry-run" || rawArg === "-n") {
+      options.dryRun = true;
+      continue;
+    }
+    if (rawArg === "--refresh-summary") {
+      options.refreshSummary = true;
+      continue;
+    }
+    const [flag, inlineValue] = splitFlagValue(rawArg);
+    if (flag === "--status") {
+      const value = inlineValue !== null ? inlineValue : list[index + 1];
+      if (inlineValue === null && value !== undefined) {
+        index += 1;
+      }
+      if (value === undefined) {
+        options.errors.push(
+          "--status requires a value (played, unplayed, in-progress, all)"
+        );
+        continue;
+      }
+      const normalized = normalizeStatusFilter(value);
+      if (!normalized) {
+        options.errors.push(`Unknown status filter: ${value}`);
+        continue;
+      }
+      options.status = normalized;
+      continue;
+    }
+    if (flag === "--show" || flag === "--station") {
+      const value = inlineValue !== null ? inlineValue : list[index + 1];
+      if (inlineValue === null && value !== undefined) {
+        index += 1;
+      }
+      if (value === undefined) {
+        options.errors.push(`${flag} requires a value`);
+        continue;
+      }
+      addFilterValues(
+        flag === "--show" ? options.showFilters : options.stationFilters,
+        value
+      );
+      continue;
+    }
+    if (flag === "--concurrency" || flag === "--rpm") {
+      const value = inlineValue !== null ? inlineValue : list[index + 1];
+      if (inlineValue === null && value !== undefined) {
+        index += 1;
+      }
+      const parsed = parsePositiveInteger(value);
+      if (!parsed) {
+        options.errors.push(`${flag} requires a positive integer`);
+        continue;
+      }
+      options[flag === "--rpm" ? "requestsPerMinute" : "concurrency"] = parsed;
+      continue;
+    }
+    if (flag === "--prompt") {
+      const value = inlineValue !== null ? inlineValue : list[index + 1];
+      if (inlineValue === null && value !== undefined) {
+        index += 1;
+      }
+      if (!value) {
+        options.errors.push("--prompt requires a profile name");
+        continue;
+      }
+      options.promptProfile = value;
+      continue;
+    }
+    options.warnings.push(`Unrecognized argument: ${rawArg}`);
+  }
+  return options;
+}
+
+function parseReorganizeOptions(args) {
+  const options = {
+    dryRun: false,
+    help: false,
+    errors: [],
+    warnings: [],
+  };
+  const list = Array.isArray(args) ? args : [];
+  list.forEach((arg) => {
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+      return;
+    }
+    if (arg === "--dry-run" || arg === "-n") {
+      options.dryRun = true;
+      return;
+    }
+    options.errors.push(`Unexpected argument: ${arg}`);
+  });
+  return options;
+}
+
 function parseSelectOptions(args) {
   const options = {
     status: "unplayed",
@@ -334,6 +767,8 @@ function parseSelectOptions(args) {
     showFilters: [],
     showInteractive: false,
     stationFilters: [],
+    refreshSummary: false,
+    promptProfile: null,
     errors: [],
     warnings: [],
   };
@@ -344,6 +779,10 @@ function parseSelectOptions(args) {
       options.help = true;
       continue;
     }
+    if (rawArg === "--refresh-summary") {
+      options.refreshSummary = true;
+      continue;
+    }
     const [flag, inlineValue] = splitFlagValue(rawArg);
     if (flag === "--status") {
       const value = inlineValue !== null ? inlineValue : list[index + 1];
@@ -383,6 +822,18 @@ function parseSelectOptions(args) {
       options.pageSize = parsed;
       continue;
     }
+    if (flag === "--prompt") {
+      const value = inlineValue !== null ? inlineValue : list[index + 1];
+      if (inlineValue === null && value !== undefined) {
+        index += 1;
+      }
+      if (!value) {
+        options.errors.push("--prompt requires a profile name");
+        continue;
+      }
+      options.promptProfile = value;
+      continue;
+    }
     if (flag === "--show") {
       const maybeNext = list[index + 1];
       const value =
@@ -466,6 +917,20 @@ function normalizeStatusFilter(value) {
   return null;
 }
 
+function normalizeTranscriptFormat(value) {
+  if (!value) {
+    return null;
+  }
+  const normalized = String(value).trim().toLowerCase().replace(/^\./, "");
+  if (normalized === "md") {
+    return "markdown";
+  }
+  if (normalized === "webvtt") {
+    return "vtt";
+  }
+  return TRANSCRIPT_FORMATS.includes(normalized) ? normalized : null;
+}
+
 function splitFlagValue(argument) {
   if (!argument || typeof argument !== "string") {
     return [argument, null];
@@ -502,9 +967,10 @@ function addFilterValues(target, rawValue) {
   return target;
 }
 
-export { parseCliArguments, parseSelectOptions };
+export { normalizeTranscriptFormat, parseCliArguments, parseSelectOptions };
 
 export default {
+  normalizeTranscriptFormat,
   parseCliArguments,
   parseSelectOptions,
 };
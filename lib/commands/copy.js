@@ -6,6 +6,7 @@ import { runHelpCommand } from "../cli/help.js";
 import { reportOptionMessages } from "../cli/options.js";
 import clipboardService from "../clipboard-service.js";
 import listeningStatusStore from "../listening-status-manifest-store.js";
+import { loadPromptProfile } from "../llm/gemini-prompt.js";
 import { maybePrintGeminiSummary } from "../llm/gemini-summarizer.js";
 import { printToStdout } from "../utils/stdout.js";
 
@@ -13,7 +14,7 @@ const { loadListeningStatusManifest } = listeningStatusStore;
 const { buildCatalogEntries, findCatalogEntry } = catalog;
 const { copyFileToClipboard } = clipboardService;
 // printToStdout imported directly above
-const { transcriptsDir } = appConfig;
+const { getTranscriptsDir } = appConfig;
 // maybePrintGeminiSummary imported directly
 
 export async function runCopyCommand(options) {
@@ -27,7 +28,11 @@ export async function runCopyCommand(options) {
       "Unable to copy transcript. Resolve the errors above and retry."
     );
   }
-  const manifest = loadListeningStatusManifest(transcriptsDir);
+  // Unknown profile names fail here, before anything is copied.
+  if (safeOptions.promptProfile) {
+    loadPromptProfile(safeOptions.promptProfile);
+  }
+  const manifest = loadListeningStatusManifest(getTranscriptsDir());
   const catalogEntries = buildCatalogEntries(manifest);
   if (!catalogEntries || catalogEntries.length === 0) {
     throw new Error(
@@ -74,6 +79,8 @@ export async function runCopyCommand(options) {
     await maybePrintGeminiSummary({
       transcriptContent: content,
       entry: target,
+      refresh: Boolean(safeOptions.refreshSummary),
+      promptProfile: safeOptions.promptProfile || null,
     });
   }
 
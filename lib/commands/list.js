@@ -4,6 +4,7 @@ import { runHelpCommand } from "../cli/help.js";
 import { reportOptionMessages } from "../cli/options.js";
 import outputFormat from "../cli/output-format.js";
 import listeningStatusStore from "../listening-status-manifest-store.js";
+import { formatSummaryStatus, getSummaryStatus } from "../llm/summary-cache.js";
 
 const { loadListeningStatusManifest } = listeningStatusStore;
 const {
@@ -18,7 +19,7 @@ const {
 } = catalog;
 const { printListLogHeader, formatListLogLine } = outputFormat;
 // runHelpCommand imported directly
-const { transcriptsDir } = appConfig;
+const { getTranscriptsDir } = appConfig;
 
 export async function runListCommand(options) {
   const safeOptions = options || {};
@@ -31,7 +32,7 @@ export async function runListCommand(options) {
       "Unable to list transcripts. Fix the errors above and retry."
     );
   }
-  const manifest = loadListeningStatusManifest(transcriptsDir);
+  const manifest = loadListeningStatusManifest(getTranscriptsDir());
   ensureStationMetadataForManifest(manifest, safeOptions);
   const catalogEntries = buildCatalogEntries(manifest);
   if (!catalogEntries || catalogEntries.length === 0) {
@@ -58,7 +59,10 @@ export async function runListCommand(options) {
   const { items, page, totalPages, total, limit } = pagination;
   const format = safeOptions.format || "table";
   if (format === "json") {
-    const payload = items.map((entry) => serializeCatalogEntry(entry));
+    const payload = items.map((entry) => ({
+      ...serializeCatalogEntry(entry),
+      summaryStatus: getSummaryStatus(entry),
+    }));
     const response = {
       status: filterConfig.status || "all",
       page,
@@ -80,7 +84,13 @@ export async function runListCommand(options) {
   printListLogHeader();
   const startIndex = page > 0 ? (page - 1) * limit : 0;
   items.forEach((entry, index) => {
-    console.log(formatListLogLine({ index: startIndex + index + 1, entry }));
+    console.log(
+      formatListLogLine({
+        index: startIndex + index + 1,
+        entry,
+        summaryStatus: formatSummaryStatus(getSummaryStatus(entry)),
+      })
+    );
   });
   const summaryParts = [];
   if (total > 0) {
@@ -0,0 +1,252 @@
+import fs from "fs";
+import path from "path";
+
+import appConfig from "../app-config.js";
+import { runHelpCommand } from "../cli/help.js";
+import { reportOptionMessages } from "../cli/options.js";
+import { createFileOperations } from "../file-operations.js";
+import { writeLibraryIndexes } from "../library-index.js";
+import listeningStatusStore from "../listening-status-manifest-store.js";
+import outputLayout from "../output-layout.js";
+import { removeEmptyParents } from "../output-pruner.js";
+import { loadTranscriptMetadata } from "../podcast-metadata-loader.js";
+import { acquireSyncLock, describeLockConflict } from "../sync-lock.js";
+import { moveTranscriptSidecarFiles } from "../transcript-file-manager.js";
+
+const {
+  describeManifestChanges,
+  getManifestPath,
+  loadListeningStatusManifest,
+  saveListeningStatusManifest,
+} = listeningStatusStore;
+const {
+  DEFAULT_OUTPUT_PATTERN,
+  compareEpisodesForLayout,
+  formatOutputPath,
+  getOutputPattern,
+  parseSummaryFileName,
+  resolveEpisodeRelativeStem,
+  resolveSummaryPath,
+} = outputLayout;
+const { getSummariesDir, getTranscriptsDir } = appConfig;
+
+export async function runReorganizeCommand(options) {
+  const safeOptions = options || {};
+  if (safeOptions.help) {
+    runHelpCommand({ topic: "reorganize" });
+    return;
+  }
+  if (!reportOptionMessages(safeOptions)) {
+    throw new Error("Unable to continue. Fix the errors above and try again.");
+  }
+  const dryRun = Boolean(safeOptions.dryRun);
+  const lock = dryRun ? null : acquireSyncLock();
+  if (lock && !lock.acquired) {
+    throw new Error(describeLockConflict(lock));
+  }
+  try {
+    reorganizeOutputs({ dryRun });
+  } finally {
+    if (lock) {
+      lock.release();
+    }
+  }
+}
+
+// Summaries are found by name rather than by path because older runs may have
+// left them in a different folder than their transcript. Maps each base file
+// name to its summaries, one per prompt profile suffix.
+function indexSummaryFiles(summariesDir) {
+  const index = new Map();
+  if (!fs.existsSync(summariesDir)) {
+    return index;
+  }
+  fs.readdirSync(summariesDir, { recursive: true }).forEach((relativePath) => {
+    const filePath = path.join(summariesDir, relativePath);
+    parseSummaryFileName(path.basename(relativePath)).forEach(
+      ({ baseFileName, suffix }) => {
+        const summaries = index.get(baseFileName) || [];
+        summaries.push({ filePath, suffix });
+        index.set(baseFileName, summaries);
+      }
+    );
+  });
+  return index;
+}
+
+// A destination that only differs in case is the same file on case-insensitive
+// file systems (the macOS default), so it does not block the move.
+function isOccupied(fileOps, fromPath, toPath) {
+  return (
+    fileOps.exists(toPath) && fromPath.toLowerCase() !== toPath.toLowerCase()
+  );
+}
+
+function reorganizeOutputs({ dryRun }) {
+  const transcriptsDir = getTranscriptsDir();
+  const summariesDir = getSummariesDir();
+  const outputPattern = getOutputPattern();
+  const fileOps = createFileOperations({
+    dryRun,
+    formatPath: formatOutputPath,
+  });
+  const manifest = loadListeningStatusManifest(transcriptsDir, {
+    persistMigration: !dryRun,
+    lockHeld: !dryRun,
+  });
+  const initialManifestEntries = JSON.parse(
+    JSON.stringify(manifest.entries || {})
+  );
+  const previousPattern = manifest.outputPattern || DEFAULT_OUTPUT_PATTERN;
+  const entries = Object.values(manifest.entries || {}).filter(
+    (entry) => entry && entry.relativePath
+  );
+  // Current library metadata decides the new paths, exactly as the next sync
+  // would; entries missing from the library keep their stored metadata.
+  const metadataMap = loadTranscriptMetadata(
+    entries.map((entry) => entry.identifier)
+  );
+  const episodes = entries
+    .map((entry) => ({
+      identifier: entry.identifier,
+      entry,
+      metadata: metadataMap.get(entry.identifier) || entry.metadata || {},
+    }))
+    .sort(compareEpisodesForLayout);
+  const summaryFiles = indexSummaryFiles(summariesDir);
+  const filenameCounts = new Map();
+  const vacatedPaths = [];
+  const counts = { moved: 0, summaries: 0, unchanged: 0, skipped: 0 };
+
+  console.log(
+    `[INFO] Reorganizing ${episodes.length} transcript(s) from "${previousPattern}" to "${outputPattern}".`
+  );
+  episodes.forEach(({ entry, metadata }) => {
+    const stem = resolveEpisodeRelativeStem(metadata, outputPattern);
+    const count = filenameCounts.get(stem) || 0;
+    const suffix = count === 0 ? "" : `-${count}`;
+    filenameCounts.set(stem, count + 1);
+    const relativePath = `${stem}${suffix}.md`;
+    const baseFileName = path.posix.basename(`${stem}${suffix}`);
+    const oldBaseFileName = path.posix.basename(entry.relativePath, ".md");
+
+    if (relativePath === entry.relativePath) {
+      counts.unchanged += 1;
+      return;
+    }
+    const fromPath = path.join(
+      transcriptsDir,
+      ...entry.relativePath.split("/")
+    );
+    const toPath = path.join(transcriptsDir, ...relativePath.split("/"));
+    if (isOccupied(fileOps, fromPath, toPath)) {
+      console.warn(
+        `[WARN] Skipped moving ${formatOutputPath(
+          fromPath
+        )} because ${formatOutputPath(toPath)} already exists.`
+      );
+      counts.skipped += 1;
+      return;
+    }
+    // A missing transcript is written at its new path by the next sync.
+    if (fileOps.exists(fromPath)) {
+      fileOps.mkdir(path.dirname(toPath));
+      fileOps.rename(fromPath, toPath);
+      moveTranscriptSidecarFiles(fromPath, toPath, fileOps);
+      vacatedPaths.push({ filePath: fromPath, root: transcriptsDir });
+      if (!dryRun) {
+        console.log(
+          `[MOVE] ${formatOutputPath(fromPath)} → ${formatOutputPath(toPath)}`
+        );
+      }
+    }
+    counts.moved += 1;
+
+    (summaryFiles.get(oldBaseFileName) || []).forEach(
+      ({ filePath: summaryFrom, suffix: summarySuffix }) => {
+        const summaryTo = resolveSummaryPath(
+          summariesDir,
+          { ...metadata, baseFileName },
+          outputPattern,
+          summarySuffix
+        );
+        if (summaryFrom === summaryTo) {
+          return;
+        }
+        if (isOccupied(fileOps, summaryFrom, summaryTo)) {
+          console.warn(
+            `[WARN] Skipped moving ${formatOutputPath(
+              summaryFrom
+            )} because ${formatOutputPath(summaryTo)} already exists.`
+          );
+          return;
+        }
+        fileOps.mkdir(path.dirname(summaryTo));
+        fileOps.rename(summaryFrom, summaryTo);
+        vacatedPaths.push({ filePath: summaryFrom, root: summariesDir });
+        counts.summaries += 1;
+        if (!dryRun) {
+          console.log(
+            `[MOVE] ${formatOutputPath(summaryFrom)} → ${formatOutputPath(
+              summaryTo
+            )}`
+          );
+        }
+      }
+    );
+
+    entry.relativePath = relativePath;
+    if (entry.metadata && typeof entry.metadata === "object") {
+      entry.metadata.baseFileName = baseFileName;
+    }
+    entry.lastUpdatedAt = new Date().toISOString();
+  });
+  // Sync keeps refusing to run until every transcript has moved, so it never
+  // writes over a file that is still waiting for its turn.
+  if (counts.skipped === 0) {
+    manifest.outputPattern = outputPattern;
+  }
+  // Index pages follow their show folders; stale ones are removed here so the
+  // old folders can be cleaned up below.
+  writeLibraryIndexes({ manifest, transcriptsDir, summariesDir, fileOps });
+
+  const summaryLine = `📁 [REORGANIZE] moved=${counts.moved} | summaries=${counts.summaries} | unchanged=${counts.unchanged} | skipped=${counts.skipped}`;
+  if (dryRun) {
+    const manifestChanges = describeManifestChanges(
+      initialManifestEntries,
+      manifest.entries
+    );
+    manifestChanges.forEach((change) => {
+      console.log(`[DRY-RUN] Would ${change} in manifest`);
+    });
+    console.log(summaryLine);
+    console.log(
+      `[INFO] Dry run: ${fileOps.plannedCount} file change(s) and ${manifestChanges.length} manifest change(s) planned. Nothing was written.`
+    );
+    return;
+  }
+
+  saveListeningStatusManifest(transcriptsDir, manifest);
+  vacatedPaths.forEach(({ filePath, root }) => {
+    try {
+      removeEmptyParents(filePath, root);
+    } catch (error) {
+      // Folders that still hold other files are left alone.
+    }
+  });
+  console.log(summaryLine);
+  console.log(
+    `[INFO] Updated listening status manifest at ${getManifestPath(
+      transcriptsDir
+    )}`
+  );
+  if (counts.skipped > 0) {
+    console.log(
+      "[INFO] Some transcripts could not be moved, so sync stays paused. Resolve the conflicts above and run `transcripts reorganize` again."
+    );
+  }
+}
+
+export default {
+  runReorganizeCommand,
+};
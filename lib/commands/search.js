@@ -0,0 +1,164 @@
+import fs from "fs";
+
+import appConfig from "../app-config.js";
+import catalog from "../catalog/index.js";
+import { runHelpCommand } from "../cli/help.js";
+import { reportOptionMessages } from "../cli/options.js";
+import outputFormat from "../cli/output-format.js";
+import listeningStatusStore from "../listening-status-manifest-store.js";
+import searchIndex from "../search/index.js";
+
+const { loadListeningStatusManifest } = listeningStatusStore;
+const {
+  buildCatalogEntries,
+  buildEntryFilterConfig,
+  compareCatalogEntriesDesc,
+  describeFilterSummary,
+  ensureStationMetadataForManifest,
+  filterCatalogEntries,
+  paginateEntries,
+  serializeCatalogEntry,
+} = catalog;
+const {
+  buildSearchSnippets,
+  createEmptySearchIndex,
+  describeSearchQuery,
+  loadSearchIndex,
+  parseSearchQuery,
+  runSearchQuery,
+  saveSearchIndex,
+  updateSearchIndex,
+} = searchIndex;
+const { formatSearchResultLines } = outputFormat;
+const { getTranscriptsDir } = appConfig;
+
+export async function runSearchCommand(options) {
+  const safeOptions = options || {};
+  if (safeOptions.help) {
+    runHelpCommand({ topic: "search" });
+    return;
+  }
+  if (!reportOptionMessages(safeOptions)) {
+    throw new Error(
+      "Unable to search transcripts. Fix the errors above and retry."
+    );
+  }
+  const parsedQuery = parseSearchQuery(safeOptions.query);
+  const transcriptsDir = getTranscriptsDir();
+  const manifest = loadListeningStatusManifest(transcriptsDir);
+  ensureStationMetadataForManifest(manifest, safeOptions);
+  const catalogEntries = buildCatalogEntries(manifest);
+  if (!catalogEntries || catalogEntries.length === 0) {
+    console.log(
+      "[INFO] No transcripts found after syncing. Verify the Apple Podcasts cache is available."
+    );
+    return;
+  }
+
+  const index = safeOptions.rebuild
+    ? createEmptySearchIndex()
+    : loadSearchIndex(transcriptsDir);
+  const indexUpdate = updateSearchIndex(index, catalogEntries);
+  if (indexUpdate.changed || safeOptions.rebuild) {
+    saveSearchIndex(transcriptsDir, index);
+  }
+
+  const filterConfig = buildEntryFilterConfig(safeOptions);
+  const allowedEntries = new Map();
+  filterCatalogEntries(catalogEntries, filterConfig).forEach((entry) => {
+    if (entry.normalizedRelativePath) {
+      allowedEntries.set(entry.normalizedRelativePath, entry);
+    }
+  });
+
+  const matches = runSearchQuery(index, parsedQuery)
+    .filter((match) => allowedEntries.has(match.relativePath))
+    .map((match) => ({
+      ...match,
+      entry: allowedEntries.get(match.relativePath),
+    }))
+    .sort((a, b) => {
+      if (a.hits.length !== b.hits.length) {
+        return b.hits.length - a.hits.length;
+      }
+      return compareCatalogEntriesDesc(a.entry, b.entry);
+    });
+  const queryLabel = describeSearchQuery(parsedQuery);
+  if (matches.length === 0) {
+    const summary = describeFilterSummary(filterConfig);
+    const suffix = summary ? ` matching filters (${summary})` : "";
+    console.log(`[INFO] No transcripts mention ${queryLabel}${suffix}.`);
+    return;
+  }
+
+  const pagination = paginateEntries(
+    matches,
+    safeOptions.page,
+    safeOptions.limit
+  );
+  const { items, page, totalPages, total, limit } = pagination;
+  const results = await Promise.all(
+    items.map(async (match) => {
+      const content = await fs.promises.readFile(
+        match.entry.absolutePath,
+        "utf8"
+      );
+      return {
+        entry: match.entry,
+        matchCount: match.hits.length,
+        snippets: buildSearchSnippets(content, match.hits),
+      };
+    })
+  );
+
+  if (safeOptions.format === "json") {
+    const response = {
+      query: parsedQuery.raw,
+      page,
+      limit,
+      total,
+      totalPages,
+      count: results.length,
+      filters: {
+        status: filterConfig.status || "all",
+        show: filterConfig.showFilters,
+        station: filterConfig.stationFilters,
+      },
+      results: results.map((result) => ({
+        ...serializeCatalogEntry(result.entry),
+        matchCount: result.matchCount,
+        snippets: result.snippets,
+      })),
+    };
+    console.log(JSON.stringify(response, null, 2));
+    return;
+  }
+
+  const startIndex = page > 0 ? (page - 1) * limit : 0;
+  results.forEach((result, resultIndex) => {
+    if (resultIndex > 0) {
+      console.log("");
+    }
+    formatSearchResultLines({
+      index: startIndex + resultIndex + 1,
+      entry: result.entry,
+      matchCount: result.matchCount,
+      snippets: result.snippets,
+    }).forEach((line) => console.log(line));
+  });
+  console.log("");
+  const summaryParts = [
+    `query=${queryLabel}`,
+    `showing ${results.length} of ${total}`,
+    `page ${page}/${totalPages}`,
+  ];
+  const filterSummary = describeFilterSummary(filterConfig);
+  if (filterSummary) {
+    summaryParts.push(filterSummary);
+  }
+  console.log(`🔎 [SEARCH] ${summaryParts.join(" | ")}`);
+}
+
+export default {
+  runSearchCommand,
+};
@@ -11,6 +11,11 @@ import { createProgressIndicator } from "../cli/progress-indicator.js";
 import clipboardService from "../clipboard-service.js";
 import { getEpisodeDescriptionMarkdown } from "../episode-markdown-builder.js";
 import listeningStatusStore from "../listening-status-manifest-store.js";
+import { loadPromptProfile } from "../llm/gemini-prompt.js";
+import {
+  formatSummaryHeading,
+  hasSummaryHeading,
+} from "../llm/gemini-client.js";
 import { setLastRawSummaries } from "../llm/gemini-formatting.js";
 import {
   maybePrintGeminiSummary,
@@ -30,7 +35,7 @@ const {
   filterCatalogEntries,
 } = catalog;
 const { copyFileToClipboard } = clipboardService;
-const { transcriptsDir } = appConfig;
+const { getTranscriptsDir } = appConfig;
 
 export async function runSelectCommand(options) {
   const safeOptions = options || {};
@@ -46,7 +51,11 @@ export async function runSelectCommand(options) {
       "Unable to start interactive selection. Resolve the errors above and retry."
     );
   }
-  const manifest = loadListeningStatusManifest(transcriptsDir);
+  // Unknown profile names fail here, before anything is copied.
+  if (safeOptions.promptProfile) {
+    loadPromptProfile(safeOptions.promptProfile);
+  }
+  const manifest = loadListeningStatusManifest(getTranscriptsDir());
   ensureStationMetadataForManifest(manifest, safeOptions);
   const catalogEntries = buildCatalogEntries(manifest);
   if (!catalogEntries || catalogEntries.length === 0) {
@@ -65,6 +74,8 @@ export async function runSelectCommand(options) {
     return;
   }
 
+  const refresh = Boolean(safeOptions.refreshSummary);
+  const promptProfile = safeOptions.promptProfile || null;
   const pageSize = Math.max(
     parsePositiveInteger(safeOptions.pageSize) || DEFAULT_SELECT_PAGE_SIZE,
     1
@@ -205,6 +216,8 @@ export async function runSelectCommand(options) {
         const summary = await maybeSummarizeTranscript({
           transcriptContent: content,
           entry,
+          refresh,
+          promptProfile,
         });
         if (summary) {
           const meta = entry && entry.metadata ? entry.metadata : {};
@@ -215,9 +228,9 @@ export async function runSelectCommand(options) {
           const description = getEpisodeDescriptionMarkdown(meta) || null;
           const trimmed = summary.trim();
           let full = trimmed;
-          const hasHeader = /^\s*#\s*✨\s*Gemini summary/i.test(trimmed);
+          const hasHeader = hasSummaryHeading(trimmed);
           if (!hasHeader) {
-            let header = `# ✨ Gemini summary\n\n`;
+            let header = `${formatSummaryHeading()}\n\n`;
             if (show) header += `**Show:** ${show}\n`;
             if (episode) header += `**Episode:** ${episode}\n`;
             if (pubDate) header += `**Published:** ${pubDate}\n`;
@@ -270,6 +283,8 @@ export async function runSelectCommand(options) {
           await maybePrintGeminiSummary({
             transcriptContent: content,
             entry: first,
+            refresh,
+            promptProfile,
           });
         }
       } catch (e) {
@@ -322,7 +337,12 @@ export async function runSelectCommand(options) {
   }
 
   if (transcriptContent) {
-    await maybePrintGeminiSummary({ transcriptContent, entry: selectedEntry });
+    await maybePrintGeminiSummary({
+      transcriptContent,
+      entry: selectedEntry,
+      refresh,
+      promptProfile,
+    });
   }
 
   if (shouldPrintFallback && transcriptContent) {
@@ -0,0 +1,278 @@
+import fs from "fs";
+
+import appConfig from "../app-config.js";
+import { DEFAULT_SUMMARIZE_CONCURRENCY } from "../app-constants.js";
+import catalog from "../catalog/index.js";
+import { runHelpCommand } from "../cli/help.js";
+import { reportOptionMessages } from "../cli/options.js";
+import { createProgressIndicator } from "../cli/progress-indicator.js";
+import listeningStatusStore from "../listening-status-manifest-store.js";
+import {
+  canRequestSummary,
+  describeGeminiError,
+  readCachedSummary,
+  runGeminiRequest,
+} from "../llm/gemini-client.js";
+import { loadPromptProfile } from "../llm/gemini-prompt.js";
+import { getLlmBatchLimits, getLlmProvider } from "../llm/llm-provider.js";
+import { createRateLimiter } from "../utils/rate-limiter.js";
+
+const { loadListeningStatusManifest } = listeningStatusStore;
+const {
+  buildCatalogEntries,
+  buildEntryFilterConfig,
+  compareCatalogEntriesDesc,
+  describeFilterSummary,
+  ensureStationMetadataForManifest,
+  filterCatalogEntries,
+} = catalog;
+const { getTranscriptsDir } = appConfig;
+
+function describeEntry(entry) {
+  return (
+    entry.normalizedRelativePath ||
+    entry.relativePath ||
+    entry.identifier ||
+    "unknown episode"
+  );
+}
+
+// Sorts the matching episodes into those whose current summary is already
+// saved and those that still need one. Finished summaries are saved as soon as
+// they arrive, so an interrupted run picks up where it stopped.
+function planSummaries(entries, { refresh, promptProfile }) {
+  const plan = { pending: [], cached: [], failed: [] };
+  entries.forEach((entry) => {
+    const location = describeEntry(entry);
+    if (!entry.absolutePath || !entry.hasMarkdown) {
+      plan.failed.push({ entry, location, reason: "Transcript file missing." });
+      return;
+    }
+    if (!refresh) {
+      const content = fs.readFileSync(entry.absolutePath, "utf8");
+      if (readCachedSummary(entry, content, promptProfile)) {
+        plan.cached.push({ entry, location });
+        return;
+      }
+    }
+    plan.pending.push({ entry, location });
+  });
+  return plan;
+}
+
+export async function runSummarizeCommand(options) {
+  const safeOptions = options || {};
+  if (safeOptions.help) {
+    runHelpCommand({ topic: "summarize" });
+    return;
+  }
+  if (!reportOptionMessages(safeOptions)) {
+    throw new Error(
+      "Unable to summarize transcripts. Fix the errors above and retry."
+    );
+  }
+  const promptProfile = safeOptions.promptProfile || null;
+  // Unknown profile names fail here, before any request is sent.
+  if (promptProfile) {
+    loadPromptProfile(promptProfile);
+  }
+  const limits = getLlmBatchLimits();
+  const concurrency =
+    safeOptions.concurrency ||
+    limits.concurrency ||
+    DEFAULT_SUMMARIZE_CONCURRENCY;
+  const requestsPerMinute =
+    safeOptions.requestsPerMinute || limits.requestsPerMinute || null;
+
+  const manifest = loadListeningStatusManifest(getTranscriptsDir(), {
+    persistMigration: !safeOptions.dryRun,
+  });
+  ensureStationMetadataForManifest(manifest, safeOptions);
+  const catalogEntries = buildCatalogEntries(manifest);
+  if (!catalogEntries || catalogEntries.length === 0) {
+    console.log(
+      "[INFO] No transcripts found after syncing. Verify the Apple Podcasts cache is available."
+    );
+    return;
+  }
+  const sortedEntries = catalogEntries.slice().sort(compareCatalogEntriesDesc);
+  const filterConfig = buildEntryFilterConfig(safeOptions);
+  const filteredEntries = filterCatalogEntries(sortedEntries, filterConfig);
+  if (filteredEntries.length === 0) {
+    const summary = describeFilterSummary(filterConfig);
+    const suffix = summary ? ` matching filters (${summary})` : "";
+    console.log(`[INFO] No transcripts found${suffix}.`);
+    return;
+  }
+
+  const plan = planSummaries(filteredEntries, {
+    refresh: Boolean(safeOptions.refreshSummary),
+    promptProfile,
+  });
+  const provider = getLlmProvider();
+  console.log(
+    `[INFO] ${filteredEntries.length} episode(s) match: ${plan.pending.length} to summarize with ${provider.label}, ${plan.cached.length} already summarized.`
+  );
+  if (safeOptions.dryRun) {
+    plan.pending.forEach(({ location }) => {
+      console.log(`[DRY-RUN] Would summarize ${location}`);
+    });
+    printReport({ summarized: [], ...plan, pending: [] });
+    return;
+  }
+  if (
+    plan.pending.length > 0 &&
+    !canRequestSummary(plan.pending[0].entry, promptProfile)
+  ) {
+    throw new Error(
+      `${provider.label} summaries are not available. Check the prompt file and the llm settings (Gemini needs GEMINI_API_KEY).`
+    );
+  }
+
+  const outcome = await summarizePending(plan.pending, {
+    concurrency,
+    rateLimiter: createRateLimiter(requestsPerMinute),
+    refresh: Boolean(safeOptions.refreshSummary),
+    promptProfile,
+  });
+  printReport({
+    summarized: outcome.summarized,
+    cached: plan.cached,
+    failed: [...plan.failed, ...outcome.failed],
+    pending: outcome.remaining,
+    logged: outcome.logged,
+  });
+}
+
+// Runs up to `concurrency` summaries at a time. Ctrl+C cancels the requests in
+// flight and stops the run; the episodes it did not finish are returned as
+// `remaining`. Without a terminal the progress bar stays silent, so each
+// finished episode is logged as it completes for unattended runs.
+async function summarizePending(
+  pending,
+  { concurrency, rateLimiter, refresh, promptProfile }
+) {
+  const controller = new AbortController();
+  const interrupt = () => controller.abort();
+  process.on("SIGINT", interrupt);
+  process.on("SIGTERM", interrupt);
+
+  const progress = createProgressIndicator({
+    label: "Summarizing episodes",
+    total: pending.length,
+  });
+  const logEachEpisode = !(process.stderr && process.stderr.isTTY);
+  const summarized = [];
+  const failed = [];
+  const finished = new Set();
+  const logged = new Set();
+  let nextIndex = 0;
+
+  const recordFailure = (item, reason) => {
+    failed.push({ ...item, reason });
+    if (logEachEpisode) {
+      logged.add(item.entry);
+      console.warn(
+        `[FAIL] ${finished.size + 1}/${pending.length} ${
+          item.location
+        }: ${reason}`
+      );
+    }
+  };
+
+  const runWorker = async () => {
+    while (!controller.signal.aborted && nextIndex < pending.length) {
+      const item = pending[nextIndex];
+      nextIndex += 1;
+      try {
+        const transcriptContent = await fs.promises.readFile(
+          item.entry.absolutePath,
+          "utf8"
+        );
+        const summary = await runGeminiRequest({
+          transcriptContent,
+          entry: item.entry,
+          refresh,
+          promptProfile,
+          signal: controller.signal,
+          rateLimiter,
+          requireSaved: true,
+        });
+        if (controller.signal.aborted) {
+          return;
+        }
+        if (summary) {
+          summarized.push(item);
+          if (logEachEpisode) {
+            logged.add(item.entry);
+            console.log(
+              `[DONE] ${finished.size + 1}/${pending.length} ${item.location}`
+            );
+          }
+        } else {
+          recordFailure(item, "The response did not contain a summary.");
+        }
+      } catch (error) {
+        if (controller.signal.aborted) {
+          return;
+        }
+        recordFailure(item, describeGeminiError(error));
+      }
+      finished.add(item);
+      progress.update({ processed: finished.size, detail: item.location });
+    }
+  };
+
+  progress.start();
+  try {
+    await Promise.all(
+      Array.from({ length: Math.min(concurrency, pending.length) }, runWorker)
+    );
+  } finally {
+    process.off("SIGINT", interrupt);
+    process.off("SIGTERM", interrupt);
+  }
+  if (controller.signal.aborted) {
+    progress.fail(`Stopped after ${finished.size} of ${pending.length}`);
+  } else if (pending.length > 0) {
+    progress.done(`Finished ${finished.size} episode(s)`);
+  } else {
+    progress.stop();
+  }
+  return {
+    summarized,
+    failed,
+    logged,
+    remaining: pending.filter((item) => !finished.has(item)),
+  };
+}
+
+// Lists the outcome of every episode that was not already logged while the
+// run was going (`logged` holds their entries), then the totals.
+function printReport({ summarized, cached, failed, pending, logged = null }) {
+  const isNew = ({ entry }) => !logged || !logged.has(entry);
+  summarized.filter(isNew).forEach(({ location }) => {
+    console.log(`[DONE] ${location}`);
+  });
+  failed.filter(isNew).forEach(({ location, reason }) => {
+    console.warn(`[FAIL] ${location}: ${reason}`);
+  });
+  const parts = [
+    `summarized=${summarized.length}`,
+    `cached=${cached.length}`,
+    `failed=${failed.length}`,
+  ];
+  if (pending.length > 0) {
+    parts.push(`remaining=${pending.length}`);
+  }
+  console.log(`✨ [SUMMARIZE] ${parts.join(" | ")}`);
+  if (pending.length > 0) {
+    console.log(
+      "[INFO] Interrupted. Run the same command again to continue; finished summaries are kept."
+    );
+  }
+}
+
+export default {
+  runSummarizeCommand,
+};
@@ -1,27 +1,39 @@
 import fs from "fs";
+import os from "os";
 import path from "path";
 
 import appConfig from "../app-config.js";
+import { TRANSCRIPT_FORMAT_EXTENSIONS } from "../app-constants.js";
+import { loadEpisodeTemplate } from "../episode-template.js";
+import { createFileOperations } from "../file-operations.js";
 import catalog from "../catalog/index.js";
 import { runHelpCommand } from "../cli/help.js";
 import { reportOptionMessages } from "../cli/options.js";
 import outputFormat from "../cli/output-format.js";
 import { createProgressIndicator } from "../cli/progress-indicator.js";
+import { writeLibraryIndexes } from "../library-index.js";
 import listeningStatusStore from "../listening-status-manifest-store.js";
+import outputLayout from "../output-layout.js";
+import outputPruner from "../output-pruner.js";
 import podcastMetadataLoader from "../podcast-metadata-loader.js";
+import speakerNamesModule from "../speaker-names.js";
+import { acquireSyncLock, describeLockConflict } from "../sync-lock.js";
+import timestampModes from "../timestamp-modes.js";
+import syncWatcher from "../sync-watcher.js";
 import transcriptFieldFormatters from "../transcript-field-formatters.js";
 import transcriptFileManager from "../transcript-file-manager.js";
 import ttmlParser from "../ttml-transcript-parser.js";
+import { createWorkerPool } from "../utils/worker-pool.js";
 
-const { extractTranscript } = ttmlParser;
+const { extractTranscriptOutputs } = ttmlParser;
 const { slugify, truncateSlug, formatSlugAsTitle } = transcriptFieldFormatters;
 const {
   findTTMLFiles,
   convertExistingTxtTranscripts,
   moveMarkdownTranscriptsIntoShowDirectories,
-  ensureEpisodeOutputDirectory,
   resolveFallbackContext,
   updateExistingMarkdownFiles,
+  updateExistingSummaryFiles,
 } = transcriptFileManager;
 const { loadTranscriptMetadata, buildMetadataFilenameIndex } =
   podcastMetadataLoader;
@@ -31,6 +43,7 @@ const {
   upsertManifestEntry,
   mergeManifestMetadataIntoMap,
   getManifestPath,
+  describeManifestChanges,
 } = listeningStatusStore;
 const {
   buildEntryFilterConfig,
@@ -38,9 +51,49 @@ const {
   metadataMatchesFilters,
 } = catalog;
 const { printEpisodeLogHeader, formatEpisodeLogLine } = outputFormat;
+const {
+  DEFAULT_OUTPUT_PATTERN,
+  compareEpisodesForLayout,
+  formatOutputPath,
+  getEpisodeBaseFileName,
+  getOutputPattern,
+  isDefaultOutputPattern,
+  resolveEpisodeRelativeStem,
+} = outputLayout;
+const {
+  resolveSpeakerNames,
+  buildSpeakerNamesSignature,
+  clearSpeakerNamesCache,
+} = speakerNamesModule;
+const { watchSyncSources } = syncWatcher;
+const {
+  DEFAULT_TIMESTAMP_MODE,
+  NO_TIMESTAMPS,
+  formatTimestampMode,
+  resolveTimestampMode,
+} = timestampModes;
+const {
+  findExpiredManifestEntries,
+  findOrphanedOutputs,
+  markMissingManifestEntries,
+  removeOrphanedOutputs,
+} = outputPruner;
 // createProgressIndicator imported directly
 // runHelpCommand imported directly
-const { transcriptsDir, ttmlCacheDir } = appConfig;
+const {
+  getConfigSetting,
+  getTranscriptsDir,
+  getSummariesDir,
+  getTtmlCacheDir,
+  getLibraryDbPath,
+  getSpeakersDir,
+} = appConfig;
+
+const MAX_DEFAULT_CONCURRENCY = 4;
+const RENDER_WORKER_URL = new URL(
+  "../transcript-render-worker.js",
+  import.meta.url
+);
 
 export async function runSyncCommand(options) {
   const safeOptions = options || {};
@@ -51,22 +104,63 @@ export async function runSyncCommand(options) {
   if (!reportOptionMessages(safeOptions)) {
     throw new Error("Unable to continue. Fix the errors above and try again.");
   }
-  const includeTimestamps = safeOptions.includeTimestamps !== false;
+  const timestampMode = resolveTimestampMode(
+    safeOptions.timestamps ||
+      (safeOptions.includeTimestamps === false ? NO_TIMESTAMPS : null)
+  );
+  const frontMatter =
+    typeof safeOptions.frontMatter === "boolean"
+      ? safeOptions.frontMatter
+      : getConfigSetting("frontMatter", false) === true;
   if (safeOptions.mode === "single") {
     await handleSingleFile({
-      includeTimestamps,
+      timestampMode,
+      frontMatter,
       inputPath: safeOptions.inputPath,
       outputPath: safeOptions.outputPath,
+      format: safeOptions.format || null,
     });
     return;
   }
   if (safeOptions.mode === "batch") {
-    await handleBatch({
-      includeTimestamps,
+    const batchOptions = {
+      timestampMode,
+      frontMatter,
+      format: safeOptions.format || "markdown",
       showFilters: safeOptions.showFilters || [],
       stationFilters: safeOptions.stationFilters || [],
       interactiveOutput: Boolean(safeOptions.interactiveOutput),
-    });
+      concurrency: safeOptions.concurrency || getDefaultConcurrency(),
+      dryRun: Boolean(safeOptions.dryRun),
+    };
+    if (safeOptions.watch) {
+      await handleWatch(batchOptions);
+      return;
+    }
+    // Dry runs only read, so they never wait on or block another sync.
+    const lock = batchOptions.dryRun ? null : acquireSyncLock();
+    if (lock && !lock.acquired) {
+      if (safeOptions.skipIfLocked) {
+        console.log(
+          `[INFO] Skipping sync because another instance is syncing (${lock.owner}).`
+        );
+        return;
+      }
+      throw new Error(describeLockConflict(lock));
+    }
+    try {
+      await handleBatch(batchOptions);
+      if (safeOptions.prune) {
+        handlePrune({
+          deleteFiles: Boolean(safeOptions.pruneDelete) && !safeOptions.dryRun,
+          missingMaxAgeMs: safeOptions.pruneMissingMs,
+        });
+      }
+    } finally {
+      if (lock) {
+        lock.release();
+      }
+    }
     return;
   }
   throw new Error(
@@ -74,39 +168,221 @@ export async function runSyncCommand(options) {
   );
 }
 
-async function handleSingleFile({ includeTimestamps, inputPath, outputPath }) {
+function inferFormatFromPath(filePath) {
+  const extension = path.extname(filePath || "").toLowerCase();
+  const match = Object.entries(TRANSCRIPT_FORMAT_EXTENSIONS).find(
+    ([, formatExtension]) => formatExtension === extension
+  );
+  return match ? match[0] : "markdown";
+}
+
+function getSidecarPath(markdownPath, format) {
+  const extension = TRANSCRIPT_FORMAT_EXTENSIONS[format];
+  return markdownPath.replace(/\.md$/i, extension);
+}
+
+async function handleSingleFile({
+  timestampMode,
+  frontMatter = false,
+  inputPath,
+  outputPath,
+  format = null,
+}) {
   if (!inputPath || !outputPath) {
     throw new Error("Single file mode requires input and output paths.");
   }
+  const outputFormat = format || inferFormatFromPath(outputPath);
   const data = await fs.promises.readFile(inputPath, "utf8");
   const baseName = path.basename(outputPath, path.extname(outputPath));
   const parentDirSlug = path.basename(path.dirname(outputPath));
   const fallbackContext = resolveFallbackContext(baseName, parentDirSlug);
-  const markdown = await extractTranscript(data, {
-    includeTimestamps,
+  const outputs = await extractTranscriptOutputs(data, {
+    formats: [outputFormat],
+    timestamps: timestampMode,
+    frontMatter,
+    template: loadEpisodeTemplate(),
     fallbackContext,
+    speakerNames: resolveSpeakerNames({ showSlug: fallbackContext.showSlug }),
   });
-  await fs.promises.writeFile(outputPath, markdown);
+  await fs.promises.writeFile(outputPath, outputs[outputFormat]);
   console.log("✅ Transcript saved");
 }
 
+async function runBatchWithLock(batchOptions) {
+  const lock = acquireSyncLock();
+  if (!lock.acquired) {
+    return { ran: false, owner: lock.owner };
+  }
+  try {
+    await handleBatch(batchOptions);
+  } finally {
+    lock.release();
+  }
+  return { ran: true };
+}
+
+async function handleWatch(batchOptions) {
+  const watchBatchOptions = { ...batchOptions, interactiveOutput: false };
+  // The lock is only held while a batch runs so other commands can still
+  // auto-sync between changes.
+  const initialRun = await runBatchWithLock(watchBatchOptions);
+  if (!initialRun.ran) {
+    throw new Error(describeLockConflict(initialRun));
+  }
+
+  const ttmlCacheDir = getTtmlCacheDir();
+  console.log(
+    `[INFO] Watching ${ttmlCacheDir} and the podcast library for changes. Press Ctrl+C to stop.`
+  );
+  await new Promise((resolve) => {
+    const watcher = watchSyncSources({
+      ttmlCacheDir,
+      libraryDbPath: getLibraryDbPath(),
+      speakersDir: getSpeakersDir(),
+      onChange: async ({ identifiers, libraryChanged }) => {
+        // Names files may have changed since the last batch read them.
+        clearSpeakerNamesCache();
+        const outcome = await runBatchWithLock({
+          ...watchBatchOptions,
+          onlyIdentifiers: identifiers,
+          prepareExisting: libraryChanged,
+          quietWhenUnchanged: true,
+        });
+        if (!outcome.ran) {
+          console.log(
+            `[INFO] Another instance is syncing (${outcome.owner}). Retrying shortly.`
+          );
+          return { retry: true };
+        }
+        return null;
+      },
+      onError: (error) => {
+        console.error(`[ERROR] Watch sync failed: ${error.message}`);
+      },
+    });
+    const stop = () => {
+      watcher.close();
+      process.off("SIGINT", stop);
+      process.off("SIGTERM", stop);
+      console.log("\n[INFO] Stopped watching.");
+      resolve();
+    };
+    process.on("SIGINT", stop);
+    process.on("SIGTERM", stop);
+  });
+}
+
+function getDefaultConcurrency() {
+  const available =
+    typeof os.availableParallelism === "function"
+      ? os.availableParallelism()
+      : os.cpus().length;
+  return Math.max(Math.min(available, MAX_DEFAULT_CONCURRENCY), 1);
+}
+
+// With a concurrency of 1 transcripts are parsed on the main thread, which
+// avoids the worker start-up cost for small or incremental syncs.
+function createTranscriptRenderer(concurrency) {
+  if (!concurrency || concurrency <= 1) {
+    return {
+      size: 1,
+      async render(ttmlPath, options) {
+        const data = await fs.promises.readFile(ttmlPath, "utf8");
+        return extractTranscriptOutputs(data, options);
+      },
+      async close() {},
+    };
+  }
+  const pool = createWorkerPool(RENDER_WORKER_URL, concurrency);
+  return {
+    size: pool.size,
+    render: (ttmlPath, options) => pool.run({ ttmlPath, options }),
+    close: () => pool.close(),
+  };
+}
+
+function handlePrune({ deleteFiles = false, missingMaxAgeMs = null }) {
+  const transcriptsDir = getTranscriptsDir();
+  const summariesDir = getSummariesDir();
+  const manifest = loadListeningStatusManifest(transcriptsDir);
+  const expiredEntries = findExpiredManifestEntries(manifest, missingMaxAgeMs);
+  const expiredIdentifiers = new Set(
+    expiredEntries.map((entry) => entry.identifier)
+  );
+  const orphans = findOrphanedOutputs({
+    manifest,
+    transcriptsDir,
+    summariesDir,
+    excludeIdentifiers: expiredIdentifiers,
+  });
+  if (orphans.length === 0 && expiredEntries.length === 0) {
+    console.log("[INFO] Prune: no orphaned transcripts or summaries found.");
+    return;
+  }
+
+  const verb = deleteFiles ? "Deleted" : "Would delete";
+  expiredEntries.forEach((entry) => {
+    console.log(
+      `[PRUNE] ${deleteFiles ? "Dropped" : "Would drop"} manifest entry ${
+        entry.identifier
+      } (missing from cache since ${entry.missingSince})`
+    );
+  });
+  orphans.forEach((orphan) => {
+    const root = orphan.kind === "summary" ? "summaries" : "transcripts";
+    console.log(`[PRUNE] ${verb} ${root}/${orphan.relativePath}`);
+  });
+
+  if (!deleteFiles) {
+    console.log(
+      `[INFO] Prune found ${orphans.length} orphaned file(s) and ${
+        expiredEntries.length
+      } expired manifest entr${
+        expiredEntries.length === 1 ? "y" : "ies"
+      }. Re-run with --prune --delete to remove them.`
+    );
+    return;
+  }
+  if (expiredEntries.length > 0) {
+    expiredIdentifiers.forEach((identifier) => {
+      delete manifest.entries[identifier];
+    });
+    saveListeningStatusManifest(transcriptsDir, manifest);
+  }
+  const removed = removeOrphanedOutputs(orphans);
+  console.log(
+    `🧹 [PRUNE] removed=${removed} | dropped=${expiredEntries.length}`
+  );
+}
+
 function ensureTtmlCachePresent() {
+  const ttmlCacheDir = getTtmlCacheDir();
   if (!fs.existsSync(ttmlCacheDir)) {
     console.error(`TTML directory not found at ${ttmlCacheDir}`);
     process.exit(1);
   }
 }
 
-function prepareExistingMarkdown(metadataFilenameIndex, manifest) {
-  convertExistingTxtTranscripts(transcriptsDir);
-  moveMarkdownTranscriptsIntoShowDirectories(transcriptsDir);
+function prepareExistingMarkdown(
+  metadataFilenameIndex,
+  manifest,
+  fileOps,
+  markdownOptions
+) {
+  const transcriptsDir = getTranscriptsDir();
+  convertExistingTxtTranscripts(transcriptsDir, fileOps);
+  // Flat files from before show folders only exist in the default layout.
+  if (isDefaultOutputPattern()) {
+    moveMarkdownTranscriptsIntoShowDirectories(transcriptsDir, fileOps);
+  }
   // also ensure summaries are organized like transcripts
   try {
-    const summariesRoot = path.join(path.dirname(transcriptsDir), "summaries");
+    const summariesRoot = getSummariesDir();
     updateExistingSummaryFiles(
       summariesRoot,
       metadataFilenameIndex,
-      summariesRoot
+      summariesRoot,
+      fileOps
     );
   } catch (e) {
     // best-effort, don't fail sync
@@ -115,32 +391,78 @@ function prepareExistingMarkdown(metadataFilenameIndex, manifest) {
     transcriptsDir,
     metadataFilenameIndex,
     manifest,
-    transcriptsDir
+    transcriptsDir,
+    fileOps,
+    markdownOptions
   );
 }
 
-function resolveOutputPath({
-  filenameCounts,
-  showSlug,
-  dateSegment,
-  episodeSlug,
-  listeningStatus,
-}) {
-  const baseName = `${showSlug}_${dateSegment}_${episodeSlug}`;
-  const playState = listeningStatus ? listeningStatus.playState : null;
-  const isPlayed = playState === "played";
-  const countScope = isPlayed ? `${showSlug}/played` : showSlug;
-  const countKey = `${countScope}/${baseName}`;
-  const count = filenameCounts.get(countKey) || 0;
-  const suffix = count === 0 ? "" : `-${count}`;
-  filenameCounts.set(countKey, count + 1);
-
-  const outputDir = ensureEpisodeOutputDirectory(
-    transcriptsDir,
-    showSlug,
-    playState
+// Episodes already in the manifest keep the numbered name they were written
+// under, so a change in processing order never swaps `-N` suffixes (and the
+// summaries saved under them) between episodes. Only new episodes, or ones
+// whose base name changed, get the next free suffix.
+function createOutputPathAllocator(manifest) {
+  const reserved = new Map();
+  const previous = new Map();
+  Object.values((manifest && manifest.entries) || {}).forEach((entry) => {
+    if (entry && entry.identifier && entry.relativePath) {
+      reserved.set(entry.relativePath, entry.identifier);
+      previous.set(entry.identifier, entry.relativePath);
+    }
+  });
+  return { reserved, previous, claimed: new Set() };
+}
+
+function isNumberedVariant(relativePath, stem) {
+  if (relativePath === `${stem}.md`) {
+    return true;
+  }
+  return (
+    relativePath.startsWith(`${stem}-`) &&
+    /^-\d+\.md$/.test(relativePath.slice(stem.length))
   );
-  return path.join(outputDir, `${baseName}${suffix}.md`);
+}
+
+function resolveOutputPath({ outputPaths, identifier, metadata, fileOps }) {
+  const stem = resolveEpisodeRelativeStem(metadata);
+  const { reserved, previous, claimed } = outputPaths;
+  const isFree = (candidate) =>
+    !claimed.has(candidate) &&
+    (!reserved.has(candidate) || reserved.get(candidate) === identifier);
+  const previousPath = previous.get(identifier);
+  let relativePath =
+    previousPath &&
+    isNumberedVariant(previousPath, stem) &&
+    isFree(previousPath)
+      ? previousPath
+      : null;
+  for (let count = 0; !relativePath; count += 1) {
+    const candidate = `${stem}${count === 0 ? "" : `-${count}`}.md`;
+    if (isFree(candidate)) {
+      relativePath = candidate;
+    }
+  }
+  claimed.add(relativePath);
+
+  const outputPath = path.join(getTranscriptsDir(), ...relativePath.split("/"));
+  fileOps.mkdir(path.dirname(outputPath));
+  return outputPath;
+}
+
+// Transcripts written with one pattern are not found again under another, so
+// a changed pattern has to go through `transcripts reorganize` first.
+function ensureOutputPatternMatchesManifest(manifest) {
+  const outputPattern = getOutputPattern();
+  const hasEntries = Object.keys(manifest.entries || {}).length > 0;
+  const recordedPattern = manifest.outputPattern || DEFAULT_OUTPUT_PATTERN;
+  if (hasEntries && recordedPattern !== outputPattern) {
+    throw new Error(
+      `Transcripts are laid out as "${recordedPattern}" but outputPattern is now "${outputPattern}". Run \`transcripts reorganize\` to move them (add --dry-run to preview).`
+    );
+  }
+  const changed = manifest.outputPattern !== outputPattern;
+  manifest.outputPattern = outputPattern;
+  return changed;
 }
 
 function buildFallbackMetadata({
@@ -153,8 +475,9 @@ function buildFallbackMetadata({
   const safeDateSegment = dateSegment || "unknown-date";
   const safeEpisodeSlug = episodeSlug || "episode";
   const safeEpisodeTitle = rawEpisodeTitle || "unknown episode";
+  const showTitle = formatSlugAsTitle(safeShowSlug) || "Unknown show";
   return {
-    showTitle: formatSlugAsTitle(safeShowSlug) || "Unknown show",
+    showTitle,
     episodeTitle: safeEpisodeTitle,
     pubDate: safeDateSegment,
     showSlug: safeShowSlug,
@@ -163,7 +486,12 @@ function buildFallbackMetadata({
     stationSlug: null,
     stationTitles: [],
     stationSlugs: [],
-    baseFileName: `${safeShowSlug}_${safeDateSegment}_${safeEpisodeSlug}`,
+    baseFileName: getEpisodeBaseFileName({
+      showTitle,
+      episodeTitle: safeEpisodeTitle,
+      pubDate: safeDateSegment,
+      showSlug: safeShowSlug,
+    }),
     episodeDescriptionHtml: "",
     episodeDescriptionText: "",
     listeningStatus: null,
@@ -183,23 +511,69 @@ function normalizeSourceStats(raw) {
   return { mtimeMs, size };
 }
 
+// The built-in layout has its listening status refreshed in place by
+// updateExistingMarkdownFiles, so only the rest of the metadata decides
+// whether an episode is re-rendered. Templated files are always re-rendered.
+function serializeRenderedMetadata(metadata, includeListeningStatus) {
+  if (!metadata || typeof metadata !== "object") {
+    return null;
+  }
+  if (includeListeningStatus) {
+    return JSON.stringify(metadata);
+  }
+  const { listeningStatus, ...rest } = metadata;
+  return JSON.stringify(rest);
+}
+
+// Entries written before timestamp modes existed only record whether
+// timestamps were on, which matches `paragraph` or `none`.
+function readRenderedTimestampMode(renderOptions) {
+  if (typeof renderOptions.timestamps === "string") {
+    return renderOptions.timestamps;
+  }
+  return renderOptions.includeTimestamps === false
+    ? formatTimestampMode(NO_TIMESTAMPS)
+    : formatTimestampMode(DEFAULT_TIMESTAMP_MODE);
+}
+
 function isManifestEntryUpToDate({
   entry,
-  includeTimestamps,
+  metadata,
+  timestampMode,
+  timestampLinks = false,
+  frontMatter = false,
+  templateSignature = null,
+  speakerNamesSignature,
   relativePath,
   outputPath,
+  sidecarPath = null,
   sourceStats,
+  fileOps,
 }) {
   if (!entry || !relativePath || !outputPath) {
     return false;
   }
+  if (sidecarPath && !fileOps.exists(sidecarPath)) {
+    return false;
+  }
   if (!entry.lastProcessedAt) {
     return false;
   }
+  // Entries written before transcript hashes were recorded are rendered once
+  // more so summaries can tell when the spoken text changes.
+  if (!entry.transcriptHash) {
+    return false;
+  }
   if (entry.relativePath !== relativePath) {
     return false;
   }
-  if (!fs.existsSync(outputPath)) {
+  if (
+    serializeRenderedMetadata(entry.metadata, Boolean(templateSignature)) !==
+    serializeRenderedMetadata(metadata, Boolean(templateSignature))
+  ) {
+    return false;
+  }
+  if (!fileOps.exists(outputPath)) {
     return false;
   }
   const storedSource = normalizeSourceStats(entry.source);
@@ -217,78 +591,93 @@ function isManifestEntryUpToDate({
     }
   }
   const renderOptions = entry.renderOptions || {};
-  if (typeof renderOptions.includeTimestamps === "boolean") {
-    if (renderOptions.includeTimestamps !== includeTimestamps) {
-      return false;
-    }
-  } else if (includeTimestamps === false) {
+  if (
+    readRenderedTimestampMode(renderOptions) !==
+    formatTimestampMode(timestampMode)
+  ) {
+    return false;
+  }
+  if (Boolean(renderOptions.timestampLinks) !== timestampLinks) {
+    return false;
+  }
+  if (Boolean(renderOptions.frontMatter) !== frontMatter) {
+    return false;
+  }
+  if ((renderOptions.template || null) !== templateSignature) {
+    return false;
+  }
+  if (renderOptions.speakerNames !== speakerNamesSignature) {
     return false;
   }
   return true;
 }
 
 async function handleBatch({
-  includeTimestamps,
+  timestampMode,
+  frontMatter = false,
+  format = "markdown",
   showFilters = [],
   stationFilters = [],
   interactiveOutput = false,
+  concurrency = 1,
+  onlyIdentifiers = null,
+  prepareExisting = true,
+  quietWhenUnchanged = false,
+  dryRun = false,
 }) {
   ensureTtmlCachePresent();
+  const transcriptsDir = getTranscriptsDir();
+  const ttmlCacheDir = getTtmlCacheDir();
+  // Read on every batch so watch mode picks up template edits.
+  const template = loadEpisodeTemplate();
+  const timestampLinks = getConfigSetting("timestampLinks", true) !== false;
+  const fileOps = createFileOperations({
+    dryRun,
+    formatPath: formatOutputPath,
+  });
   const useInteractiveOutput =
     Boolean(interactiveOutput) &&
     Boolean(process.stdout && process.stdout.isTTY);
+  // Watch runs only report episodes that were actually re-rendered.
+  const logInfo = quietWhenUnchanged ? () => {} : console.log;
   if (!useInteractiveOutput) {
-    console.log("[INFO] Scanning TTML cache...");
+    logInfo("[INFO] Scanning TTML cache...");
   }
 
   const ttmlFiles = findTTMLFiles(ttmlCacheDir, ttmlCacheDir);
   if (!useInteractiveOutput) {
-    console.log(`[INFO] Found ${ttmlFiles.length} TTML file(s)`);
+    logInfo(`[INFO] Found ${ttmlFiles.length} TTML file(s)`);
   }
 
   const identifiers = ttmlFiles.map((file) => file.identifier);
   const metadataMap = loadTranscriptMetadata(identifiers);
-  const manifest = loadListeningStatusManifest(transcriptsDir);
+  const manifest = loadListeningStatusManifest(transcriptsDir, {
+    persistMigration: !dryRun,
+    lockHeld: !dryRun,
+  });
+  const initialManifestEntries = dryRun
+    ? JSON.parse(JSON.stringify(manifest.entries || {}))
+    : null;
+  const patternChanged = ensureOutputPatternMatchesManifest(manifest);
   mergeManifestMetadataIntoMap(manifest, metadataMap);
   const metadataFilenameIndex = buildMetadataFilenameIndex(metadataMap);
-  const filenameCounts = new Map();
+  const outputPaths = createOutputPathAllocator(manifest);
+  // Markdown is always written because list, copy, select and search read it;
+  // other formats are saved next to it under the same base name.
+  const outputFormats =
+    format === "markdown" ? ["markdown"] : ["markdown", format];
   const filterConfig = buildEntryFilterConfig({
     status: "all",
     showFilters,
     stationFilters,
   });
 
-  const sortedTtmlFiles = [...ttmlFiles].sort((a, b) => {
-    const metaA = metadataMap.get(a.identifier) || null;
-    const metaB = metadataMap.get(b.identifier) || null;
-    const dateA =
-      metaA && metaA.pubDate && metaA.pubDate !== "unknown-date"
-        ? metaA.pubDate
-        : "9999-12-31";
-    const dateB =
-      metaB && metaB.pubDate && metaB.pubDate !== "unknown-date"
-        ? metaB.pubDate
-        : "9999-12-31";
-    if (dateA !== dateB) {
-      return dateA.localeCompare(dateB);
-    }
-    const showTitleA =
-      metaA && metaA.showTitle && metaA.showTitle !== "unknown show"
-        ? metaA.showTitle.toLowerCase()
-        : metaA && metaA.showSlug
-        ? formatSlugAsTitle(metaA.showSlug).toLowerCase()
-        : "";
-    const showTitleB =
-      metaB && metaB.showTitle && metaB.showTitle !== "unknown show"
-        ? metaB.showTitle.toLowerCase()
-        : metaB && metaB.showSlug
-        ? formatSlugAsTitle(metaB.showSlug).toLowerCase()
-        : "";
-    if (showTitleA !== showTitleB) {
-      return showTitleA.localeCompare(showTitleB);
-    }
-    return a.identifier.localeCompare(b.identifier);
-  });
+  const sortedTtmlFiles = [...ttmlFiles].sort((a, b) =>
+    compareEpisodesForLayout(
+      { identifier: a.identifier, metadata: metadataMap.get(a.identifier) },
+      { identifier: b.identifier, metadata: metadataMap.get(b.identifier) }
+    )
+  );
 
   let filteredTtmlFiles = sortedTtmlFiles;
   const filtersApplied =
@@ -311,7 +700,7 @@ async function handleBatch({
     });
     if (allowed.length === 0) {
       const summary = describeFilterSummary(filterConfig) || "provided filters";
-      console.log(`[INFO] No TTML files matched filters (${summary}).`);
+      logInfo(`[INFO] No TTML files matched filters (${summary}).`);
       return;
     }
     const parts = [`matched ${allowed.length}`];
@@ -324,24 +713,30 @@ async function handleBatch({
     }
     const summary = describeFilterSummary(filterConfig) || "provided filters";
     if (!useInteractiveOutput) {
-      console.log(`[INFO] Filters (${summary}) → ${parts.join(" | ")}`);
+      logInfo(`[INFO] Filters (${summary}) → ${parts.join(" | ")}`);
     }
     filteredTtmlFiles = allowed;
     if (!useInteractiveOutput) {
-      console.log(
+      logInfo(
         `[INFO] Processing ${filteredTtmlFiles.length} TTML file(s) after filters.`
       );
     }
   }
 
-  const prepManifestChanged = prepareExistingMarkdown(
-    metadataFilenameIndex,
-    manifest
-  );
-  const totalToProcess = filteredTtmlFiles.length;
+  const prepManifestChanged = prepareExisting
+    ? prepareExistingMarkdown(metadataFilenameIndex, manifest, fileOps, {
+        frontMatter,
+        template,
+        metadataMap,
+      })
+    : false;
+  const totalToProcess = onlyIdentifiers
+    ? filteredTtmlFiles.filter((file) => onlyIdentifiers.has(file.identifier))
+        .length
+    : filteredTtmlFiles.length;
   let progress = null;
   let progressCompleted = false;
-  if (useInteractiveOutput && totalToProcess > 0) {
+  if (useInteractiveOutput && totalToProcess > 0 && !dryRun) {
     progress = createProgressIndicator({
       label: "Syncing transcripts",
       total: totalToProcess,
@@ -356,7 +751,7 @@ async function handleBatch({
     fallback: 0,
     skipped: 0,
   };
-  let manifestChanged = Boolean(prepManifestChanged);
+  let manifestChanged = Boolean(prepManifestChanged) || patternChanged;
   let episodeLogHeaderPrinted = false;
   const postSyncMessages = [];
 
@@ -365,7 +760,136 @@ async function handleBatch({
     total: 0,
   };
 
+  // Only start workers when there is enough work to spread across them.
+  const renderer = createTranscriptRenderer(
+    dryRun ? 1 : Math.min(concurrency, Math.max(totalToProcess, 1))
+  );
+  const finalizeJob = async (job) => {
+    const {
+      file,
+      metadata,
+      metadataForManifest,
+      listeningStatus,
+      relativePath,
+      outputPath,
+      sidecarPath,
+      sourceStats,
+      renderOptions,
+      dateSegment,
+      showTitleForLog,
+      episodeTitleForLog,
+    } = job;
+    if (job.isUpToDate) {
+      manifestChanged =
+        upsertManifestEntry(manifest, {
+          identifier: file.identifier,
+          metadata: metadataForManifest,
+          relativePath,
+          skipReason: "up-to-date",
+          processed: false,
+          sourceMtimeMs: sourceStats.mtimeMs,
+          sourceSize: sourceStats.size,
+          renderOptions,
+        }) || manifestChanged;
+      summary.skipped += 1;
+      visits.total += 1;
+      if (useInteractiveOutput && progress) {
+        const detailPieces = [showTitleForLog];
+        if (episodeTitleForLog && episodeTitleForLog !== showTitleForLog) {
+          detailPieces.push(episodeTitleForLog);
+        }
+        progress.update({
+          processed: visits.total,
+          detail: `${detailPieces.join(" - ")} (skipped)`,
+        });
+      } else if (!quietWhenUnchanged) {
+        if (!episodeLogHeaderPrinted) {
+          printEpisodeLogHeader();
+          episodeLogHeaderPrinted = true;
+        }
+        console.log(
+          formatEpisodeLogLine({
+            action: "Skipped",
+            playState: listeningStatus ? listeningStatus.playState : null,
+            showTitle: showTitleForLog,
+            episodeTitle: episodeTitleForLog,
+            pubDate: dateSegment,
+            usedFallback: metadata == null,
+          })
+        );
+      }
+      return;
+    }
+
+    // Dry runs skip rendering; the planned writes are enough to review.
+    const outputs = dryRun ? {} : await job.rendered;
+    await fileOps.writeFileAsync(outputPath, outputs.markdown ?? null);
+    if (sidecarPath) {
+      await fileOps.writeFileAsync(sidecarPath, outputs[format] ?? null);
+    }
+
+    manifestChanged =
+      upsertManifestEntry(manifest, {
+        identifier: file.identifier,
+        metadata: metadataForManifest,
+        relativePath,
+        processed: true,
+        skipReason: null,
+        sourceMtimeMs: sourceStats.mtimeMs,
+        sourceSize: sourceStats.size,
+        renderOptions,
+        transcriptHash: outputs.transcriptHash || null,
+      }) || manifestChanged;
+
+    summary.processed += 1;
+    const isPlayed = listeningStatus && listeningStatus.playState === "played";
+    if (isPlayed) {
+      summary.played += 1;
+    } else {
+      summary.unplayed += 1;
+    }
+    const usedFallback = metadata == null;
+    if (usedFallback) {
+      summary.fallback += 1;
+    }
+    visits.total += 1;
+    if (useInteractiveOutput && progress) {
+      const detailPieces = [showTitleForLog];
+      if (episodeTitleForLog && episodeTitleForLog !== showTitleForLog) {
+        detailPieces.push(episodeTitleForLog);
+      }
+      progress.update({
+        processed: visits.total,
+        detail: detailPieces.join(" - "),
+      });
+    } else {
+      if (!episodeLogHeaderPrinted) {
+        printEpisodeLogHeader();
+        episodeLogHeaderPrinted = true;
+      }
+      console.log(
+        formatEpisodeLogLine({
+          action: dryRun ? "Would save" : "Saved",
+          playState: isPlayed
+            ? "played"
+            : listeningStatus
+            ? listeningStatus.playState
+            : null,
+          showTitle: showTitleForLog,
+          episodeTitle: episodeTitleForLog,
+          pubDate: dateSegment,
+          usedFallback,
+        })
+      );
+    }
+  };
+
   try {
+    // Rendering runs ahead on the pool, but jobs are finalized strictly in
+    // file order so manifest updates, logs and progress match a serial run.
+    // The window keeps finished-but-unwritten transcripts out of memory.
+    const pendingJobs = [];
+    const windowSize = renderer.size * 2;
     for (const file of filteredTtmlFiles) {
       const metadata = metadataMap.get(file.identifier) || null;
       const showSlug = slugify(
@@ -383,13 +907,40 @@ async function handleBatch({
       };
       const listeningStatus =
         metadata && metadata.listeningStatus ? metadata.listeningStatus : null;
-      const outputPath = resolveOutputPath({
-        filenameCounts,
+      const speakerNames = resolveSpeakerNames({
         showSlug,
-        dateSegment,
-        episodeSlug,
-        listeningStatus,
+        identifier: file.identifier,
+        baseFileName: metadata ? metadata.baseFileName : null,
+      });
+      const renderOptions = {
+        includeTimestamps: timestampMode.mode !== "none",
+        timestamps: formatTimestampMode(timestampMode),
+        timestampLinks,
+        frontMatter,
+        template: template ? template.signature : null,
+        speakerNames: buildSpeakerNamesSignature(speakerNames),
+      };
+      const metadataForManifest =
+        metadata ||
+        buildFallbackMetadata({
+          showSlug,
+          rawEpisodeTitle,
+          dateSegment,
+          episodeSlug,
+        });
+      const outputPath = resolveOutputPath({
+        outputPaths,
+        identifier: file.identifier,
+        metadata: metadataForManifest,
+        fileOps,
       });
+      // Output paths are still resolved for every file so duplicate base
+      // names get the same numeric suffix as in a full sync.
+      if (onlyIdentifiers && !onlyIdentifiers.has(file.identifier)) {
+        continue;
+      }
+      const sidecarPath =
+        format === "markdown" ? null : getSidecarPath(outputPath, format);
       const relativePathRaw = path.relative(transcriptsDir, outputPath);
       const relativePath = relativePathRaw
         ? relativePathRaw.split(path.sep).join("/")
@@ -409,128 +960,78 @@ async function handleBatch({
           : rawEpisodeTitle;
       const isUpToDate = isManifestEntryUpToDate({
         entry: existingEntry,
-        includeTimestamps,
+        metadata: metadataForManifest,
+        timestampMode,
+        timestampLinks,
+        frontMatter,
+        templateSignature: renderOptions.template,
+        speakerNamesSignature: renderOptions.speakerNames,
         relativePath,
         outputPath,
+        sidecarPath,
         sourceStats,
+        fileOps,
       });
-      const metadataForManifest =
-        metadata ||
-        buildFallbackMetadata({
-          showSlug,
-          rawEpisodeTitle,
-          dateSegment,
-          episodeSlug,
-        });
-
-      if (isUpToDate) {
-        manifestChanged =
-          upsertManifestEntry(manifest, {
-            identifier: file.identifier,
-            metadata: metadataForManifest,
-            relativePath,
-            skipReason: "up-to-date",
-            processed: false,
-            sourceMtimeMs: sourceStats.mtimeMs,
-            sourceSize: sourceStats.size,
-            renderOptions: {
-              includeTimestamps,
-            },
-          }) || manifestChanged;
-        summary.skipped += 1;
-        visits.total += 1;
-        if (useInteractiveOutput && progress) {
-          const detailPieces = [showTitleForLog];
-          if (episodeTitleForLog && episodeTitleForLog !== showTitleForLog) {
-            detailPieces.push(episodeTitleForLog);
-          }
-          progress.update({
-            processed: visits.total,
-            detail: `${detailPieces.join(" - ")} (skipped)`,
-          });
-        } else {
-          if (!episodeLogHeaderPrinted) {
-            printEpisodeLogHeader();
-            episodeLogHeaderPrinted = true;
-          }
-          console.log(
-            formatEpisodeLogLine({
-              action: "Skipped",
-              playState: listeningStatus ? listeningStatus.playState : null,
-              showTitle: showTitleForLog,
-              episodeTitle: episodeTitleForLog,
-              pubDate: dateSegment,
-              usedFallback: metadata == null,
-            })
-          );
-        }
-        continue;
-      }
 
-      const data = await fs.promises.readFile(file.path, "utf8");
-      const markdown = await extractTranscript(data, {
-        includeTimestamps,
+      const job = {
+        file,
         metadata,
-        fallbackContext,
-      });
-      await fs.promises.writeFile(outputPath, markdown);
-
-      manifestChanged =
-        upsertManifestEntry(manifest, {
+        metadataForManifest,
+        listeningStatus,
+        relativePath,
+        outputPath,
+        sidecarPath,
+        sourceStats,
+        renderOptions,
+        dateSegment,
+        showTitleForLog,
+        episodeTitleForLog,
+        isUpToDate,
+        rendered: null,
+      };
+      if (!isUpToDate && !dryRun) {
+        job.rendered = renderer.render(file.path, {
+          formats: outputFormats,
           identifier: file.identifier,
-          metadata: metadataForManifest,
-          relativePath,
-          processed: true,
-          skipReason: null,
-          sourceMtimeMs: sourceStats.mtimeMs,
-          sourceSize: sourceStats.size,
-          renderOptions: {
-            includeTimestamps,
-          },
-        }) || manifestChanged;
-
-      summary.processed += 1;
-      const isPlayed =
-        listeningStatus && listeningStatus.playState === "played";
-      if (isPlayed) {
-        summary.played += 1;
-      } else {
-        summary.unplayed += 1;
+          timestamps: timestampMode,
+          timestampLinks,
+          frontMatter,
+          template,
+          metadata,
+          fallbackContext,
+          speakerNames,
+        });
+        // Failures are rethrown when the job is finalized in order.
+        job.rendered.catch(() => {});
       }
-      const usedFallback = metadata == null;
-      if (usedFallback) {
-        summary.fallback += 1;
+      pendingJobs.push(job);
+      if (pendingJobs.length >= windowSize) {
+        await finalizeJob(pendingJobs.shift());
       }
-      visits.total += 1;
-      if (useInteractiveOutput && progress) {
-        const detailPieces = [showTitleForLog];
-        if (episodeTitleForLog && episodeTitleForLog !== showTitleForLog) {
-          detailPieces.push(episodeTitleForLog);
-        }
-        progress.update({
-          processed: visits.total,
-          detail: detailPieces.join(" - "),
-        });
-      } else {
-        if (!episodeLogHeaderPrinted) {
-          printEpisodeLogHeader();
-          episodeLogHeaderPrinted = true;
-        }
-        console.log(
-          formatEpisodeLogLine({
-            action: "Saved",
-            playState: isPlayed
-              ? "played"
-              : listeningStatus
-              ? listeningStatus.playState
-              : null,
-            showTitle: showTitleForLog,
-            episodeTitle: episodeTitleForLog,
-            pubDate: dateSegment,
-            usedFallback,
-          })
-        );
+    }
+    while (pendingJobs.length > 0) {
+      await finalizeJob(pendingJobs.shift());
+    }
+
+    manifestChanged =
+      markMissingManifestEntries(manifest, identifiersSet) || manifestChanged;
+    const indexPagesChanged = writeLibraryIndexes({
+      manifest,
+      transcriptsDir,
+      summariesDir: getSummariesDir(),
+      fileOps,
+    });
+    if (indexPagesChanged > 0 && !dryRun) {
+      postSyncMessages.push(
+        `[INFO] Updated ${indexPagesChanged} index page(s) in ${transcriptsDir}`
+      );
+    }
+
+    if (quietWhenUnchanged && summary.processed === 0) {
+      if (manifestChanged) {
+        saveListeningStatusManifest(transcriptsDir, manifest);
       }
+      return;
     }
 
     const archivedIdentifiers = Object.keys(manifest.entries || {}).filter(
@@ -542,7 +1043,23 @@ async function handleBatch({
       );
     }
 
-    if (manifestChanged) {
+    if (dryRun) {
+      const manifestChanges = describeManifestChanges(
+        initialManifestEntries,
+        manifest.entries
+      );
+      if (manifest.pendingMigrationFrom) {
+        postSyncMessages.push(
+          `[DRY-RUN] Would migrate the manifest from v${manifest.pendingMigrationFrom} to v${manifest.version} and keep a backup of the original`
+        );
+      }
+      manifestChanges.forEach((change) => {
+        postSyncMessages.push(`[DRY-RUN] Would ${change} in manifest`);
+      });
+      postSyncMessages.push(
+        `[INFO] Dry run: ${fileOps.plannedCount} file change(s) and ${manifestChanges.length} manifest change(s) planned. Nothing was written.`
+      );
+    } else if (manifestChanged) {
       saveListeningStatusManifest(transcriptsDir, manifest);
       postSyncMessages.push(
         `[INFO] Updated listening status manifest at ${getManifestPath(
@@ -574,6 +1091,7 @@ async function handleBatch({
       console.log(message);
     });
   } finally {
+    await renderer.close();
     if (progress && !progressCompleted) {
       progress.stop();
     }
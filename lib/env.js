@@ -62,10 +62,10 @@ function stripQuotes(value) {
   return value;
 }
 
-function getGeminiApiKey() {
+function getEnvValue(name) {
   loadEnv();
-  const key = process.env.GEMINI_API_KEY;
-  return key && key.trim() ? key.trim() : null;
+  const value = process.env[name];
+  return value && value.trim() ? value.trim() : null;
 }
 
-export { getGeminiApiKey, loadEnv };
+export { getEnvValue, loadEnv };
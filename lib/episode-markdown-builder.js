@@ -41,7 +41,176 @@ function getEpisodeDescriptionMarkdown(metadata) {
   return "";
 }
 
-function buildEpisodeMarkdown(transcriptText, metadata, fallbackContext = {}) {
+function formatEpisodeTypeLabel(episodeType) {
+  if (!episodeType) {
+    return null;
+  }
+  return `${episodeType.charAt(0).toUpperCase()}${episodeType.slice(1)}`;
+}
+
+function buildEpisodeDetailsSection(metadata) {
+  const lines = [];
+  const addLine = (label, value) => {
+    if (value != null && value !== "") {
+      lines.push(`- ${label}: ${value}`);
+    }
+  };
+  addLine("Author", metadata.author);
+  addLine("Season", metadata.seasonNumber);
+  addLine("Episode", metadata.episodeNumber);
+  addLine("Type", formatEpisodeTypeLabel(metadata.episodeType));
+  if (typeof metadata.explicit === "boolean") {
+    addLine("Explicit", metadata.explicit ? "Yes" : "No");
+  }
+  addLine("Episode page", metadata.episodeUrl);
+  addLine("Audio", metadata.enclosureUrl);
+  addLine("Apple Podcasts", metadata.applePodcastsUrl);
+  addLine("Feed", metadata.feedUrl);
+  addLine("Artwork", metadata.artworkUrl);
+  addLine("GUID", metadata.episodeGuid ? `\`${metadata.episodeGuid}\`` : null);
+  return lines.length > 0 ? ["## Episode details", ...lines].join("\n") : "";
+}
+
+const TRANSCRIPT_HEADING = "## Episode transcript";
+const FRONT_MATTER_PATTERN = /^---\r?\n[\s\S]*?\r?\n---[ \t]*(?:\r?\n|$)/;
+const YAML_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Strings are emitted as JSON strings, which YAML reads as double-quoted
+// scalars. Plain dates stay unquoted so Dataview parses them as dates.
+function formatYamlScalar(value) {
+  if (typeof value === "number" || typeof value === "boolean") {
+    return String(value);
+  }
+  if (YAML_DATE_PATTERN.test(value)) {
+    return value;
+  }
+  return JSON.stringify(value);
+}
+
+function formatFrontMatter(fields) {
+  const lines = [];
+  Object.entries(fields).forEach(([key, value]) => {
+    if (value == null || value === "") {
+      return;
+    }
+    if (Array.isArray(value)) {
+      if (value.length === 0) {
+        return;
+      }
+      lines.push(`${key}:`);
+      value.forEach((item) => lines.push(`  - ${formatYamlScalar(item)}`));
+      return;
+    }
+    lines.push(`${key}: ${formatYamlScalar(value)}`);
+  });
+  return ["---", ...lines, "---"].join("\n");
+}
+
+function buildEpisodeTags(showSlug) {
+  const tags = ["podcast"];
+  if (showSlug && showSlug !== "unknown-show") {
+    tags.push(`podcast/${showSlug}`);
+  }
+  return tags;
+}
+
+function buildFrontMatterSection({
+  metadata,
+  showName,
+  dateSegment,
+  showSlug,
+  identifier,
+}) {
+  const listeningStatus = metadata.listeningStatus || {};
+  const completionRatio =
+    typeof listeningStatus.completionRatio === "number" &&
+    Number.isFinite(listeningStatus.completionRatio)
+      ? Math.round(listeningStatus.completionRatio * 100)
+      : null;
+  return formatFrontMatter({
+    show: showName,
+    episode: metadata.episodeTitle || null,
+    date: dateSegment !== "unknown-date" ? dateSegment : null,
+    identifier: identifier || null,
+    playState: listeningStatus.playState || null,
+    progress: completionRatio,
+    duration: formatSecondsOrNull(listeningStatus.durationSeconds),
+    lastPlayed: listeningStatus.lastPlayedAt || null,
+    playCount:
+      typeof listeningStatus.playCount === "number"
+        ? listeningStatus.playCount
+        : null,
+    stations: Array.isArray(metadata.stationTitles)
+      ? metadata.stationTitles
+      : [],
+    tags: buildEpisodeTags(showSlug),
+  });
+}
+
+function buildListeningStatusSection(listeningStatus) {
+  if (!listeningStatus) {
+    return "";
+  }
+  const statusLines = [];
+  statusLines.push(`State: ${formatPlayStateLabel(listeningStatus.playState)}`);
+  const completionRatio =
+    typeof listeningStatus.completionRatio === "number"
+      ? Math.round(listeningStatus.completionRatio * 100)
+      : null;
+  const listenedFormatted = formatSecondsOrNull(
+    listeningStatus.listenedSeconds
+  );
+  const durationFormatted = formatSecondsOrNull(
+    listeningStatus.durationSeconds
+  );
+  const progressParts = [];
+  if (completionRatio != null && Number.isFinite(completionRatio)) {
+    progressParts.push(`${completionRatio}%`);
+  }
+  if (listenedFormatted && durationFormatted) {
+    progressParts.push(`${listenedFormatted} of ${durationFormatted}`);
+  } else if (listenedFormatted) {
+    progressParts.push(`${listenedFormatted} listened`);
+  } else if (durationFormatted) {
+    progressParts.push(`${durationFormatted} total`);
+  }
+  if (progressParts.length > 0) {
+    statusLines.push(`Progress: ${progressParts.join(" ")}`);
+  }
+  const remainingFormatted = formatSecondsOrNull(
+    listeningStatus.remainingSeconds
+  );
+  const shouldShowRemaining =
+    typeof listeningStatus.remainingSeconds === "number" &&
+    listeningStatus.remainingSeconds > 1 &&
+    listeningStatus.playState !== "played";
+  if (shouldShowRemaining && remainingFormatted) {
+    statusLines.push(`Remaining: ${remainingFormatted}`);
+  }
+  if (listeningStatus.lastPlayedAt) {
+    const lastPlayedDate = new Date(listeningStatus.lastPlayedAt);
+    const lastPlayedText = Number.isNaN(lastPlayedDate.getTime())
+      ? listeningStatus.lastPlayedAt
+      : lastPlayedDate.toISOString();
+    statusLines.push(`Last played: ${lastPlayedText}`);
+  }
+  if (typeof listeningStatus.playCount === "number") {
+    statusLines.push(`Play count: ${listeningStatus.playCount}`);
+  }
+  return [
+    "## Listening status",
+    ...statusLines.map((line) => `- ${line}`),
+  ].join("\n");
+}
+
+// Every block of the built-in layout, also handed to user templates as
+// `sections` so they can reuse the parts they don't want to rewrite.
+function buildEpisodeSections(
+  transcriptText,
+  metadata,
+  fallbackContext = {},
+  { identifier = null } = {}
+) {
   const safeMetadata = metadata || {};
   const effectiveFallbackContext = fallbackContext || {};
   const fallbackShowSlug =
@@ -56,84 +225,59 @@ function buildEpisodeMarkdown(transcriptText, metadata, fallbackContext = {}) {
     safeMetadata.pubDate && safeMetadata.pubDate !== "unknown-date"
       ? safeMetadata.pubDate
       : effectiveFallbackContext.dateSegment || "unknown-date";
-  const description = getEpisodeDescriptionMarkdown(safeMetadata);
-  const descriptionSection = [
-    "### Episode description",
-    `Show name: ${fallbackShowName}`,
-    `Episode date: ${fallbackDateSegment}`,
-    "### Episode description:",
-    description || "Not available.",
-  ].join("\n");
-  const listeningStatus = safeMetadata.listeningStatus || null;
-  let statusSection = "";
-  if (listeningStatus) {
-    const statusLines = [];
-    statusLines.push(
-      `State: ${formatPlayStateLabel(listeningStatus.playState)}`
-    );
-    const completionRatio =
-      typeof listeningStatus.completionRatio === "number"
-        ? Math.round(listeningStatus.completionRatio * 100)
-        : null;
-    const listenedFormatted = formatSecondsOrNull(
-      listeningStatus.listenedSeconds
-    );
-    const durationFormatted = formatSecondsOrNull(
-      listeningStatus.durationSeconds
-    );
-    const progressParts = [];
-    if (completionRatio != null && Number.isFinite(completionRatio)) {
-      progressParts.push(`${completionRatio}%`);
-    }
-    if (listenedFormatted && durationFormatted) {
-      progressParts.push(`${listenedFormatted} of ${durationFormatted}`);
-    } else if (listenedFormatted) {
-      progressParts.push(`${listenedFormatted} listened`);
-    } else if (durationFormatted) {
-      progressParts.push(`${durationFormatted} total`);
-    }
-    if (progressParts.length > 0) {
-      statusLines.push(`Progress: ${progressParts.join(" ")}`);
-    }
-    const remainingFormatted = formatSecondsOrNull(
-      listeningStatus.remainingSeconds
-    );
-    const shouldShowRemaining =
-      typeof listeningStatus.remainingSeconds === "number" &&
-      listeningStatus.remainingSeconds > 1 &&
-      listeningStatus.playState !== "played";
-    if (shouldShowRemaining && remainingFormatted) {
-      statusLines.push(`Remaining: ${remainingFormatted}`);
-    }
-    if (listeningStatus.lastPlayedAt) {
-      const lastPlayedDate = new Date(listeningStatus.lastPlayedAt);
-      const lastPlayedText = Number.isNaN(lastPlayedDate.getTime())
-        ? listeningStatus.lastPlayedAt
-        : lastPlayedDate.toISOString();
-      statusLines.push(`Last played: ${lastPlayedText}`);
-    }
-    if (typeof listeningStatus.playCount === "number") {
-      statusLines.push(`Play count: ${listeningStatus.playCount}`);
-    }
-    statusSection =
-      statusLines.length > 0
-        ? [
-            "## Listening status",
-            ...statusLines.map((line) => `- ${line}`),
-          ].join("\n")
-        : "";
-  }
-  const transcriptSectionHeader = "## Episode transcript";
-  const transcriptSectionBody =
-    transcriptText && transcriptText.trim()
-      ? transcriptText.trim()
-      : "Not available.";
+  return {
+    showName: fallbackShowName,
+    dateSegment: fallbackDateSegment,
+    description: getEpisodeDescriptionMarkdown(safeMetadata),
+    frontMatter: buildFrontMatterSection({
+      metadata: safeMetadata,
+      showName: fallbackShowName,
+      dateSegment: fallbackDateSegment,
+      showSlug: fallbackShowSlug,
+      identifier,
+    }),
+    listeningStatus: buildListeningStatusSection(
+      safeMetadata.listeningStatus || null
+    ),
+    details: buildEpisodeDetailsSection(safeMetadata),
+    transcript:
+      transcriptText && transcriptText.trim()
+        ? transcriptText.trim()
+        : "Not available.",
+  };
+}
+
+// With `frontMatter`, show, date and listening status move into a YAML block
+// so Obsidian and Dataview can query them; the body keeps the rest.
+function buildEpisodeMarkdown(
+  transcriptText,
+  metadata,
+  fallbackContext = {},
+  { frontMatter = false, identifier = null } = {}
+) {
+  const sections = buildEpisodeSections(
+    transcriptText,
+    metadata,
+    fallbackContext,
+    { identifier }
+  );
+  const description = sections.description || "Not available.";
+  const descriptionSection = frontMatter
+    ? ["## Episode description", description].join("\n")
+    : [
+        "## Episode description",
+        `Show name: ${sections.showName}`,
+        `Episode date: ${sections.dateSegment}`,
+        "",
+        description,
+      ].join("\n");
 
   const output = [
-    statusSection,
+    frontMatter ? sections.frontMatter : sections.listeningStatus,
+    sections.details,
     descriptionSection,
-    transcriptSectionHeader,
-    transcriptSectionBody,
+    TRANSCRIPT_HEADING,
+    sections.transcript,
   ]
     .filter((section) => section && section.trim() !== "")
     .join("\n\n");
@@ -141,9 +285,58 @@ function buildEpisodeMarkdown(transcriptText, metadata, fallbackContext = {}) {
   return `${output.trimEnd()}\n`;
 }
 
-export { buildEpisodeMarkdown, getEpisodeDescriptionMarkdown };
+function stripFrontMatter(content) {
+  return content.replace(FRONT_MATTER_PATTERN, "");
+}
+
+function readFrontMatterValue(content, key) {
+  const match = FRONT_MATTER_PATTERN.exec(content);
+  if (!match) {
+    return null;
+  }
+  const line = match[0]
+    .split(/\r?\n/)
+    .find((candidate) => candidate.startsWith(`${key}:`));
+  if (!line) {
+    return null;
+  }
+  const raw = line.slice(key.length + 1).trim();
+  try {
+    return raw.startsWith('"') ? JSON.parse(raw) : raw || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Recovers the transcript from a file written by buildEpisodeMarkdown, with or
+// without front matter, so it can be rebuilt around fresh metadata.
+function extractTranscriptBody(content) {
+  const body = stripFrontMatter(content);
+  const headingIndex = body.indexOf(TRANSCRIPT_HEADING);
+  if (headingIndex === -1) {
+    return body.trim();
+  }
+  return body.slice(headingIndex + TRANSCRIPT_HEADING.length).trim();
+}
+
+export {
+  buildEpisodeMarkdown,
+  buildEpisodeSections,
+  extractTranscriptBody,
+  formatFrontMatter,
+  formatPlayStateLabel,
+  getEpisodeDescriptionMarkdown,
+  readFrontMatterValue,
+  stripFrontMatter,
+};
 
 export default {
   getEpisodeDescriptionMarkdown,
   buildEpisodeMarkdown,
+  buildEpisodeSections,
+  extractTranscriptBody,
+  formatFrontMatter,
+  formatPlayStateLabel,
+  readFrontMatterValue,
+  stripFrontMatter,
 };
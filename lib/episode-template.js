@@ -0,0 +1,170 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+import { getTemplatesDir } from "./app-config.js";
+import {
+  buildEpisodeSections,
+  formatPlayStateLabel,
+} from "./episode-markdown-builder.js";
+import transcriptFieldFormatters from "./transcript-field-formatters.js";
+import { compileTemplate } from "./utils/template-engine.js";
+const { formatTimestamp } = transcriptFieldFormatters;
+
+const EPISODE_TEMPLATE_FILENAME = "episode.md";
+
+// Compiled templates by signature, so worker threads parse each one once.
+const compiledTemplates = new Map();
+
+function getEpisodeTemplatePath() {
+  return path.join(getTemplatesDir(), EPISODE_TEMPLATE_FILENAME);
+}
+
+function buildTemplateSignature(source) {
+  return crypto.createHash("sha1").update(source).digest("hex").slice(0, 12);
+}
+
+function getCompiledTemplate(template) {
+  if (!compiledTemplates.has(template.signature)) {
+    compiledTemplates.set(
+      template.signature,
+      compileTemplate(template.source, { name: template.path })
+    );
+  }
+  return compiledTemplates.get(template.signature);
+}
+
+// Returns `{ path, source, signature }` for `templates/episode.md`, or null
+// when there is no template and the built-in layout applies. Syntax errors
+// throw here so a sync stops before writing anything.
+function loadEpisodeTemplate() {
+  const templatePath = getEpisodeTemplatePath();
+  if (!fs.existsSync(templatePath)) {
+    return null;
+  }
+  let source = null;
+  try {
+    source = fs.readFileSync(templatePath, "utf8");
+  } catch (error) {
+    throw new Error(
+      `Unable to read episode template ${templatePath}: ${error.message}`
+    );
+  }
+  const template = {
+    path: templatePath,
+    source,
+    signature: buildTemplateSignature(source),
+  };
+  getCompiledTemplate(template);
+  return template;
+}
+
+function formatSecondsOrNull(value) {
+  return typeof value === "number" && Number.isFinite(value) && value >= 0
+    ? formatTimestamp(Math.round(value))
+    : null;
+}
+
+function buildTemplateListeningStatus(listeningStatus) {
+  if (!listeningStatus) {
+    return null;
+  }
+  const completionRatio =
+    typeof listeningStatus.completionRatio === "number" &&
+    Number.isFinite(listeningStatus.completionRatio)
+      ? Math.round(listeningStatus.completionRatio * 100)
+      : null;
+  return {
+    ...listeningStatus,
+    playStateLabel: formatPlayStateLabel(listeningStatus.playState),
+    progressPercent: completionRatio,
+    listened: formatSecondsOrNull(listeningStatus.listenedSeconds),
+    duration: formatSecondsOrNull(listeningStatus.durationSeconds),
+    remaining: formatSecondsOrNull(listeningStatus.remainingSeconds),
+  };
+}
+
+function buildEpisodeTemplateContext({
+  transcriptText,
+  segments = [],
+  metadata = null,
+  fallbackContext = null,
+  identifier = null,
+  speakerLabel = (speakerId) => speakerId,
+  timestampUrl = null,
+}) {
+  const safeMetadata = metadata || {};
+  const sections = buildEpisodeSections(
+    transcriptText,
+    metadata,
+    fallbackContext,
+    { identifier }
+  );
+  const speakers = [];
+  segments.forEach((segment) => {
+    if (
+      segment.speakerId &&
+      !speakers.some((speaker) => speaker.id === segment.speakerId)
+    ) {
+      speakers.push({
+        id: segment.speakerId,
+        name: speakerLabel(segment.speakerId),
+      });
+    }
+  });
+  const { listeningStatus, ...libraryMetadata } = safeMetadata;
+  return {
+    identifier,
+    show: sections.showName,
+    episode: safeMetadata.episodeTitle || null,
+    date: sections.dateSegment,
+    metadata: libraryMetadata,
+    listeningStatus: buildTemplateListeningStatus(listeningStatus || null),
+    description: sections.description,
+    transcript: sections.transcript,
+    segments: segments.map((segment) => ({
+      begin: segment.begin,
+      end: segment.end,
+      timestamp:
+        typeof segment.begin === "number"
+          ? formatTimestamp(segment.begin)
+          : null,
+      url:
+        timestampUrl && typeof segment.begin === "number"
+          ? timestampUrl(segment.begin)
+          : null,
+      speakerId: segment.speakerId || null,
+      speaker: segment.speakerId ? speakerLabel(segment.speakerId) : null,
+      text: segment.text,
+    })),
+    speakers,
+    sections: {
+      frontMatter: sections.frontMatter,
+      listeningStatus: sections.listeningStatus,
+      details: sections.details,
+      description: sections.description
+        ? `## Episode description\n${sections.description}`
+        : "",
+      transcript: `## Episode transcript\n\n${sections.transcript}`,
+    },
+  };
+}
+
+// Runs of blank lines left by empty placeholders are collapsed so templates
+// can stay readable.
+function renderEpisodeTemplate(template, contextOptions) {
+  const render = getCompiledTemplate(template);
+  const output = render(buildEpisodeTemplateContext(contextOptions))
+    .replace(/[ \t]+$/gm, "")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+  return `${output}\n`;
+}
+
+export { getEpisodeTemplatePath, loadEpisodeTemplate, renderEpisodeTemplate };
+
+export default {
+  getEpisodeTemplatePath,
+  loadEpisodeTemplate,
+  renderEpisodeTemplate,
+};
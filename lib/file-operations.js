@@ -0,0 +1,136 @@
+import fs from "fs";
+import path from "path";
+
+function isInsidePlayedDirectory(filePath) {
+  return path.basename(path.dirname(filePath)) === "played";
+}
+
+function describeMove(fromPath, toPath) {
+  const fromPlayed = isInsidePlayedDirectory(fromPath);
+  const toPlayed = isInsidePlayedDirectory(toPath);
+  if (!fromPlayed && toPlayed) {
+    return "move into played/";
+  }
+  if (fromPlayed && !toPlayed) {
+    return "move out of played/";
+  }
+  return "move";
+}
+
+// Every disk change made by sync goes through one of these objects. In dry-run
+// mode the changes are printed instead, and `exists` answers as if the earlier
+// planned changes had happened so later steps plan against the same state.
+function createFileOperations({
+  dryRun = false,
+  formatPath = (filePath) => filePath,
+  log = console.log,
+} = {}) {
+  const created = new Set();
+  const removed = new Set();
+  const movedFrom = new Map();
+  const plannedWrites = new Set();
+  let plannedCount = 0;
+
+  const plan = (message) => {
+    plannedCount += 1;
+    log(`[DRY-RUN] Would ${message}`);
+  };
+
+  const exists = (filePath) => {
+    if (removed.has(filePath)) {
+      return false;
+    }
+    return created.has(filePath) || fs.existsSync(filePath);
+  };
+
+  // A planned move leaves the content where it was, so compare against the
+  // original file.
+  const isUnchanged = (filePath, content) => {
+    const sourcePath = movedFrom.get(filePath) || filePath;
+    if (
+      content == null ||
+      removed.has(filePath) ||
+      !fs.existsSync(sourcePath)
+    ) {
+      return false;
+    }
+    try {
+      return fs.readFileSync(sourcePath, "utf8") === content;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  return {
+    dryRun,
+    exists,
+    get plannedCount() {
+      return plannedCount;
+    },
+    mkdir(directoryPath) {
+      if (exists(directoryPath)) {
+        return;
+      }
+      if (!dryRun) {
+        fs.mkdirSync(directoryPath, { recursive: true });
+        return;
+      }
+      plan(`create directory ${formatPath(directoryPath)}`);
+      created.add(directoryPath);
+    },
+    rename(fromPath, toPath) {
+      if (!dryRun) {
+        fs.renameSync(fromPath, toPath);
+        return;
+      }
+      plan(
+        `${describeMove(fromPath, toPath)} ${formatPath(
+          fromPath
+        )} → ${formatPath(toPath)}`
+      );
+      removed.add(fromPath);
+      created.add(toPath);
+      removed.delete(toPath);
+      movedFrom.set(toPath, movedFrom.get(fromPath) || fromPath);
+    },
+    // `content` may be null in dry-run mode when rendering was skipped.
+    writeFile(filePath, content) {
+      if (!dryRun) {
+        fs.writeFileSync(filePath, content);
+        return;
+      }
+      if (plannedWrites.has(filePath) || isUnchanged(filePath, content)) {
+        return;
+      }
+      plannedWrites.add(filePath);
+      plan(`${exists(filePath) ? "update" : "create"} ${formatPath(filePath)}`);
+      created.add(filePath);
+      removed.delete(filePath);
+    },
+    async writeFileAsync(filePath, content) {
+      if (!dryRun) {
+        await fs.promises.writeFile(filePath, content);
+        return;
+      }
+      this.writeFile(filePath, content);
+    },
+    unlink(filePath) {
+      if (!dryRun) {
+        fs.unlinkSync(filePath);
+        return;
+      }
+      plan(`delete ${formatPath(filePath)}`);
+      removed.add(filePath);
+      created.delete(filePath);
+    },
+  };
+}
+
+const defaultFileOperations = createFileOperations();
+
+export { createFileOperations, defaultFileOperations };
+
+export default {
+  createFileOperations,
+  defaultFileOperations,
+};
@@ -0,0 +1,313 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+import { INDEX_PAGE_FILENAME } from "./app-constants.js";
+import catalog from "./catalog/index.js";
+import { formatPlayStateLabel } from "./episode-markdown-builder.js";
+import { defaultFileOperations } from "./file-operations.js";
+import { resolveSummaryPath } from "./output-layout.js";
+import transcriptFieldFormatters from "./transcript-field-formatters.js";
+
+const { buildCatalogEntries, compareCatalogEntriesDesc } = catalog;
+const { formatTimestamp } = transcriptFieldFormatters;
+
+// Every generated page starts with this comment. It tells generated pages
+// apart from notes of the same name and records the inputs the page was built
+// from, so unchanged shows are not rewritten on every sync.
+const INDEX_MARKER_PATTERN = /^<!-- transcripts index: ([0-9a-f]+) -->\n/;
+
+function buildIndexSignature(rows) {
+  return crypto
+    .createHash("sha1")
+    .update(JSON.stringify(rows))
+    .digest("hex")
+    .slice(0, 12);
+}
+
+function readIndexSignature(filePath) {
+  try {
+    const match = INDEX_MARKER_PATTERN.exec(fs.readFileSync(filePath, "utf8"));
+    return match ? match[1] : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function isGeneratedIndexPage(filePath) {
+  return readIndexSignature(filePath) !== null;
+}
+
+function findGeneratedIndexPages(directoryPath, results = []) {
+  if (!fs.existsSync(directoryPath)) {
+    return results;
+  }
+  fs.readdirSync(directoryPath, { withFileTypes: true }).forEach((entry) => {
+    const fullPath = path.join(directoryPath, entry.name);
+    if (entry.isDirectory() && !entry.name.startsWith(".")) {
+      findGeneratedIndexPages(fullPath, results);
+    } else if (
+      entry.isFile() &&
+      entry.name === INDEX_PAGE_FILENAME &&
+      isGeneratedIndexPage(fullPath)
+    ) {
+      results.push(fullPath);
+    }
+  });
+  return results;
+}
+
+// Links are relative to the page so the folder can be moved or synced to
+// another machine. Each segment is percent-encoded for titles with spaces.
+function buildLink(fromDirectory, toPath) {
+  return path
+    .relative(fromDirectory, toPath)
+    .split(path.sep)
+    .map((segment) => encodeURIComponent(segment))
+    .join("/");
+}
+
+function escapeTableText(value) {
+  return String(value)
+    .replace(/\|/g, "\\|")
+    .replace(/([[\]])/g, "\\$1")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Folder segments of a transcript, leaving out a trailing `played/`.
+function getEpisodeDirectorySegments(entry) {
+  const directory = path.posix.dirname(entry.normalizedRelativePath);
+  const segments = directory === "." ? [] : directory.split("/");
+  return segments[segments.length - 1] === "played"
+    ? segments.slice(0, -1)
+    : segments;
+}
+
+// The deepest folder holding all of a show's transcripts, or null when that
+// folder also holds other shows (or is the root), as in date-first layouts.
+function findShowDirectory(entries, directoryOwners) {
+  const common = entries
+    .map(getEpisodeDirectorySegments)
+    .reduce((shared, segments) => {
+      let length = 0;
+      while (length < shared.length && shared[length] === segments[length]) {
+        length += 1;
+      }
+      return shared.slice(0, length);
+    });
+  const directory = common.join("/");
+  if (!directory || directoryOwners.get(directory) > 1) {
+    return null;
+  }
+  return directory;
+}
+
+function groupEntriesByShow(entries) {
+  const shows = new Map();
+  entries.forEach((entry) => {
+    const key = entry.showSlug || entry.showTitle;
+    if (!shows.has(key)) {
+      shows.set(key, { showTitle: entry.showTitle, entries: [] });
+    }
+    shows.get(key).entries.push(entry);
+  });
+  return Array.from(shows.values());
+}
+
+// Counts how many shows have transcripts in or below each folder.
+function countDirectoryOwners(shows) {
+  const owners = new Map();
+  shows.forEach((show) => {
+    const directories = new Set();
+    show.entries.forEach((entry) => {
+      const segments = getEpisodeDirectorySegments(entry);
+      segments.forEach((segment, index) => {
+        directories.add(segments.slice(0, index + 1).join("/"));
+      });
+    });
+    directories.forEach((directory) => {
+      owners.set(directory, (owners.get(directory) || 0) + 1);
+    });
+  });
+  return owners;
+}
+
+function buildShowRows({ show, pageDirectory, summariesDir, transcriptsDir }) {
+  return show.entries.map((entry) => {
+    const listeningStatus = entry.metadata.listeningStatus || null;
+    const summaryPath = resolveSummaryPath(summariesDir, entry.metadata);
+    return {
+      date: entry.pubDate,
+      episode: entry.episodeTitle,
+      state: formatPlayStateLabel(entry.playState),
+      duration:
+        listeningStatus &&
+        typeof listeningStatus.durationSeconds === "number" &&
+        listeningStatus.durationSeconds > 0
+          ? formatTimestamp(Math.round(listeningStatus.durationSeconds))
+          : "",
+      transcript: buildLink(
+        pageDirectory,
+        path.join(transcriptsDir, entry.normalizedRelativePath)
+      ),
+      summary: fs.existsSync(summaryPath)
+        ? buildLink(pageDirectory, summaryPath)
+        : null,
+    };
+  });
+}
+
+function renderShowPage({ showTitle, libraryLink, rows, played, signature }) {
+  const lines = [
+    `<!-- transcripts index: ${signature} -->`,
+    `# ${showTitle}`,
+    "",
+    `[← All shows](${libraryLink})`,
+    "",
+    `${rows.length} episode${rows.length === 1 ? "" : "s"} · ${played} played`,
+    "",
+    "| Date | Episode | State | Duration | Summary |",
+    "| --- | --- | --- | --- | --- |",
+    ...rows.map(
+      (row) =>
+        `| ${row.date} | [${escapeTableText(row.episode)}](${
+          row.transcript
+        }) | ${row.state} | ${row.duration} | ${
+          row.summary ? `[Summary](${row.summary})` : ""
+        } |`
+    ),
+  ];
+  return `${lines.join("\n")}\n`;
+}
+
+function renderLibraryPage({ rows, signature }) {
+  const episodeCount = rows.reduce((total, row) => total + row.episodes, 0);
+  const lines = [
+    `<!-- transcripts index: ${signature} -->`,
+    "# Podcast library",
+    "",
+    `${rows.length} show${
+      rows.length === 1 ? "" : "s"
+    } · ${episodeCount} episode${episodeCount === 1 ? "" : "s"}`,
+    "",
+    "| Show | Episodes | Played | Latest |",
+    "| --- | --- | --- | --- |",
+    ...rows.map((row) => {
+      const title = escapeTableText(row.showTitle);
+      const show = row.link ? `[${title}](${row.link})` : title;
+      return `| ${show} | ${row.episodes} | ${row.played} | ${row.latest} |`;
+    }),
+  ];
+  return `${lines.join("\n")}\n`;
+}
+
+function writeIndexPage({ filePath, source, render, fileOps }) {
+  const signature = buildIndexSignature(source);
+  if (fileOps.exists(filePath) && readIndexSignature(filePath) === signature) {
+    return false;
+  }
+  if (fileOps.exists(filePath) && !isGeneratedIndexPage(filePath)) {
+    console.warn(
+      `[WARN] Skipped writing ${filePath} because a file that was not generated by sync is already there.`
+    );
+    return false;
+  }
+  fileOps.writeFile(filePath, render(signature));
+  return true;
+}
+
+// Writes `index.md` in each show folder and a library page at the root of
+// `transcripts/`, then removes generated pages that no longer belong to a
+// show. Pages are only rewritten when the manifest rows behind them change.
+// Returns the number of pages written or removed.
+function writeLibraryIndexes({
+  manifest,
+  transcriptsDir,
+  summariesDir,
+  fileOps = defaultFileOperations,
+}) {
+  const entries = buildCatalogEntries(manifest)
+    .filter((entry) => entry.normalizedRelativePath)
+    .sort(compareCatalogEntriesDesc);
+  const shows = groupEntriesByShow(entries).sort((a, b) =>
+    a.showTitle.localeCompare(b.showTitle, undefined, { sensitivity: "base" })
+  );
+  const directoryOwners = countDirectoryOwners(shows);
+  const libraryPath = path.join(transcriptsDir, INDEX_PAGE_FILENAME);
+  const expectedPages = new Set([libraryPath]);
+  let changedPages = 0;
+  const libraryRows = shows.map((show) => {
+    const played = show.entries.filter(
+      (entry) => entry.playState === "played"
+    ).length;
+    const showDirectory = findShowDirectory(show.entries, directoryOwners);
+    const pagePath = showDirectory
+      ? path.join(
+          transcriptsDir,
+          ...showDirectory.split("/"),
+          INDEX_PAGE_FILENAME
+        )
+      : null;
+    if (pagePath) {
+      expectedPages.add(pagePath);
+      const pageDirectory = path.dirname(pagePath);
+      const rows = buildShowRows({
+        show,
+        pageDirectory,
+        summariesDir,
+        transcriptsDir,
+      });
+      const libraryLink = buildLink(pageDirectory, libraryPath);
+      if (
+        writeIndexPage({
+          filePath: pagePath,
+          source: { showTitle: show.showTitle, libraryLink, rows },
+          render: (signature) =>
+            renderShowPage({
+              showTitle: show.showTitle,
+              libraryLink,
+              rows,
+              played,
+              signature,
+            }),
+          fileOps,
+        })
+      ) {
+        changedPages += 1;
+      }
+    }
+    return {
+      showTitle: show.showTitle,
+      link: pagePath ? buildLink(transcriptsDir, pagePath) : null,
+      episodes: show.entries.length,
+      played,
+      latest: show.entries[0].pubDate,
+    };
+  });
+  if (
+    writeIndexPage({
+      filePath: libraryPath,
+      source: libraryRows,
+      render: (signature) =>
+        renderLibraryPage({ rows: libraryRows, signature }),
+      fileOps,
+    })
+  ) {
+    changedPages += 1;
+  }
+  findGeneratedIndexPages(transcriptsDir).forEach((pagePath) => {
+    if (!expectedPages.has(pagePath) && fileOps.exists(pagePath)) {
+      fileOps.unlink(pagePath);
+      changedPages += 1;
+    }
+  });
+  return changedPages;
+}
+
+export { isGeneratedIndexPage, writeLibraryIndexes };
+
+export default {
+  isGeneratedIndexPage,
+  writeLibraryIndexes,
+};
@@ -1,13 +1,26 @@
 import fs from "fs";
 import path from "path";
 
+import manifestMigrations from "./manifest-migrations.js";
+import { acquireSyncLock } from "./sync-lock.js";
+import { writeFileAtomicSync } from "./utils/atomic-write.js";
+
+const { CURRENT_MANIFEST_VERSION, migrateManifest } = manifestMigrations;
+
 const MANIFEST_FILENAME = ".listening-status.json";
-const MANIFEST_VERSION = 2;
+const MANIFEST_VERSION = CURRENT_MANIFEST_VERSION;
 
 function getManifestPath(baseDirectory) {
   return path.join(baseDirectory, MANIFEST_FILENAME);
 }
 
+function getManifestBackupPath(baseDirectory, version) {
+  return path.join(
+    baseDirectory,
+    `${path.basename(MANIFEST_FILENAME, ".json")}.v${version}.bak.json`
+  );
+}
+
 function createEmptyManifest() {
   return {
     version: MANIFEST_VERSION,
@@ -51,35 +64,85 @@ function normalizeRenderOptions(input) {
   if ("includeTimestamps" in input) {
     result.includeTimestamps = Boolean(input.includeTimestamps);
   }
+  if (typeof input.timestamps === "string" && input.timestamps) {
+    result.timestamps = input.timestamps;
+  }
+  if (input.timestampLinks) {
+    result.timestampLinks = true;
+  }
+  if (input.frontMatter) {
+    result.frontMatter = true;
+  }
+  if (typeof input.template === "string" && input.template) {
+    result.template = input.template;
+  }
+  if (typeof input.speakerNames === "string" && input.speakerNames) {
+    result.speakerNames = input.speakerNames;
+  }
   return Object.keys(result).length > 0 ? result : null;
 }
 
-function loadListeningStatusManifest(baseDirectory) {
+// Older manifests are migrated on load. The original file is copied to
+// `.listening-status.v<N>.bak.json` before the upgraded one replaces it, unless
+// `persistMigration` is false (dry runs), in which case only memory changes
+// and `pendingMigrationFrom` records the version that was read. The write
+// takes the sync lock unless the caller says it holds it (`lockHeld`); when
+// another run holds it, the migration stays in memory and that run saves it.
+function loadListeningStatusManifest(
+  baseDirectory,
+  { persistMigration = true, lockHeld = false } = {}
+) {
   const manifestPath = getManifestPath(baseDirectory);
   if (!fs.existsSync(manifestPath)) {
     return createEmptyManifest();
   }
+  let raw = null;
+  let parsed = null;
   try {
-    const raw = fs.readFileSync(manifestPath, "utf8");
+    raw = fs.readFileSync(manifestPath, "utf8");
     if (!raw.trim()) {
       return createEmptyManifest();
     }
-    const parsed = JSON.parse(raw);
-    if (!parsed || typeof parsed !== "object") {
-      return createEmptyManifest();
-    }
-    if (!parsed.entries || typeof parsed.entries !== "object") {
-      parsed.entries = {};
-    }
-    parsed.version = MANIFEST_VERSION;
-    parsed.updatedAt = parsed.updatedAt || null;
-    return parsed;
+    parsed = JSON.parse(raw);
   } catch (error) {
     console.warn(
       `Unable to read listening status manifest. Continuing without cached statuses. (${error.message})`
     );
     return createEmptyManifest();
   }
+  if (!parsed || typeof parsed !== "object") {
+    return createEmptyManifest();
+  }
+  // A manifest from a newer release throws here rather than falling back to an
+  // empty one, which the next save would write over.
+  const { manifest, fromVersion, applied } = migrateManifest(parsed);
+  manifest.updatedAt = manifest.updatedAt || null;
+  if (applied.length === 0) {
+    return manifest;
+  }
+  const lock =
+    persistMigration && !lockHeld ? acquireSyncLock(baseDirectory) : null;
+  if (!persistMigration || (lock && !lock.acquired)) {
+    manifest.pendingMigrationFrom = fromVersion;
+    return manifest;
+  }
+  try {
+    const backupPath = getManifestBackupPath(baseDirectory, fromVersion);
+    writeFileAtomicSync(backupPath, raw);
+    saveListeningStatusManifest(baseDirectory, manifest);
+    console.log(
+      `[INFO] Migrated listening status manifest from v${fromVersion} to v${
+        manifest.version
+      } (${applied
+        .map((migration) => migration.description)
+        .join("; ")}). Backup: ${backupPath}`
+    );
+  } finally {
+    if (lock) {
+      lock.release();
+    }
+  }
+  return manifest;
 }
 
 function saveListeningStatusManifest(baseDirectory, manifest) {
@@ -90,10 +153,14 @@ function saveListeningStatusManifest(baseDirectory, manifest) {
   }
   const output = {
     version: MANIFEST_VERSION,
+    // The layout transcripts were written with; absent means the default.
+    ...(manifest.outputPattern
+      ? { outputPattern: manifest.outputPattern }
+      : {}),
     entries: manifest.entries || {},
     updatedAt: new Date().toISOString(),
   };
-  fs.writeFileSync(manifestPath, `${JSON.stringify(output, null, 2)}\n`);
+  writeFileAtomicSync(manifestPath, `${JSON.stringify(output, null, 2)}\n`);
 }
 
 function upsertManifestEntry(manifest, payload) {
@@ -110,6 +177,7 @@ function upsertManifestEntry(manifest, payload) {
     sourceMtimeMs = null,
     sourceSize = null,
     renderOptions = null,
+    transcriptHash = null,
   } = payload;
   const nowIso = new Date().toISOString();
   const existing = manifest.entries[identifier] || {};
@@ -139,6 +207,7 @@ function upsertManifestEntry(manifest, payload) {
     lastProcessedAt: processed ? nowIso : existing.lastProcessedAt || null,
     source: nextSource,
     renderOptions: nextRenderOptions,
+    transcriptHash: transcriptHash || existing.transcriptHash || null,
   };
   const prevComparable = {
     metadata: existing.metadata || null,
@@ -148,6 +217,7 @@ function upsertManifestEntry(manifest, payload) {
     lastProcessedAt: existing.lastProcessedAt || null,
     source: existingSource,
     renderOptions: existingRenderOptions,
+    transcriptHash: existing.transcriptHash || null,
   };
   const hasChanged =
     JSON.stringify(prevComparable) !== JSON.stringify(nextComparable);
@@ -162,6 +232,51 @@ function upsertManifestEntry(manifest, payload) {
   return true;
 }
 
+const DESCRIBED_ENTRY_FIELDS = [
+  "relativePath",
+  "playState",
+  "metadata",
+  "source",
+  "renderOptions",
+  "missingSince",
+];
+
+// Summarizes how `nextEntries` differs from `previousEntries` for dry runs.
+// Bookkeeping timestamps are left out because every sync touches them.
+function describeManifestChanges(previousEntries, nextEntries) {
+  const before = previousEntries || {};
+  const after = nextEntries || {};
+  const lines = [];
+  Object.keys(after).forEach((identifier) => {
+    const previous = before[identifier];
+    const next = after[identifier];
+    if (!previous) {
+      lines.push(`add ${identifier}`);
+      return;
+    }
+    const changedFields = DESCRIBED_ENTRY_FIELDS.filter(
+      (field) =>
+        JSON.stringify(previous[field] ?? null) !==
+        JSON.stringify(next[field] ?? null)
+    );
+    if (changedFields.length === 0) {
+      return;
+    }
+    const details = changedFields.map((field) =>
+      field === "relativePath" || field === "playState"
+        ? `${field}: ${previous[field] || "none"} → ${next[field] || "none"}`
+        : field
+    );
+    lines.push(`update ${identifier} (${details.join(", ")})`);
+  });
+  Object.keys(before).forEach((identifier) => {
+    if (!after[identifier]) {
+      lines.push(`remove ${identifier}`);
+    }
+  });
+  return lines;
+}
+
 function mergeManifestMetadataIntoMap(manifest, metadataMap) {
   if (!manifest || !manifest.entries) {
     return;
@@ -177,6 +292,7 @@ function mergeManifestMetadataIntoMap(manifest, metadataMap) {
 }
 
 export {
+  describeManifestChanges,
   getManifestPath,
   loadListeningStatusManifest,
   mergeManifestMetadataIntoMap,
@@ -185,6 +301,7 @@ export {
 };
 
 export default {
+  describeManifestChanges,
   loadListeningStatusManifest,
   saveListeningStatusManifest,
   upsertManifestEntry,
@@ -1,184 +1,211 @@
-import { ApiError, GoogleGenAI } from "@google/genai";
-import fs from "fs";
-import path from "path";
-import { transcriptsDir } from "../app-config.js";
-import { getGeminiApiKey } from "../env.js";
 import { getEpisodeDescriptionMarkdown } from "../episode-markdown-builder.js";
+import { linkSummaryTimestamps, unlinkTimestamps } from "../timestamp-links.js";
 import transcriptFieldFormatters from "../transcript-field-formatters.js";
-import { buildEpisodeContext, getPromptTemplate } from "./gemini-prompt.js";
+import {
+  buildEpisodeContext,
+  getWindowPromptTemplates,
+} from "./gemini-prompt.js";
+import { getLlmProvider } from "./llm-provider.js";
+import {
+  buildSummaryFingerprint,
+  isSameFingerprint,
+  readSummaryFile,
+  resolveSummarySetup,
+  writeSummaryFile,
+} from "./summary-cache.js";
+import { splitTranscriptIntoWindows } from "./transcript-windows.js";
 
-const DEFAULT_MODEL_ID = "gemini-2.5-flash-lite";
+const { formatTimestamp } = transcriptFieldFormatters;
+// Share of each window repeated at the start of the next one.
+const WINDOW_OVERLAP_RATIO = 0.05;
 
-let cachedClient = null;
-let cachedApiKey = null;
-
-function getClient() {
-  const apiKey = getGeminiApiKey();
-  if (!apiKey) {
-    return null;
-  }
-  if (cachedClient && cachedApiKey === apiKey) {
-    return cachedClient;
-  }
-  try {
-    cachedClient = new GoogleGenAI({ apiKey });
-    cachedApiKey = apiKey;
-    return cachedClient;
-  } catch (error) {
-    console.warn(`[WARN] Unable to initialize Gemini client: ${error.message}`);
-    return null;
-  }
+function buildRequest(parts) {
+  return parts.filter(Boolean).join("\n\n");
 }
 
-function getResponseText(response) {
-  if (!response) {
+function formatWindowRange(window) {
+  if (window.start === null) {
     return "";
   }
-  const directText = response.text;
-  if (typeof directText === "function") {
-    try {
-      const value = directText();
-      if (typeof value === "string") {
-        return value;
-      }
-    } catch (error) {
-      return "";
+  return window.end === null
+    ? ` (${formatTimestamp(window.start)} to the end)`
+    : ` (${formatTimestamp(window.start)}–${formatTimestamp(window.end)})`;
+}
+
+// Map-reduce for transcripts longer than one request: every window is turned
+// into timestamped notes, then the notes are summarized with the main prompt.
+// Windows keep the transcript's own `[HH:MM:SS]` markers, so the times in the
+// notes, and in the final summary, are positions in the whole episode.
+async function summarizeWindows({
+  provider,
+  prompt,
+  windowPrompts,
+  metadataBlock,
+  windows,
+  onProgress,
+  onText,
+  signal,
+  rateLimiter,
+}) {
+  const notes = [];
+  for (const [index, window] of windows.entries()) {
+    if (onProgress) {
+      onProgress({ step: index + 1, steps: windows.length + 1 });
     }
-  } else if (typeof directText === "string") {
-    return directText;
-  }
-  const candidates = Array.isArray(response.candidates)
-    ? response.candidates
-    : [];
-  if (candidates.length > 0) {
-    const parts =
-      candidates[0] && candidates[0].content
-        ? candidates[0].content.parts
-        : null;
-    if (Array.isArray(parts) && parts.length > 0) {
-      return parts
-        .map((part) => (typeof part.text === "string" ? part.text : ""))
-        .join("");
+    const label = `Part ${index + 1} of ${windows.length}${formatWindowRange(
+      window
+    )}`;
+    const windowNotes = await requestText(
+      provider,
+      buildRequest([
+        windowPrompts.window,
+        metadataBlock,
+        `${label}:`,
+        window.text,
+      ]),
+      { signal, rateLimiter }
+    );
+    if (!windowNotes || !windowNotes.trim()) {
+      throw new Error(`No notes came back for ${label.toLowerCase()}.`);
     }
+    notes.push(`### ${label}\n\n${windowNotes.trim()}`);
   }
-  if (typeof response.outputText === "string") {
-    return response.outputText;
+  if (onProgress) {
+    onProgress({ step: windows.length + 1, steps: windows.length + 1 });
   }
-  return "";
+  return requestText(
+    provider,
+    buildRequest([
+      prompt,
+      windowPrompts.reduce,
+      metadataBlock,
+      "Transcript notes:",
+      ...notes,
+    ]),
+    { onText, signal, rateLimiter }
+  );
 }
 
-async function runGeminiRequest({ transcriptContent, entry }) {
-  if (!transcriptContent || typeof transcriptContent !== "string") {
-    return null;
+// Streams the request that produces the summary itself when the caller shows
+// it as it arrives. A `rateLimiter` from utils/rate-limiter.js holds every
+// request until it may be sent.
+async function requestText(provider, request, { onText, signal, rateLimiter }) {
+  if (rateLimiter) {
+    await rateLimiter.wait(signal);
   }
-  const prompt = getPromptTemplate();
-  if (!prompt) {
-    return null;
+  return onText
+    ? provider.streamText(request, { signal, onText })
+    : provider.generateText(request, { signal });
+}
+
+function readCurrentSummary(entry, transcriptContent, setup) {
+  const cached = readSummaryFile(entry, setup.profile.suffix);
+  if (
+    cached &&
+    isSameFingerprint(
+      cached.fingerprint,
+      buildSummaryFingerprint(entry, transcriptContent, setup)
+    )
+  ) {
+    return linkSummaryTimestamps(cached.summary, entry && entry.metadata);
   }
+  return null;
+}
+
+// Returns the saved summary when it was made from this transcript with the
+// current prompt profile and model, or null when it is missing or stale.
+function readCachedSummary(entry, transcriptContent, promptProfile = null) {
   try {
-    const summariesDir = path.join(path.dirname(transcriptsDir), "summaries");
-    const { slugify, truncateSlug } = transcriptFieldFormatters;
-    const meta = entry && entry.metadata ? entry.metadata : {};
-    const showSlug =
-      meta.showSlug ||
-      slugify(
-        entry && entry.showTitle
-          ? entry.showTitle
-          : meta.showTitle || "unknown-show"
-      );
-    const baseFileName = meta.baseFileName
-      ? meta.baseFileName
-      : (() => {
-          const rawTitle =
-            (entry && (entry.episodeTitle || entry.showTitle)) ||
-            meta.episodeTitle ||
-            "unknown";
-          const rawDate =
-            (entry && entry.pubDate) || meta.pubDate || "unknown-date";
-          const episodeSlug = truncateSlug(slugify(rawTitle, "episode"), 20);
-          return `${showSlug}_${rawDate}_${episodeSlug}`;
-        })();
-    const playState =
-      (entry && entry.listeningStatus && entry.listeningStatus.playState) ||
-      (meta.listeningStatus && meta.listeningStatus.playState) ||
-      null;
-    const targetDir =
-      playState === "played"
-        ? path.join(summariesDir, showSlug, "played")
-        : path.join(summariesDir, showSlug);
-    const cacheFile = path.join(targetDir, `summary_${baseFileName}.md`);
+    const setup = resolveSummarySetup(entry, promptProfile);
+    return setup ? readCurrentSummary(entry, transcriptContent, setup) : null;
+  } catch (e) {}
+  return null;
+}
 
-    // Check local cache first
-    try {
-      if (fs.existsSync(cacheFile)) {
-        const cached = fs.readFileSync(cacheFile, "utf8");
-        if (cached && cached.trim()) return cached.trim();
-      }
-    } catch (e) {}
+// Whether a new summary can be requested: the prompt profile is readable and
+// the configured backend has what it needs, such as an API key.
+function canRequestSummary(entry, promptProfile = null) {
+  const setup = resolveSummarySetup(entry, promptProfile);
+  return Boolean(setup) && setup.provider.isConfigured();
+}
 
-    // No external cache lookup; rely on local summaries directory only.
-  } catch (e) {}
-  const client = getClient();
-  if (!client) {
+// `onProgress({ step, steps })` is called before each request when a long
+// transcript is summarized in several steps. With `onText`, the summary is
+// streamed and every piece is passed on as it arrives. Aborting `signal`
+// cancels the request; nothing is cached then. `refresh` ignores a saved
+// summary even when it is current. `promptProfile` names the profile in
+// `prompts/`; without it the show's or the configured default applies.
+// `rateLimiter` paces the requests of batch runs, and `requireSaved` makes a
+// summary that cannot be written to `summaries/` an error instead of a warning.
+async function runGeminiRequest({
+  transcriptContent,
+  entry,
+  onProgress,
+  onText,
+  signal,
+  refresh = false,
+  promptProfile = null,
+  rateLimiter = null,
+  requireSaved = false,
+}) {
+  if (!transcriptContent || typeof transcriptContent !== "string") {
+    return null;
+  }
+  const setup = resolveSummarySetup(entry, promptProfile);
+  if (!setup) {
+    return null;
+  }
+  const cached = refresh
+    ? null
+    : readCurrentSummary(entry, transcriptContent, setup);
+  if (cached) {
+    return cached;
+  }
+  const { profile, provider } = setup;
+  const prompt = profile.prompt;
+  if (!provider.isConfigured()) {
     return null;
   }
   const metadataBlock = buildEpisodeContext(entry);
-  const requestParts = [prompt];
-  if (metadataBlock) {
-    requestParts.push(metadataBlock);
+  // Timestamp links would only cost tokens; the summary is linked afterwards.
+  const transcript = unlinkTimestamps(transcriptContent);
+  const windows = splitTranscriptIntoWindows(transcript, {
+    maxChars: provider.windowChars,
+    overlapChars: Math.round(provider.windowChars * WINDOW_OVERLAP_RATIO),
+  });
+  const windowPrompts = windows.length > 1 ? getWindowPromptTemplates() : null;
+  const response = windowPrompts
+    ? await summarizeWindows({
+        provider,
+        prompt,
+        windowPrompts,
+        metadataBlock,
+        windows,
+        onProgress,
+        onText,
+        signal,
+        rateLimiter,
+      })
+    : await requestText(
+        provider,
+        buildRequest([prompt, metadataBlock, "Transcript:", transcript]),
+        { onText, signal, rateLimiter }
+      );
+  if (signal && signal.aborted) {
+    return null;
   }
-  requestParts.push("Transcript:");
-  requestParts.push(transcriptContent);
-  const request = {
-    model: DEFAULT_MODEL_ID,
-    contents: requestParts.join("\n\n"),
-  };
-  const response = await client.models.generateContent(request);
-  const summary = getResponseText(response);
+  const summary = linkSummaryTimestamps(response, entry && entry.metadata);
+  let saveError = null;
   try {
     if (summary && summary.trim()) {
-      const summariesDir = path.join(path.dirname(transcriptsDir), "summaries");
-      const { slugify, truncateSlug } = transcriptFieldFormatters;
       const meta = entry && entry.metadata ? entry.metadata : {};
-      const showSlug =
-        meta.showSlug ||
-        slugify(
-          entry && entry.showTitle
-            ? entry.showTitle
-            : meta.showTitle || "unknown-show"
-        );
-      const baseFileName = meta.baseFileName
-        ? meta.baseFileName
-        : (() => {
-            const rawTitle =
-              (entry && (entry.episodeTitle || entry.showTitle)) ||
-              meta.episodeTitle ||
-              "unknown";
-            const rawDate =
-              (entry && entry.pubDate) || meta.pubDate || "unknown-date";
-            const episodeSlug = truncateSlug(slugify(rawTitle, "episode"), 20);
-            return `${showSlug}_${rawDate}_${episodeSlug}`;
-          })();
-      const playState =
-        (entry && entry.listeningStatus && entry.listeningStatus.playState) ||
-        (meta.listeningStatus && meta.listeningStatus.playState) ||
-        null;
-      const targetDir =
-        playState === "played"
-          ? path.join(summariesDir, showSlug, "played")
-          : path.join(summariesDir, showSlug);
-      try {
-        if (!fs.existsSync(targetDir))
-          fs.mkdirSync(targetDir, { recursive: true });
-      } catch (e) {}
-      const cacheFile = path.join(targetDir, `summary_${baseFileName}.md`);
       try {
         const show = meta.showTitle || (entry && entry.showTitle) || null;
         const episode =
           meta.episodeTitle || (entry && entry.episodeTitle) || null;
         const pubDate = meta.pubDate || (entry && entry.pubDate) || null;
         const description = getEpisodeDescriptionMarkdown(meta) || null;
-        let header = `# ✨ Gemini summary\n`;
+        let header = `${formatSummaryHeading(provider)}\n`;
         if (show) header += ` **Show:** ${show}\n`;
         if (episode) header += ` **Episode:** ${episode}\n`;
         if (pubDate) header += ` **Published:** ${pubDate}\n`;
@@ -187,32 +214,64 @@ async function runGeminiRequest({ transcriptContent, entry }) {
         if (description) {
           fileContent += `\n---\n\n### Episode description:\n\n${description}\n`;
         }
-        fs.writeFileSync(cacheFile, fileContent, "utf8");
+        writeSummaryFile(entry, fileContent, {
+          fingerprint: buildSummaryFingerprint(entry, transcriptContent, setup),
+          suffix: profile.suffix,
+        });
 
         // External mirroring removed; summaries stay within the project tree.
       } catch (e) {
-        console.warn(
-          `[WARN] Unable to write summary cache: ${
-            e && e.message ? e.message : e
-          }`
-        );
+        saveError = e;
       }
     }
   } catch (e) {}
+  if (saveError) {
+    const message = `Unable to write summary cache: ${
+      saveError && saveError.message ? saveError.message : saveError
+    }`;
+    if (requireSaved) {
+      throw new Error(message);
+    }
+    console.warn(`[WARN] ${message}`);
+  }
   return summary && summary.trim() ? summary.trim() : null;
 }
 
+// The first line of every summary, e.g. `# ✨ Gemini summary`.
+function formatSummaryHeading(provider = getLlmProvider()) {
+  return `# ✨ ${provider.label} summary`;
+}
+
+function hasSummaryHeading(markdown) {
+  return /^\s*#\s*✨[^\n]*summary/i.test(markdown || "");
+}
+
+// One line for reports, such as "429: Resource has been exhausted".
+function describeGeminiError(error) {
+  const status = getLlmProvider().getErrorStatus(error);
+  const message = error && error.message ? error.message : String(error);
+  return status ? `${status}: ${message}` : message;
+}
+
 function logGeminiError(error) {
-  if (error instanceof ApiError) {
+  const provider = getLlmProvider();
+  const status = provider.getErrorStatus(error);
+  if (status) {
     console.warn(
-      `[WARN] Gemini summarization failed (${
-        error.status || "unknown status"
-      }): ${error.message}`
+      `[WARN] ${provider.label} summarization failed (${status}): ${error.message}`
     );
     return;
   }
   const message = error && error.message ? error.message : error;
-  console.warn(`[WARN] Gemini summarization error: ${message}`);
+  console.warn(`[WARN] ${provider.label} summarization error: ${message}`);
 }
 
-export { logGeminiError, runGeminiRequest };
+export {
+  canRequestSummary,
+  describeGeminiError,
+  formatSummaryHeading,
+  hasSummaryHeading,
+  logGeminiError,
+  readCachedSummary,
+  runGeminiRequest,
+};
@@ -2,6 +2,8 @@ import { marked } from "marked";
 import { markedTerminal } from "marked-terminal";
 import wrapAnsi from "wrap-ansi";
 
+import { unlinkTimestamps } from "../timestamp-links.js";
+
 const DEFAULT_TERMINAL_WIDTH = 80;
 const MAX_OUTPUT_WIDTH = 80;
 let markedConfigured = false;
@@ -30,7 +32,12 @@ function normalizeGeminiMarkdown(markdown) {
   if (!markdown || typeof markdown !== "string") {
     return "";
   }
-  let md = markdown.replace(/\r\n/g, "\n");
+  // Timestamp links stay in saved and copied summaries; in the terminal the
+  // URL would be printed after every time.
+  let md = unlinkTimestamps(markdown, { brackets: false }).replace(
+    /\r\n/g,
+    "\n"
+  );
   md = md.replace(/\n{3,}/g, "\n\n");
   md = md.replace(/([^\n])\n(#{1,6}\s)/g, "$1\n\n$2");
   md = md.replace(/(#{1,6}[^\n]*\n)(?!\n)/g, "$1\n");
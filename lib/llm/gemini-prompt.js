@@ -2,38 +2,134 @@ import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 
+import { getConfigSetting } from "../app-config.js";
+import {
+  readFrontMatterValue,
+  stripFrontMatter,
+} from "../episode-markdown-builder.js";
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
-const PROMPT_PATH = path.resolve(
-  __dirname,
-  "../../prompts/podcasts-summarizer.md"
-);
+const PROMPTS_DIR = path.resolve(__dirname, "../../prompts");
+// Every Markdown file directly in `prompts/` is a profile named after the
+// file. This one is used when nothing else is chosen.
+const DEFAULT_PROMPT_PROFILE = "podcasts-summarizer";
+// Suffixes become part of summary file names, so dots are not allowed.
+const PROFILE_SUFFIX_PATTERN = /^[a-z0-9_-]+$/i;
+// Long transcripts are summarized per window, then combined. These prompts
+// drive those two steps; the main prompt still defines the final output.
+const WINDOW_PROMPT_FILE = "map-reduce/window.md";
+const REDUCE_PROMPT_FILE = "map-reduce/reduce.md";
 
-let cachedPrompt = null;
-let promptMissing = false;
+const cachedPrompts = new Map();
+const missingPrompts = new Set();
 
-function getPromptTemplate() {
-  if (cachedPrompt) {
-    return cachedPrompt;
+function readPromptFile(fileName) {
+  if (cachedPrompts.has(fileName)) {
+    return cachedPrompts.get(fileName);
   }
-  if (promptMissing) {
+  if (missingPrompts.has(fileName)) {
     return null;
   }
+  const promptPath = path.join(PROMPTS_DIR, fileName);
   try {
-    const raw = fs.readFileSync(PROMPT_PATH, "utf8");
-    cachedPrompt = raw ? raw.trim() : "";
-    return cachedPrompt;
+    const raw = fs.readFileSync(promptPath, "utf8");
+    const prompt = raw ? raw.trim() : "";
+    cachedPrompts.set(fileName, prompt);
+    return prompt;
   } catch (error) {
-    if (!promptMissing) {
-      console.warn(
-        `[WARN] Gemini prompt file missing or unreadable at ${PROMPT_PATH}: ${error.message}`
-      );
-      promptMissing = true;
-    }
+    console.warn(
+      `[WARN] Summary prompt file missing or unreadable at ${promptPath}: ${error.message}`
+    );
+    missingPrompts.add(fileName);
     return null;
   }
 }
 
+function listPromptProfiles() {
+  try {
+    return fs
+      .readdirSync(PROMPTS_DIR, { withFileTypes: true })
+      .filter((entry) => entry.isFile() && entry.name.endsWith(".md"))
+      .map((entry) => entry.name.slice(0, -".md".length))
+      .sort();
+  } catch (error) {
+    return [];
+  }
+}
+
+// Returns `{ name, source, prompt, model, temperature, suffix }` for
+// `prompts/<name>.md`. Front matter may set `model` and `temperature` for the
+// configured backend and the `suffix` that keeps the profile's summaries next
+// to the others (`summary_<file name>.<suffix>.md`); other profiles default to
+// their name as suffix. Returns null when the default prompt is missing and
+// throws for unknown profiles or invalid front matter.
+function loadPromptProfile(name = DEFAULT_PROMPT_PROFILE) {
+  if (name !== DEFAULT_PROMPT_PROFILE && !listPromptProfiles().includes(name)) {
+    const available = listPromptProfiles();
+    throw new Error(
+      `Unknown prompt profile "${name}". Available profiles: ${
+        available.length > 0 ? available.join(", ") : "none"
+      }.`
+    );
+  }
+  const source = readPromptFile(`${name}.md`);
+  if (!source) {
+    return null;
+  }
+  const rawTemperature = readFrontMatterValue(source, "temperature");
+  const temperature = rawTemperature === null ? null : Number(rawTemperature);
+  if (temperature !== null && !Number.isFinite(temperature)) {
+    throw new Error(
+      `The temperature in prompts/${name}.md must be a number (received "${rawTemperature}").`
+    );
+  }
+  const suffix =
+    readFrontMatterValue(source, "suffix") ||
+    (name === DEFAULT_PROMPT_PROFILE ? null : name);
+  if (suffix && !PROFILE_SUFFIX_PATTERN.test(suffix)) {
+    throw new Error(
+      `The suffix in prompts/${name}.md may only contain letters, digits, "-" and "_".`
+    );
+  }
+  return {
+    name,
+    source,
+    prompt: stripFrontMatter(source).trim(),
+    model: readFrontMatterValue(source, "model"),
+    temperature,
+    suffix,
+  };
+}
+
+// `--prompt` wins, then the show's entry in the `showPrompts` config setting
+// (matched by show title, ignoring case, or by show slug), then `prompt`.
+function resolvePromptProfileName(entry, requested = null) {
+  if (requested) {
+    return requested;
+  }
+  const showPrompts = getConfigSetting("showPrompts", {});
+  if (showPrompts && typeof showPrompts === "object" && entry) {
+    const meta = entry.metadata || {};
+    const showTitle = (entry.showTitle || meta.showTitle || "").toLowerCase();
+    const showSlug = entry.showSlug || meta.showSlug || null;
+    const match = Object.keys(showPrompts).find(
+      (key) =>
+        (showTitle && key.toLowerCase() === showTitle) || key === showSlug
+    );
+    if (match) {
+      return showPrompts[match];
+    }
+  }
+  return getConfigSetting("prompt", null) || DEFAULT_PROMPT_PROFILE;
+}
+
+function getWindowPromptTemplates() {
+  const window = readPromptFile(WINDOW_PROMPT_FILE);
+  const reduce = readPromptFile(REDUCE_PROMPT_FILE);
+  return window && reduce ? { window, reduce } : null;
+}
+
 function buildEpisodeContext(entry) {
   if (!entry) {
     return null;
@@ -69,4 +165,10 @@ function buildEpisodeContext(entry) {
   return `Episode details:\n${lines.map((line) => `- ${line}`).join("\n")}`;
 }
 
-export { buildEpisodeContext, getPromptTemplate };
+export {
+  buildEpisodeContext,
+  getWindowPromptTemplates,
+  listPromptProfiles,
+  loadPromptProfile,
+  resolvePromptProfileName,
+};
@@ -1,16 +1,35 @@
 import { createProgressIndicator } from "../cli/progress-indicator.js";
 import { getEpisodeDescriptionMarkdown } from "../episode-markdown-builder.js";
-import { logGeminiError, runGeminiRequest } from "./gemini-client.js";
+import {
+  canRequestSummary,
+  formatSummaryHeading,
+  hasSummaryHeading,
+  logGeminiError,
+  readCachedSummary,
+  runGeminiRequest,
+} from "./gemini-client.js";
 import {
   installResizeHandler,
   renderAndTrack,
   setLastRawSummary,
 } from "./gemini-formatting.js";
 import { runInteractiveGeminiViewer } from "./gemini-summary-viewer.js";
+import { getLlmProvider } from "./llm-provider.js";
+import { createSummaryStream } from "./summary-stream.js";
 
-async function maybeSummarizeTranscript({ transcriptContent, entry }) {
+async function maybeSummarizeTranscript({
+  transcriptContent,
+  entry,
+  refresh = false,
+  promptProfile = null,
+}) {
   try {
-    const summary = await runGeminiRequest({ transcriptContent, entry });
+    const summary = await runGeminiRequest({
+      transcriptContent,
+      entry,
+      refresh,
+      promptProfile,
+    });
     return summary && summary.trim() ? summary.trim() : null;
   } catch (error) {
     logGeminiError(error);
@@ -18,7 +37,135 @@ async function maybeSummarizeTranscript({ transcriptContent, entry }) {
   }
 }
 
-async function maybePrintGeminiSummary({ transcriptContent, entry }) {
+function describeSummaryStep({ step, steps }) {
+  return step < steps ? `part ${step} of ${steps - 1}` : "combining the parts";
+}
+
+// Adds the show, episode and description around a summary for display.
+function formatSummaryForDisplay(summary, entry) {
+  const meta = entry && entry.metadata ? entry.metadata : {};
+  const show = meta.showTitle || (entry && entry.showTitle) || null;
+  const episode = meta.episodeTitle || (entry && entry.episodeTitle) || null;
+  const pubDate = meta.pubDate || (entry && entry.pubDate) || null;
+  const description = getEpisodeDescriptionMarkdown(meta) || null;
+  const trimmed = summary.trim();
+  let full = trimmed;
+  if (!hasSummaryHeading(trimmed)) {
+    let header = `${formatSummaryHeading()}\n\n`;
+    if (show) header += `**Show:** ${show}\n`;
+    if (episode) header += `**Episode:** ${episode}\n`;
+    if (pubDate) header += `**Published:** ${pubDate}\n`;
+    header += `\n`;
+    full = `${header}${trimmed}\n`;
+  }
+  if (description && !/Episode description:\n/i.test(full)) {
+    full += `\n---\n\n### Episode description:\n\n${description}\n`;
+  }
+  return full;
+}
+
+function isInteractiveTerminal() {
+  return Boolean(
+    process.stdin &&
+      process.stdin.isTTY &&
+      process.stdout &&
+      process.stdout.isTTY
+  );
+}
+
+// Opens the viewer before the request is sent and fills it in as the summary
+// streams. Ctrl+C in the viewer cancels the request but keeps the text that
+// already arrived on screen.
+async function streamSummaryIntoViewer({
+  transcriptContent,
+  entry,
+  refresh,
+  promptProfile,
+}) {
+  const stream = createSummaryStream();
+  let viewerError = null;
+  const viewerClosed = runInteractiveGeminiViewer({ stream }).catch((error) => {
+    viewerError = error;
+    stream.cancel();
+  });
+  let streamed = "";
+  let summary = null;
+  let failure = null;
+  try {
+    summary = await runGeminiRequest({
+      transcriptContent,
+      entry,
+      refresh,
+      promptProfile,
+      signal: stream.signal,
+      onProgress: (step) => stream.setDetail(describeSummaryStep(step)),
+      onText: (piece) => {
+        streamed += piece;
+        stream.setText(formatSummaryForDisplay(streamed, entry));
+      },
+    });
+  } catch (error) {
+    if (!stream.signal.aborted) {
+      failure = error;
+    }
+  }
+
+  let shown = null;
+  if (summary) {
+    shown = formatSummaryForDisplay(summary, entry);
+    stream.finish(shown);
+  } else if (stream.signal.aborted) {
+    shown = streamed.trim() ? formatSummaryForDisplay(streamed, entry) : null;
+  } else {
+    stream.fail(
+      failure ? failure.message : "The response did not contain a summary."
+    );
+  }
+  if (shown) {
+    setLastRawSummary(shown);
+  }
+  await viewerClosed;
+  if (viewerError) {
+    throw viewerError;
+  }
+  if (failure) {
+    logGeminiError(failure);
+  }
+  return summary ? summary.trim() : null;
+}
+
+// `refresh` asks for a new summary even when the saved one is current;
+// `promptProfile` picks a profile from `prompts/`.
+async function maybePrintGeminiSummary({
+  transcriptContent,
+  entry,
+  refresh = false,
+  promptProfile = null,
+}) {
+  if (
+    isInteractiveTerminal() &&
+    (refresh || !readCachedSummary(entry, transcriptContent, promptProfile))
+  ) {
+    try {
+      if (!transcriptContent || !canRequestSummary(entry, promptProfile)) {
+        return null;
+      }
+    } catch (error) {
+      logGeminiError(error);
+      return null;
+    }
+    try {
+      return await streamSummaryIntoViewer({
+        transcriptContent,
+        entry,
+        refresh,
+        promptProfile,
+      });
+    } catch (error) {
+      // The viewer could not start; fall back to the spinner below.
+    }
+  }
+
   const progress = createProgressIndicator({
     label: "Summarizing transcript",
   });
@@ -27,10 +174,18 @@ async function maybePrintGeminiSummary({ transcriptContent, entry }) {
   let summary = null;
 
   try {
-    summary = await runGeminiRequest({ transcriptContent, entry });
+    summary = await runGeminiRequest({
+      transcriptContent,
+      entry,
+      refresh,
+      promptProfile,
+      onProgress: (step) => {
+        progress.update({ processed: 0, detail: describeSummaryStep(step) });
+      },
+    });
   } catch (error) {
     if (spinnerActive) {
-      progress.fail("Gemini summary failed");
+      progress.fail(`${getLlmProvider().label} summary failed`);
       spinnerActive = false;
     }
     logGeminiError(error);
@@ -46,38 +201,14 @@ async function maybePrintGeminiSummary({ transcriptContent, entry }) {
   }
 
   if (spinnerActive) {
-    progress.done("Gemini summary ready");
+    progress.done(`${getLlmProvider().label} summary ready`);
     spinnerActive = false;
   }
 
   console.log("");
 
-  const meta = entry && entry.metadata ? entry.metadata : {};
-  const show = meta.showTitle || (entry && entry.showTitle) || null;
-  const episode = meta.episodeTitle || (entry && entry.episodeTitle) || null;
-  const pubDate = meta.pubDate || (entry && entry.pubDate) || null;
-  const description = getEpisodeDescriptionMarkdown(meta) || null;
-  const trimmed = summary.trim();
-  let full = trimmed;
-  const hasHeader = /^\s*#\s*✨\s*Gemini summary/i.test(trimmed);
-  if (!hasHeader) {
-    let header = `# ✨ Gemini summary\n\n`;
-    if (show) header += `**Show:** ${show}\n`;
-    if (episode) header += `**Episode:** ${episode}\n`;
-    if (pubDate) header += `**Published:** ${pubDate}\n`;
-    header += `\n`;
-    full = `${header}${trimmed}\n`;
-  }
-  if (description && !/Episode description:\n/i.test(full)) {
-    full += `\n---\n\n### Episode description:\n\n${description}\n`;
-  }
-  setLastRawSummary(full);
-  if (
-    process.stdin &&
-    process.stdin.isTTY &&
-    process.stdout &&
-    process.stdout.isTTY
-  ) {
+  setLastRawSummary(formatSummaryForDisplay(summary, entry));
+  if (isInteractiveTerminal()) {
     try {
       await runInteractiveGeminiViewer();
     } catch (e) {
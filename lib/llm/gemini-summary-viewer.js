@@ -5,6 +5,7 @@ import {
   getLastRawSummaries,
   getLastRawSummary,
 } from "./gemini-formatting.js";
+import { getLlmProvider } from "./llm-provider.js";
 
 let inkRender = null;
 let InkBox = null;
@@ -38,8 +39,25 @@ function splitLines(str) {
   return String(str).replace(/\r\n/g, "\n").split("\n");
 }
 
+function describeStreamState(streamState, providerLabel) {
+  switch (streamState.status) {
+    case "waiting":
+      return `Waiting for ${providerLabel}${
+        streamState.detail ? ` (${streamState.detail})` : ""
+      }…`;
+    case "streaming":
+      return "Streaming…";
+    case "cancelled":
+      return "Stopped; showing the partial summary";
+    case "failed":
+      return `Failed: ${streamState.detail}`;
+    default:
+      return "";
+  }
+}
+
 function Viewer(props) {
-  const { stdoutColumns, stdoutRows } = props;
+  const { stdoutColumns, stdoutRows, stream } = props;
   const { exit } = inkUseApp();
   const { stdout } = inkUseStdout();
   const [start, setStart] = React.useState(0);
@@ -47,7 +65,7 @@ function Viewer(props) {
   const [termRows, setTermRows] = React.useState(stdoutRows || null);
 
   // Load summaries (may be an array of strings or objects)
-  const initialSummaries = getLastRawSummaries();
+  const initialSummaries = stream ? [] : getLastRawSummaries();
   const [summaries] = React.useState(
     Array.isArray(initialSummaries)
       ? initialSummaries
@@ -56,6 +74,15 @@ function Viewer(props) {
       : []
   );
   const [currentSummaryIndex, setCurrentSummaryIndex] = React.useState(0);
+  const [providerLabel] = React.useState(() => getLlmProvider().label);
+  const [streamState, setStreamState] = React.useState(() =>
+    stream ? stream.getState() : null
+  );
+
+  React.useEffect(
+    () => (stream ? stream.subscribe(setStreamState) : undefined),
+    [stream]
+  );
 
   function summaryToText(s) {
     if (!s) return "";
@@ -70,10 +97,11 @@ function Viewer(props) {
     return null;
   }
 
-  const currentRaw =
-    summaries && summaries.length > 0
-      ? summaryToText(summaries[currentSummaryIndex])
-      : getLastRawSummary() || "";
+  const currentRaw = streamState
+    ? streamState.text
+    : summaries && summaries.length > 0
+    ? summaryToText(summaries[currentSummaryIndex])
+    : getLastRawSummary() || "";
   const formatted = formatMarkdown(currentRaw);
   const lines = splitLines(formatted);
 
@@ -120,11 +148,19 @@ function Viewer(props) {
   );
 
   inkUseInput((input, key) => {
+    // The first Ctrl+C stops a streaming summary and keeps what arrived.
     if (key.ctrl && input === "c") {
+      if (stream && stream.isActive()) {
+        stream.cancel();
+        return;
+      }
       exit();
       return;
     }
     if (key.escape) {
+      if (stream) {
+        stream.cancel();
+      }
       exit();
       return;
     }
@@ -145,6 +181,9 @@ function Viewer(props) {
       return;
     }
     if (input && input.toLowerCase && input.toLowerCase() === "q") {
+      if (stream) {
+        stream.cancel();
+      }
       exit();
       return;
     }
@@ -181,7 +220,11 @@ function Viewer(props) {
     React.createElement(
       InkText,
       { color: "cyan", bold: true },
-      `Summary ${
+      `${providerLabel} summary ${
+        streamState && streamState.status !== "done"
+          ? `— ${describeStreamState(streamState, providerLabel)} `
+          : ""
+      }${
         summaries && summaries.length > 0
           ? `${currentSummaryIndex + 1}/${summaries.length} — `
           : ""
@@ -206,19 +249,23 @@ function Viewer(props) {
     React.createElement(
       InkText,
       { dimColor: true, marginTop: 1 },
-      `${
-        summaries && summaries.length > 1 ? "./, cycle summaries • " : ""
+      `${summaries && summaries.length > 1 ? "./, cycle summaries • " : ""}${
+        stream && stream.isActive() ? "Ctrl+C stop • " : ""
       }↑/↓ line • ←/→ page • q quit`
     )
   );
 }
 
-async function runInteractiveGeminiViewer() {
+// With a `stream` from createSummaryStream, the viewer opens right away and
+// shows the summary as it arrives; otherwise it shows the last summaries set
+// in gemini-formatting.
+async function runInteractiveGeminiViewer({ stream = null } = {}) {
   await ensureInkLoaded();
   return new Promise((resolve) => {
     let settled = false;
     const app = inkRender(
       React.createElement(Viewer, {
+        stream,
         stdoutColumns:
           typeof process.stdout.columns === "number" &&
           process.stdout.columns > 0
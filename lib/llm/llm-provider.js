@@ -0,0 +1,87 @@
+import { getConfigSetting } from "../app-config.js";
+import { parsePositiveInteger } from "../utils/numbers.js";
+import { createGeminiProvider } from "./providers/gemini.js";
+import { createOllamaProvider } from "./providers/ollama.js";
+import { createOpenAiCompatibleProvider } from "./providers/openai-compatible.js";
+
+// Every backend exposes the same shape:
+//   { id, label, model, windowChars, isConfigured(),
+//     generateText(prompt, { signal }),
+//     streamText(prompt, { signal, onText }), getErrorStatus(error) }
+// Both generate methods resolve to the full response text ("" when the
+// response carried none), or null when the backend cannot be used (for
+// example a missing API key). `streamText` also
+// passes each piece to `onText` as it arrives. Aborting `signal` cancels the
+// request.
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAiCompatibleProvider,
+  ollama: createOllamaProvider,
+};
+const DEFAULT_PROVIDER = "gemini";
+
+// Reads the `llm` config block:
+// `{ provider, model, baseUrl, apiKeyEnv, windowChars, temperature, options,
+//    concurrency, requestsPerMinute }`.
+function getLlmSettings() {
+  const configured = getConfigSetting("llm", {});
+  if (!configured || typeof configured !== "object") {
+    throw new Error("The llm setting must be an object.");
+  }
+  const provider = configured.provider || DEFAULT_PROVIDER;
+  if (!Object.prototype.hasOwnProperty.call(PROVIDERS, provider)) {
+    throw new Error(
+      `Unknown llm provider "${provider}". Use ${Object.keys(PROVIDERS).join(
+        ", "
+      )}.`
+    );
+  }
+  return { ...configured, provider };
+}
+
+let cachedProvider = null;
+let cachedSettingsKey = null;
+
+// `overrides` replaces single settings, such as the model and temperature a
+// prompt profile asks for. Unset overrides keep the configured value.
+function getLlmProvider(overrides = {}) {
+  const settings = getLlmSettings();
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (value != null) {
+      settings[key] = value;
+    }
+  });
+  const settingsKey = JSON.stringify(settings);
+  if (!cachedProvider || cachedSettingsKey !== settingsKey) {
+    cachedProvider = PROVIDERS[settings.provider](settings);
+    cachedSettingsKey = settingsKey;
+  }
+  return cachedProvider;
+}
+
+// Limits for batch runs from the `llm` block: how many summaries are
+// requested at once and how many requests may start per minute. Unset
+// limits are null.
+function getLlmBatchLimits() {
+  const settings = getLlmSettings();
+  const limits = {};
+  ["concurrency", "requestsPerMinute"].forEach((key) => {
+    const value = settings[key];
+    if (value == null) {
+      limits[key] = null;
+      return;
+    }
+    limits[key] = parsePositiveInteger(value);
+    if (limits[key] === null) {
+      throw new Error(`The llm ${key} setting must be a positive integer.`);
+    }
+  });
+  return limits;
+}
+
+export { getLlmBatchLimits, getLlmProvider };
+
+export default {
+  getLlmBatchLimits,
+  getLlmProvider,
+};
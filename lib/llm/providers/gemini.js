@@ -0,0 +1,132 @@
+import { ApiError, GoogleGenAI } from "@google/genai";
+
+import { getEnvValue } from "../../env.js";
+
+const DEFAULT_MODEL_ID = "gemini-2.5-flash-lite";
+// About 40k tokens, or two and a half hours of speech per request.
+const DEFAULT_WINDOW_CHARS = 150000;
+const DEFAULT_API_KEY_ENV = "GEMINI_API_KEY";
+
+let cachedClient = null;
+let cachedApiKey = null;
+
+function getClient(apiKey) {
+  if (cachedClient && cachedApiKey === apiKey) {
+    return cachedClient;
+  }
+  try {
+    cachedClient = new GoogleGenAI({ apiKey });
+    cachedApiKey = apiKey;
+    return cachedClient;
+  } catch (error) {
+    console.warn(`[WARN] Unable to initialize Gemini client: ${error.message}`);
+    return null;
+  }
+}
+
+function getResponseText(response) {
+  if (!response) {
+    return "";
+  }
+  const directText = response.text;
+  if (typeof directText === "function") {
+    try {
+      const value = directText();
+      if (typeof value === "string") {
+        return value;
+      }
+    } catch (error) {
+      return "";
+    }
+  } else if (typeof directText === "string") {
+    return directText;
+  }
+  const candidates = Array.isArray(response.candidates)
+    ? response.candidates
+    : [];
+  if (candidates.length > 0) {
+    const parts =
+      candidates[0] && candidates[0].content
+        ? candidates[0].content.parts
+        : null;
+    if (Array.isArray(parts) && parts.length > 0) {
+      return parts
+        .map((part) => (typeof part.text === "string" ? part.text : ""))
+        .join("");
+    }
+  }
+  if (typeof response.outputText === "string") {
+    return response.outputText;
+  }
+  return "";
+}
+
+function createGeminiProvider(settings = {}) {
+  const apiKeyEnv = settings.apiKeyEnv || DEFAULT_API_KEY_ENV;
+  const getConfiguredClient = () => {
+    const apiKey = getEnvValue(apiKeyEnv);
+    return apiKey ? getClient(apiKey) : null;
+  };
+  const buildConfig = (signal) => {
+    const config = {};
+    if (signal) {
+      config.abortSignal = signal;
+    }
+    if (typeof settings.temperature === "number") {
+      config.temperature = settings.temperature;
+    }
+    return Object.keys(config).length > 0 ? config : undefined;
+  };
+  return {
+    id: "gemini",
+    label: "Gemini",
+    model: settings.model || DEFAULT_MODEL_ID,
+    windowChars: settings.windowChars || DEFAULT_WINDOW_CHARS,
+    isConfigured() {
+      return Boolean(getEnvValue(apiKeyEnv));
+    },
+    async generateText(prompt, { signal } = {}) {
+      const client = getConfiguredClient();
+      if (!client) {
+        return null;
+      }
+      const response = await client.models.generateContent({
+        model: this.model,
+        contents: prompt,
+        config: buildConfig(signal),
+      });
+      return getResponseText(response);
+    },
+    async streamText(prompt, { signal, onText } = {}) {
+      const client = getConfiguredClient();
+      if (!client) {
+        return null;
+      }
+      const stream = await client.models.generateContentStream({
+        model: this.model,
+        contents: prompt,
+        config: buildConfig(signal),
+      });
+      let text = "";
+      for await (const chunk of stream) {
+        const piece = getResponseText(chunk);
+        if (piece) {
+          text += piece;
+          onText(piece);
+        }
+      }
+      return text;
+    },
+    getErrorStatus(error) {
+      return error instanceof ApiError
+        ? error.status || "unknown status"
+        : null;
+    },
+  };
+}
+
+export { createGeminiProvider };
+
+export default {
+  createGeminiProvider,
+};
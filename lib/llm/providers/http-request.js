@@ -0,0 +1,87 @@
+// Shared by the HTTP backends. Failures carry the HTTP status so callers can
+// report them like API errors; aborted requests reject with the AbortError.
+async function sendJsonRequest(url, body, { headers = {}, signal } = {}) {
+  let response = null;
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: JSON.stringify(body),
+      signal,
+    });
+  } catch (error) {
+    if (error.name === "AbortError") {
+      throw error;
+    }
+    const cause = error.cause && error.cause.message;
+    throw new Error(`Unable to reach ${url}${cause ? ` (${cause})` : ""}`);
+  }
+  if (!response.ok) {
+    const text = await response.text();
+    const error = new Error(describeErrorBody(text) || response.statusText);
+    error.status = response.status;
+    throw error;
+  }
+  return response;
+}
+
+// POSTs JSON and returns the parsed response.
+async function postJson(url, body, options = {}) {
+  const response = await sendJsonRequest(url, body, options);
+  const text = await response.text();
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Unexpected response from ${url}: ${text.slice(0, 200)}`);
+  }
+}
+
+// POSTs JSON and calls `onLine` for every non-empty line of the streamed
+// response body, as it arrives.
+async function postJsonStream(url, body, { onLine, ...options }) {
+  const response = await sendJsonRequest(url, body, options);
+  const decoder = new TextDecoder();
+  let buffered = "";
+  for await (const chunk of response.body) {
+    buffered += decoder.decode(chunk, { stream: true });
+    const lines = buffered.split("\n");
+    buffered = lines.pop();
+    lines.forEach((line) => {
+      if (line.trim()) {
+        onLine(line.trim());
+      }
+    });
+  }
+  buffered += decoder.decode();
+  if (buffered.trim()) {
+    onLine(buffered.trim());
+  }
+}
+
+function describeErrorBody(text) {
+  try {
+    const parsed = JSON.parse(text);
+    const detail = parsed.error;
+    if (detail && typeof detail.message === "string") {
+      return detail.message;
+    }
+    if (typeof detail === "string") {
+      return detail;
+    }
+  } catch (error) {
+    // Not JSON; fall back to the raw body.
+  }
+  return text.trim().slice(0, 200);
+}
+
+function joinUrl(baseUrl, pathname) {
+  return `${baseUrl.replace(/\/+$/, "")}/${pathname.replace(/^\/+/, "")}`;
+}
+
+export { joinUrl, postJson, postJsonStream };
+
+export default {
+  joinUrl,
+  postJson,
+  postJsonStream,
+};
@@ -0,0 +1,78 @@
+import { joinUrl, postJson, postJsonStream } from "./http-request.js";
+
+const DEFAULT_BASE_URL = "http://localhost:11434";
+const DEFAULT_MODEL_ID = "llama3.1";
+// Ollama's default context is small; raise `windowChars` together with
+// `options.num_ctx`.
+const DEFAULT_WINDOW_CHARS = 12000;
+
+// Uses Ollama's native chat API, so transcripts never leave the machine
+// running Ollama. No API key is needed. `options` is passed through as model
+// parameters.
+function createOllamaProvider(settings = {}) {
+  const baseUrl = settings.baseUrl || DEFAULT_BASE_URL;
+  const options =
+    typeof settings.temperature === "number"
+      ? { ...settings.options, temperature: settings.temperature }
+      : settings.options;
+  const buildChatRequest = (model, prompt, stream) => ({
+    model,
+    messages: [{ role: "user", content: prompt }],
+    stream,
+    ...(options ? { options } : {}),
+  });
+  return {
+    id: "ollama",
+    label: "Ollama",
+    model: settings.model || DEFAULT_MODEL_ID,
+    windowChars: settings.windowChars || DEFAULT_WINDOW_CHARS,
+    isConfigured() {
+      return true;
+    },
+    async generateText(prompt, { signal } = {}) {
+      const response = await postJson(
+        joinUrl(baseUrl, "api/chat"),
+        buildChatRequest(this.model, prompt, false),
+        { signal }
+      );
+      return response.message && typeof response.message.content === "string"
+        ? response.message.content
+        : "";
+    },
+    // Streams one JSON object per line until `done` is true.
+    async streamText(prompt, { signal, onText } = {}) {
+      let text = "";
+      await postJsonStream(
+        joinUrl(baseUrl, "api/chat"),
+        buildChatRequest(this.model, prompt, true),
+        {
+          signal,
+          onLine: (line) => {
+            const event = JSON.parse(line);
+            if (event.error) {
+              throw new Error(event.error);
+            }
+            const piece =
+              event.message && typeof event.message.content === "string"
+                ? event.message.content
+                : "";
+            if (piece) {
+              text += piece;
+              onText(piece);
+            }
+          },
+        }
+      );
+      return text;
+    },
+    getErrorStatus(error) {
+      return error && error.status ? error.status : null;
+    },
+  };
+}
+
+export { createOllamaProvider };
+
+export default {
+  createOllamaProvider,
+};
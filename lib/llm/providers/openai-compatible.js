@@ -0,0 +1,110 @@
+import { getEnvValue } from "../../env.js";
+import { joinUrl, postJson, postJsonStream } from "./http-request.js";
+
+const DEFAULT_BASE_URL = "https://api.openai.com/v1";
+const OPENAI_API_HOST = "api.openai.com";
+const DEFAULT_MODEL_ID = "gpt-4o-mini";
+// Fits the context of most hosted and local chat models.
+const DEFAULT_WINDOW_CHARS = 60000;
+const DEFAULT_API_KEY_ENV = "OPENAI_API_KEY";
+
+// OpenAI itself needs a key however its URL is written (trailing slash,
+// upper case); other servers are matched by host so they never do.
+function isOpenAiHost(baseUrl) {
+  try {
+    return new URL(baseUrl).hostname.toLowerCase() === OPENAI_API_HOST;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Talks to any server that implements the OpenAI chat completions API, which
+// includes local llama.cpp and vLLM servers. The API key is optional so local
+// servers work without one.
+function createOpenAiCompatibleProvider(settings = {}) {
+  const baseUrl = settings.baseUrl || DEFAULT_BASE_URL;
+  const apiKeyEnv = settings.apiKeyEnv || DEFAULT_API_KEY_ENV;
+  const requiresApiKey = isOpenAiHost(baseUrl);
+  const buildHeaders = () => {
+    const apiKey = getEnvValue(apiKeyEnv);
+    return apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+  };
+  const buildChatRequest = (model, prompt, stream) => ({
+    model,
+    messages: [{ role: "user", content: prompt }],
+    ...(stream ? { stream } : {}),
+    ...(typeof settings.temperature === "number"
+      ? { temperature: settings.temperature }
+      : {}),
+  });
+  return {
+    id: "openai",
+    label: "OpenAI-compatible",
+    model: settings.model || DEFAULT_MODEL_ID,
+    windowChars: settings.windowChars || DEFAULT_WINDOW_CHARS,
+    isConfigured() {
+      return !requiresApiKey || Boolean(getEnvValue(apiKeyEnv));
+    },
+    async generateText(prompt, { signal } = {}) {
+      if (!this.isConfigured()) {
+        return null;
+      }
+      const response = await postJson(
+        joinUrl(baseUrl, "chat/completions"),
+        buildChatRequest(this.model, prompt, false),
+        { headers: buildHeaders(), signal }
+      );
+      const choice = Array.isArray(response.choices)
+        ? response.choices[0]
+        : null;
+      return choice &&
+        choice.message &&
+        typeof choice.message.content === "string"
+        ? choice.message.content
+        : "";
+    },
+    // Server-sent events: `data: {json}` lines ending with `data: [DONE]`.
+    async streamText(prompt, { signal, onText } = {}) {
+      if (!this.isConfigured()) {
+        return null;
+      }
+      let text = "";
+      await postJsonStream(
+        joinUrl(baseUrl, "chat/completions"),
+        buildChatRequest(this.model, prompt, true),
+        {
+          headers: buildHeaders(),
+          signal,
+          onLine: (line) => {
+            const data = line.startsWith("data:") ? line.slice(5).trim() : "";
+            if (!data || data === "[DONE]") {
+              return;
+            }
+            const event = JSON.parse(data);
+            const choice = Array.isArray(event.choices)
+              ? event.choices[0]
+              : null;
+            const piece =
+              choice && choice.delta && typeof choice.delta.content === "string"
+                ? choice.delta.content
+                : "";
+            if (piece) {
+              text += piece;
+              onText(piece);
+            }
+          },
+        }
+      );
+      return text;
+    },
+    getErrorStatus(error) {
+      return error && error.status ? error.status : null;
+    },
+  };
+}
+
+export { createOpenAiCompatibleProvider };
+
+export default {
+  createOpenAiCompatibleProvider,
+};
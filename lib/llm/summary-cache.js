@@ -0,0 +1,196 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+import { getSummariesDir } from "../app-config.js";
+import {
+  extractTranscriptBody,
+  formatFrontMatter,
+  readFrontMatterValue,
+  stripFrontMatter,
+} from "../episode-markdown-builder.js";
+import { resolveSummaryPath } from "../output-layout.js";
+import { unlinkTimestamps } from "../timestamp-links.js";
+import { writeFileAtomicSync } from "../utils/atomic-write.js";
+import {
+  loadPromptProfile,
+  resolvePromptProfileName,
+} from "./gemini-prompt.js";
+import { getLlmProvider } from "./llm-provider.js";
+
+// Every summary starts with front matter recording what it was made from:
+// hashes of the transcript and the prompt, and the model. A summary whose
+// record no longer matches, or that has none, is stale and is regenerated the
+// next time it is needed.
+const FINGERPRINT_FIELDS = {
+  model: "model",
+  transcript: "transcriptHash",
+  prompt: "promptHash",
+};
+
+const SUMMARY_STATUS_LABELS = {
+  current: "current",
+  stale: "stale",
+  missing: "none",
+};
+
+const knownStatuses = new WeakMap();
+
+// Summaries use the same folder layout as transcripts. Catalog entries may
+// carry the titles and play state outside `metadata`. `suffix` comes from the
+// prompt profile.
+function getSummaryCachePath(entry, suffix = null) {
+  const meta = entry && entry.metadata ? entry.metadata : {};
+  return resolveSummaryPath(
+    getSummariesDir(),
+    {
+      ...meta,
+      showTitle: meta.showTitle || (entry && entry.showTitle) || null,
+      episodeTitle: meta.episodeTitle || (entry && entry.episodeTitle) || null,
+      pubDate: meta.pubDate || (entry && entry.pubDate) || null,
+      listeningStatus:
+        (entry && entry.listeningStatus) || meta.listeningStatus || null,
+    },
+    undefined,
+    suffix
+  );
+}
+
+// Picks the prompt profile for an episode and the backend configured the way
+// the profile asks. Returns `{ profile, provider }`, or null when the prompt
+// is missing.
+function resolveSummarySetup(entry, promptProfile = null) {
+  const profile = loadPromptProfile(
+    resolvePromptProfileName(entry, promptProfile)
+  );
+  if (!profile) {
+    return null;
+  }
+  const provider = getLlmProvider({
+    model: profile.model,
+    temperature: profile.temperature,
+  });
+  return { profile, provider };
+}
+
+function hashText(text) {
+  return crypto.createHash("sha1").update(text).digest("hex").slice(0, 12);
+}
+
+// Sync records a hash of the parsed segments on each manifest entry, so the
+// layout, a template and listening progress never count. Files sync has not
+// recorded fall back to the Markdown below the transcript heading.
+function getTranscriptHash(entry, transcriptContent) {
+  const manifestEntry = entry && (entry.manifestEntry || entry);
+  if (manifestEntry && manifestEntry.transcriptHash) {
+    return manifestEntry.transcriptHash;
+  }
+  return hashText(
+    extractTranscriptBody(unlinkTimestamps(transcriptContent || ""))
+  );
+}
+
+// Only the spoken text counts, and links are not sent to the model. The whole
+// profile file is hashed, so a new temperature also counts as a change.
+function buildSummaryFingerprint(
+  entry,
+  transcriptContent,
+  { profile, provider }
+) {
+  return {
+    model: `${provider.id}:${provider.model}`,
+    transcript: getTranscriptHash(entry, transcriptContent),
+    prompt: hashText(profile.source),
+  };
+}
+
+function isSameFingerprint(stored, expected) {
+  return Object.keys(FINGERPRINT_FIELDS).every(
+    (key) => stored[key] && stored[key] === expected[key]
+  );
+}
+
+// Returns `{ summary, fingerprint }` without the front matter, or null when
+// there is no summary file.
+function readSummaryFile(entry, suffix = null) {
+  try {
+    const content = fs.readFileSync(getSummaryCachePath(entry, suffix), "utf8");
+    const summary = stripFrontMatter(content).trim();
+    if (!summary) {
+      return null;
+    }
+    const fingerprint = {};
+    Object.entries(FINGERPRINT_FIELDS).forEach(([key, field]) => {
+      fingerprint[key] = readFrontMatterValue(content, field);
+    });
+    return { summary, fingerprint };
+  } catch (error) {
+    return null;
+  }
+}
+
+function writeSummaryFile(entry, summary, { fingerprint, suffix = null }) {
+  const cacheFile = getSummaryCachePath(entry, suffix);
+  const fields = {};
+  Object.entries(FINGERPRINT_FIELDS).forEach(([key, field]) => {
+    fields[field] = fingerprint[key];
+  });
+  fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+  writeFileAtomicSync(
+    cacheFile,
+    `${formatFrontMatter(fields)}\n\n${summary.trim()}\n`
+  );
+}
+
+// Returns "current", "stale" or "missing" for the episode's prompt profile,
+// or null when the summary settings cannot be read. The transcript is read
+// from disk only when sync recorded no hash for it; results are remembered per
+// entry for the selector's redraws.
+function getSummaryStatus(entry) {
+  if (!entry) {
+    return null;
+  }
+  if (knownStatuses.has(entry)) {
+    return knownStatuses.get(entry);
+  }
+  let status = null;
+  try {
+    const setup = resolveSummarySetup(entry);
+    const cached = setup ? readSummaryFile(entry, setup.profile.suffix) : null;
+    if (!setup) {
+      status = null;
+    } else if (!cached) {
+      status = "missing";
+    } else {
+      const manifestEntry = entry.manifestEntry || entry;
+      const content = manifestEntry.transcriptHash
+        ? null
+        : fs.readFileSync(entry.absolutePath, "utf8");
+      status = isSameFingerprint(
+        cached.fingerprint,
+        buildSummaryFingerprint(entry, content, setup)
+      )
+        ? "current"
+        : "stale";
+    }
+  } catch (error) {
+    status = null;
+  }
+  knownStatuses.set(entry, status);
+  return status;
+}
+
+function formatSummaryStatus(status) {
+  return SUMMARY_STATUS_LABELS[status] || null;
+}
+
+export {
+  buildSummaryFingerprint,
+  formatSummaryStatus,
+  getSummaryCachePath,
+  getSummaryStatus,
+  isSameFingerprint,
+  readSummaryFile,
+  resolveSummarySetup,
+  writeSummaryFile,
+};
@@ -0,0 +1,69 @@
+// Redrawing the viewer on every streamed token flickers, so updates are
+// batched to at most one per interval.
+const RENDER_INTERVAL_MS = 100;
+
+// Connects a summary request to the viewer while the response streams in.
+// `status` moves from "waiting" (no text yet) to "streaming", then ends as
+// "done", "cancelled" (text so far is kept) or "failed".
+function createSummaryStream() {
+  const controller = new AbortController();
+  const listeners = new Set();
+  let state = { status: "waiting", text: "", detail: "" };
+  let pendingTimer = null;
+
+  function publish() {
+    pendingTimer = null;
+    listeners.forEach((listener) => listener(state));
+  }
+
+  function update(changes, { immediate = false } = {}) {
+    state = { ...state, ...changes };
+    if (immediate) {
+      if (pendingTimer) {
+        clearTimeout(pendingTimer);
+      }
+      publish();
+    } else if (!pendingTimer) {
+      pendingTimer = setTimeout(publish, RENDER_INTERVAL_MS);
+    }
+  }
+
+  function isActive() {
+    return state.status === "waiting" || state.status === "streaming";
+  }
+
+  return {
+    signal: controller.signal,
+    getState: () => state,
+    isActive,
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    setDetail(detail) {
+      update({ detail });
+    },
+    setText(text) {
+      update({ status: "streaming", text, detail: "" });
+    },
+    finish(text) {
+      update({ status: "done", text, detail: "" }, { immediate: true });
+    },
+    fail(message) {
+      update({ status: "failed", detail: message }, { immediate: true });
+    },
+    cancel() {
+      if (!isActive()) {
+        return;
+      }
+      controller.abort();
+      update({ status: "cancelled", detail: "" }, { immediate: true });
+    },
+  };
+}
+
+export { createSummaryStream };
+
+export default {
+  createSummaryStream,
+};
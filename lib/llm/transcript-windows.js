@@ -0,0 +1,162 @@
+import { extractTranscriptBody } from "../episode-markdown-builder.js";
+
+// A marker that opens a paragraph or a `headings` mode heading.
+const LEADING_STAMP_PATTERN = /^(?:#+\s+)?\[(\d{2}):(\d{2}):(\d{2})\]/;
+// Every marker, with the link target when sync renders them as links.
+const INLINE_STAMP_PATTERN = /\[(\d{2}):(\d{2}):(\d{2})\](?:\([^)\s]*\))?/g;
+const SENTENCE_BREAK_PATTERN = /(?<=[.!?…]["'”’)]*)\s+/;
+// The linked contents list that `headings` mode puts above the transcript.
+const CONTENTS_LINE_PATTERN = /^- \[\d{2}:\d{2}:\d{2}\]\(#[^)]*\)$/;
+
+function toSeconds(match) {
+  return Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]);
+}
+
+function readLastTime(text) {
+  let last = null;
+  for (const match of text.matchAll(INLINE_STAMP_PATTERN)) {
+    last = toSeconds(match);
+  }
+  return last;
+}
+
+function cutAtStamps(text) {
+  const pieces = [];
+  let from = 0;
+  for (const match of text.matchAll(INLINE_STAMP_PATTERN)) {
+    if (match.index > from) {
+      pieces.push(text.slice(from, match.index));
+      from = match.index;
+    }
+  }
+  pieces.push(text.slice(from));
+  return pieces.map((piece) => piece.trim()).filter(Boolean);
+}
+
+function cutAtSpaces(text, maxChars) {
+  const pieces = [];
+  let rest = text;
+  while (rest.length > maxChars) {
+    const space = rest.lastIndexOf(" ", maxChars);
+    const cut = space > 0 ? space : maxChars;
+    pieces.push(rest.slice(0, cut).trim());
+    rest = rest.slice(cut).trim();
+  }
+  if (rest) {
+    pieces.push(rest);
+  }
+  return pieces;
+}
+
+// A speaker's whole turn is one paragraph, so a monologue can be longer than a
+// window. Such paragraphs are cut at their inline markers, then at sentence
+// ends, then at spaces; the windows below pack the pieces back together.
+function splitLongParagraph(text, maxChars) {
+  if (text.length <= maxChars) {
+    return [text];
+  }
+  return cutAtStamps(text).flatMap((piece) =>
+    piece.length <= maxChars
+      ? [piece]
+      : piece
+          .split(SENTENCE_BREAK_PATTERN)
+          .flatMap((sentence) =>
+            sentence.length <= maxChars
+              ? [sentence]
+              : cutAtSpaces(sentence, maxChars)
+          )
+  );
+}
+
+// Splits the transcript section into paragraphs of at most `maxChars` and
+// dates each one with the marker it opens with, or the last marker before it
+// when it opens with none.
+function readTranscriptParagraphs(markdown, maxChars) {
+  let lastTime = null;
+  return extractTranscriptBody(markdown)
+    .split(/\n{2,}/)
+    .map((paragraph) =>
+      paragraph
+        .split("\n")
+        .filter((line) => !CONTENTS_LINE_PATTERN.test(line.trim()))
+        .join("\n")
+        .trim()
+    )
+    .filter(Boolean)
+    .flatMap((paragraph) => splitLongParagraph(paragraph, maxChars))
+    .map((text) => {
+      const leading = LEADING_STAMP_PATTERN.exec(text);
+      const time = leading ? toSeconds(leading) : lastTime;
+      const last = readLastTime(text);
+      if (last !== null) {
+        lastTime = last;
+      }
+      return { text, time };
+    });
+}
+
+// Cuts a Markdown transcript into windows of at most `maxChars` characters.
+// Each window repeats the last `overlapChars` of the one before so topics that
+// straddle a cut are seen whole. `start` and `end` are the seconds the window covers, taken from the
+// transcript's own markers; they are null when it has none, and `end` is null
+// for the last window. Returns the whole file as one window when it fits.
+function splitTranscriptIntoWindows(markdown, { maxChars, overlapChars = 0 }) {
+  const paragraphs = readTranscriptParagraphs(markdown || "", maxChars);
+  const totalChars = paragraphs.reduce(
+    (total, paragraph) => total + paragraph.text.length + 2,
+    0
+  );
+  if (totalChars <= maxChars) {
+    return [
+      {
+        start: paragraphs.length > 0 ? paragraphs[0].time : null,
+        end: null,
+        text: markdown,
+      },
+    ];
+  }
+
+  const windows = [];
+  let first = 0;
+  while (first < paragraphs.length) {
+    let last = first;
+    let size = paragraphs[first].text.length;
+    while (
+      last + 1 < paragraphs.length &&
+      size + paragraphs[last + 1].text.length + 2 <= maxChars
+    ) {
+      last += 1;
+      size += paragraphs[last].text.length + 2;
+    }
+    const next = paragraphs[last + 1] || null;
+    windows.push({
+      start: paragraphs[first].time,
+      end: next ? next.time : null,
+      text: paragraphs
+        .slice(first, last + 1)
+        .map((paragraph) => paragraph.text)
+        .join("\n\n"),
+    });
+    if (!next) {
+      break;
+    }
+    // Step back over whole paragraphs for the overlap, but always move forward.
+    let overlapStart = last + 1;
+    let overlapSize = 0;
+    while (
+      overlapStart - 1 > first &&
+      overlapSize + paragraphs[overlapStart - 1].text.length <= overlapChars
+    ) {
+      overlapStart -= 1;
+      overlapSize += paragraphs[overlapStart].text.length + 2;
+    }
+    first = overlapStart;
+  }
+  return windows;
+}
+
+export { splitTranscriptIntoWindows };
+
+export default {
+  splitTranscriptIntoWindows,
+};
@@ -0,0 +1,70 @@
+// Each step upgrades a manifest from `version - 1` to `version`. Add new steps
+// at the end (the last one defines the current manifest version) and never
+// change a step that has already shipped: older manifests depend on it.
+const MANIFEST_MIGRATIONS = [
+  {
+    version: 2,
+    description: "store identifier and play state on every entry",
+    migrate(manifest) {
+      Object.entries(manifest.entries).forEach(([identifier, entry]) => {
+        if (!entry || typeof entry !== "object") {
+          delete manifest.entries[identifier];
+          return;
+        }
+        entry.identifier = entry.identifier || identifier;
+        if (!entry.playState) {
+          const listeningStatus =
+            entry.metadata && entry.metadata.listeningStatus;
+          entry.playState = listeningStatus ? listeningStatus.playState : null;
+        }
+        if (typeof entry.relativePath === "string") {
+          entry.relativePath = entry.relativePath.split("\\").join("/");
+        }
+      });
+      return manifest;
+    },
+  },
+];
+
+// Files written before the manifest carried a version are treated as v1.
+const FIRST_MANIFEST_VERSION = 1;
+const CURRENT_MANIFEST_VERSION =
+  MANIFEST_MIGRATIONS[MANIFEST_MIGRATIONS.length - 1].version;
+
+function readManifestVersion(parsed) {
+  if (Number.isInteger(parsed.version) && parsed.version > 0) {
+    return parsed.version;
+  }
+  return FIRST_MANIFEST_VERSION;
+}
+
+function migrateManifest(parsed) {
+  const fromVersion = readManifestVersion(parsed);
+  if (fromVersion > CURRENT_MANIFEST_VERSION) {
+    throw new Error(
+      `The listening status manifest is version ${fromVersion}, but this version of the tool only understands up to version ${CURRENT_MANIFEST_VERSION}. Update apple-podcast-helper before syncing again.`
+    );
+  }
+  let manifest = parsed;
+  if (!manifest.entries || typeof manifest.entries !== "object") {
+    manifest.entries = {};
+  }
+  const applied = [];
+  MANIFEST_MIGRATIONS.forEach((migration) => {
+    if (migration.version <= fromVersion) {
+      return;
+    }
+    manifest = migration.migrate(manifest) || manifest;
+    manifest.version = migration.version;
+    applied.push(migration);
+  });
+  manifest.version = CURRENT_MANIFEST_VERSION;
+  return { manifest, fromVersion, applied };
+}
+
+export { CURRENT_MANIFEST_VERSION, migrateManifest };
+
+export default {
+  CURRENT_MANIFEST_VERSION,
+  migrateManifest,
+};
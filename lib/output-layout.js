@@ -0,0 +1,293 @@
+import path from "path";
+
+import {
+  getConfigSetting,
+  getSummariesDir,
+  getTranscriptsDir,
+} from "./app-config.js";
+import transcriptFieldFormatters from "./transcript-field-formatters.js";
+const { formatSlugAsTitle, slugify, truncateSlug } = transcriptFieldFormatters;
+
+// The layout used before patterns were configurable:
+// `<show>/[played/]<show>_<date>_<first 20 characters of the title slug>.md`.
+const DEFAULT_OUTPUT_PATTERN = "{show}/{played}/{show}_{date}_{slug:20}";
+const TOKEN_PATTERN = /\{([a-zA-Z]+)(?::(\d+))?\}/g;
+// Files only move between folders when their play state changes, so these
+// tokens are not allowed in the file name itself.
+const FOLDER_ONLY_TOKENS = new Set(["played", "status"]);
+// Slug tokens are truncated on a word boundary; everything else is cut as-is.
+const SLUG_TOKENS = new Set(["show", "slug", "station"]);
+
+const PATTERN_TOKENS = {
+  show: (metadata) =>
+    metadata.showSlug || slugify(metadata.showTitle, "unknown-show"),
+  showTitle: (metadata) =>
+    cleanTitle(metadata.showTitle) ||
+    formatSlugAsTitle(metadata.showSlug) ||
+    "Unknown show",
+  title: (metadata) => cleanTitle(metadata.episodeTitle) || "Episode",
+  slug: (metadata) => slugify(metadata.episodeTitle, "episode"),
+  date: (metadata) => metadata.pubDate || "unknown-date",
+  year: (metadata) => readDatePart(metadata.pubDate, 0),
+  month: (metadata) => readDatePart(metadata.pubDate, 1),
+  day: (metadata) => readDatePart(metadata.pubDate, 2),
+  station: (metadata) =>
+    metadata.stationSlug ||
+    (metadata.stationTitle
+      ? slugify(metadata.stationTitle, "no-station")
+      : "no-station"),
+  status: (metadata) => readPlayState(metadata) || "unplayed",
+  played: (metadata) => (readPlayState(metadata) === "played" ? "played" : ""),
+  season: (metadata) => formatNumberToken(metadata.seasonNumber),
+  episode: (metadata) => formatNumberToken(metadata.episodeNumber),
+};
+
+function cleanTitle(value) {
+  if (!value || typeof value !== "string") {
+    return "";
+  }
+  const trimmed = value.trim();
+  return trimmed === "unknown show" || trimmed === "unknown episode"
+    ? ""
+    : trimmed;
+}
+
+function readDatePart(pubDate, index) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(pubDate || "");
+  return match ? match[index + 1] : "unknown";
+}
+
+function readPlayState(metadata) {
+  return metadata.listeningStatus ? metadata.listeningStatus.playState : null;
+}
+
+function formatNumberToken(value) {
+  return typeof value === "number" && Number.isFinite(value)
+    ? String(value)
+    : "";
+}
+
+// Keeps titles readable in Finder while dropping characters that are not
+// allowed (or awkward) in file names on macOS, Windows and Linux.
+function sanitizePathSegment(value) {
+  return String(value)
+    .replace(/\s*:\s*/g, " - ")
+    .replace(/[/\\?*|"<>\u0000-\u001f]/g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/^\.+/, "")
+    .replace(/[. ]+$/, "");
+}
+
+function formatTokenValue(token, value, maxLength) {
+  if (!maxLength || value.length <= maxLength) {
+    return value;
+  }
+  if (SLUG_TOKENS.has(token)) {
+    return truncateSlug(value, maxLength);
+  }
+  return value.slice(0, maxLength).trim();
+}
+
+function normalizeOutputPattern(pattern) {
+  return String(pattern)
+    .trim()
+    .replace(/\\/g, "/")
+    .replace(/^\/+/, "")
+    .replace(/\.md$/i, "");
+}
+
+function validateOutputPattern(pattern) {
+  const describe = (problem) =>
+    new Error(`Invalid outputPattern "${pattern}": ${problem}`);
+  if (!pattern) {
+    throw describe("the pattern is empty.");
+  }
+  const segments = pattern.split("/");
+  if (segments.some((segment) => segment === "." || segment === "..")) {
+    throw describe("relative folder names such as .. are not allowed.");
+  }
+  let fileNameHasToken = false;
+  segments.forEach((segment, index) => {
+    const isFileName = index === segments.length - 1;
+    for (const match of segment.matchAll(TOKEN_PATTERN)) {
+      const token = match[1];
+      if (!Object.prototype.hasOwnProperty.call(PATTERN_TOKENS, token)) {
+        throw describe(
+          `unknown token {${token}}. Use ${Object.keys(PATTERN_TOKENS)
+            .map((name) => `{${name}}`)
+            .join(", ")}.`
+        );
+      }
+      if (isFileName && FOLDER_ONLY_TOKENS.has(token)) {
+        throw describe(`{${token}} can only be used in folder names.`);
+      }
+      if (isFileName) {
+        fileNameHasToken = true;
+      }
+    }
+  });
+  if (!fileNameHasToken) {
+    throw describe(
+      "the file name needs at least one token so episodes get distinct names."
+    );
+  }
+}
+
+// Reads `outputPattern` from the config file. The `.md` extension is optional
+// and added to every transcript, as are the `.srt`, `.vtt` and `.json` exports.
+function getOutputPattern() {
+  const configured = getConfigSetting("outputPattern", null);
+  if (configured === null) {
+    return DEFAULT_OUTPUT_PATTERN;
+  }
+  if (typeof configured !== "string") {
+    throw new Error("The outputPattern setting must be a string.");
+  }
+  const pattern = normalizeOutputPattern(configured);
+  validateOutputPattern(pattern);
+  return pattern;
+}
+
+function isDefaultOutputPattern(pattern = getOutputPattern()) {
+  return pattern === DEFAULT_OUTPUT_PATTERN;
+}
+
+// Returns the transcript path for an episode relative to the transcripts
+// directory, using forward slashes and without an extension. Segments whose
+// tokens are all empty (for example `{played}` on an unplayed episode) are
+// dropped.
+function resolveEpisodeRelativeStem(metadata, pattern = getOutputPattern()) {
+  const safeMetadata = metadata || {};
+  const segments = pattern
+    .split("/")
+    .map((segment) =>
+      sanitizePathSegment(
+        segment.replace(TOKEN_PATTERN, (raw, token, maxLength) =>
+          formatTokenValue(
+            token,
+            sanitizePathSegment(PATTERN_TOKENS[token](safeMetadata)),
+            maxLength ? Number.parseInt(maxLength, 10) : null
+          )
+        )
+      )
+    );
+  const fileName = segments.pop() || "episode";
+  return [...segments.filter(Boolean), fileName].join("/");
+}
+
+function getEpisodeBaseFileName(metadata, pattern = getOutputPattern()) {
+  return path.posix.basename(resolveEpisodeRelativeStem(metadata, pattern));
+}
+
+// Summaries mirror the transcript folders and are named
+// `summary_<baseFileName>.md`, or `summary_<baseFileName>.<suffix>.md` for
+// prompt profiles with a suffix. The stored base name wins over the pattern
+// so numbered duplicates (`…-1`) keep their own summary.
+function resolveSummaryPath(
+  summariesDir,
+  metadata,
+  pattern = getOutputPattern(),
+  suffix = null
+) {
+  const stem = resolveEpisodeRelativeStem(metadata, pattern);
+  const baseFileName =
+    (metadata && metadata.baseFileName) || path.posix.basename(stem);
+  const directory = path.posix.dirname(stem);
+  return path.join(
+    summariesDir,
+    ...(directory === "." ? [] : directory.split("/")),
+    formatSummaryFileName(baseFileName, suffix)
+  );
+}
+
+function formatSummaryFileName(baseFileName, suffix = null) {
+  return `summary_${baseFileName}${suffix ? `.${suffix}` : ""}.md`;
+}
+
+// Base file names may contain dots themselves, so a name like
+// `summary_a.b.md` is read both as the plain summary of `a.b` and as the `b`
+// profile summary of `a`. Returns `[{ baseFileName, suffix }]`, plain reading
+// first, or an empty list for files that are not summaries.
+function parseSummaryFileName(fileName) {
+  const match = /^summary_(.+)\.md$/.exec(fileName);
+  if (!match) {
+    return [];
+  }
+  const readings = [{ baseFileName: match[1], suffix: null }];
+  const suffixed = /^(.+)\.([a-z0-9_-]+)$/i.exec(match[1]);
+  if (suffixed) {
+    readings.push({ baseFileName: suffixed[1], suffix: suffixed[2] });
+  }
+  return readings;
+}
+
+// Shows output paths as `transcripts/…` or `summaries/…` in dry-run plans and
+// move logs.
+function formatOutputPath(filePath) {
+  const roots = [
+    ["transcripts", getTranscriptsDir()],
+    ["summaries", getSummariesDir()],
+  ];
+  for (const [label, root] of roots) {
+    const relative = path.relative(root, filePath);
+    if (!relative.startsWith("..") && !path.isAbsolute(relative)) {
+      return [label, ...relative.split(path.sep)].filter(Boolean).join("/");
+    }
+  }
+  return filePath;
+}
+
+function getEpisodeSortKeys(metadata) {
+  const date =
+    metadata && metadata.pubDate && metadata.pubDate !== "unknown-date"
+      ? metadata.pubDate
+      : "9999-12-31";
+  const showTitle =
+    metadata && metadata.showTitle && metadata.showTitle !== "unknown show"
+      ? metadata.showTitle.toLowerCase()
+      : metadata && metadata.showSlug
+      ? formatSlugAsTitle(metadata.showSlug).toLowerCase()
+      : "";
+  return { date, showTitle };
+}
+
+// Oldest first, then by show and identifier. Episodes are laid out in this
+// order so duplicate names get the same numeric suffix on every run.
+function compareEpisodesForLayout(a, b) {
+  const keysA = getEpisodeSortKeys(a.metadata);
+  const keysB = getEpisodeSortKeys(b.metadata);
+  if (keysA.date !== keysB.date) {
+    return keysA.date.localeCompare(keysB.date);
+  }
+  if (keysA.showTitle !== keysB.showTitle) {
+    return keysA.showTitle.localeCompare(keysB.showTitle);
+  }
+  return a.identifier.localeCompare(b.identifier);
+}
+
+export {
+  DEFAULT_OUTPUT_PATTERN,
+  compareEpisodesForLayout,
+  formatOutputPath,
+  formatSummaryFileName,
+  getEpisodeBaseFileName,
+  getOutputPattern,
+  isDefaultOutputPattern,
+  parseSummaryFileName,
+  resolveEpisodeRelativeStem,
+  resolveSummaryPath,
+};
+
+export default {
+  DEFAULT_OUTPUT_PATTERN,
+  getOutputPattern,
+  isDefaultOutputPattern,
+  resolveEpisodeRelativeStem,
+  getEpisodeBaseFileName,
+  resolveSummaryPath,
+  formatSummaryFileName,
+  parseSummaryFileName,
+  compareEpisodesForLayout,
+  formatOutputPath,
+};
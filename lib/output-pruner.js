@@ -0,0 +1,200 @@
+import fs from "fs";
+import path from "path";
+
+import {
+  INDEX_PAGE_FILENAME,
+  TRANSCRIPT_FORMAT_EXTENSIONS,
+} from "./app-constants.js";
+import { parseSummaryFileName } from "./output-layout.js";
+
+const OUTPUT_EXTENSIONS = new Set(Object.values(TRANSCRIPT_FORMAT_EXTENSIONS));
+const AGE_UNITS_MS = {
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+function parseAge(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+  const match = /^(\d+)\s*([hdw]?)$/i.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+  const amount = Number.parseInt(match[1], 10);
+  const unit = (match[2] || "d").toLowerCase();
+  return amount * AGE_UNITS_MS[unit];
+}
+
+function toPosixPath(value) {
+  return value.split(path.sep).join("/");
+}
+
+function stripExtension(relativePath) {
+  const extension = path.extname(relativePath);
+  return extension ? relativePath.slice(0, -extension.length) : relativePath;
+}
+
+function walkFiles(directoryPath, rootDirectory, results = []) {
+  if (!fs.existsSync(directoryPath)) {
+    return results;
+  }
+  fs.readdirSync(directoryPath, { withFileTypes: true }).forEach((entry) => {
+    // Dotfiles hold the manifest and search index.
+    if (entry.name.startsWith(".")) {
+      return;
+    }
+    const fullPath = path.join(directoryPath, entry.name);
+    if (entry.isDirectory()) {
+      walkFiles(fullPath, rootDirectory, results);
+      return;
+    }
+    if (!entry.isFile()) {
+      return;
+    }
+    results.push({
+      absolutePath: fullPath,
+      relativePath: toPosixPath(path.relative(rootDirectory, fullPath)),
+    });
+  });
+  return results;
+}
+
+// Records when each manifest entry was last missing from the TTML cache so
+// `--prune-missing` can tell long-gone episodes from a cache mid-refresh.
+function markMissingManifestEntries(
+  manifest,
+  presentIdentifiers,
+  now = new Date()
+) {
+  let changed = false;
+  Object.entries(manifest.entries || {}).forEach(([identifier, entry]) => {
+    if (!entry) {
+      return;
+    }
+    if (presentIdentifiers.has(identifier)) {
+      if (entry.missingSince) {
+        delete entry.missingSince;
+        changed = true;
+      }
+      return;
+    }
+    if (!entry.missingSince) {
+      entry.missingSince = now.toISOString();
+      changed = true;
+    }
+  });
+  return changed;
+}
+
+function findExpiredManifestEntries(manifest, maxAgeMs, now = new Date()) {
+  if (maxAgeMs == null) {
+    return [];
+  }
+  return Object.values(manifest.entries || {}).filter((entry) => {
+    if (!entry || !entry.missingSince) {
+      return false;
+    }
+    const missingSince = Date.parse(entry.missingSince);
+    return (
+      Number.isFinite(missingSince) && now.getTime() - missingSince >= maxAgeMs
+    );
+  });
+}
+
+function findOrphanedOutputs({
+  manifest,
+  transcriptsDir,
+  summariesDir,
+  excludeIdentifiers = new Set(),
+}) {
+  const transcriptStems = new Set();
+  const baseFileNames = new Set();
+  Object.values(manifest.entries || {}).forEach((entry) => {
+    if (!entry || excludeIdentifiers.has(entry.identifier)) {
+      return;
+    }
+    if (entry.relativePath) {
+      const stem = stripExtension(entry.relativePath);
+      transcriptStems.add(stem);
+      baseFileNames.add(path.posix.basename(stem));
+    }
+    if (entry.metadata && entry.metadata.baseFileName) {
+      baseFileNames.add(entry.metadata.baseFileName);
+    }
+  });
+
+  const orphans = [];
+  walkFiles(transcriptsDir, transcriptsDir).forEach((file) => {
+    if (!OUTPUT_EXTENSIONS.has(path.extname(file.relativePath).toLowerCase())) {
+      return;
+    }
+    // Show and library index pages are generated, not episode output.
+    if (path.posix.basename(file.relativePath) === INDEX_PAGE_FILENAME) {
+      return;
+    }
+    if (!transcriptStems.has(stripExtension(file.relativePath))) {
+      orphans.push({ kind: "transcript", root: transcriptsDir, ...file });
+    }
+  });
+  walkFiles(summariesDir, summariesDir).forEach((file) => {
+    const readings = parseSummaryFileName(
+      path.posix.basename(file.relativePath)
+    );
+    if (readings.length === 0) {
+      return;
+    }
+    // Prompt profile summaries carry a suffix after the base file name.
+    if (!readings.some(({ baseFileName }) => baseFileNames.has(baseFileName))) {
+      orphans.push({ kind: "summary", root: summariesDir, ...file });
+    }
+  });
+  return orphans;
+}
+
+function removeEmptyParents(filePath, rootDirectory) {
+  let directory = path.dirname(filePath);
+  const root = path.resolve(rootDirectory);
+  while (path.resolve(directory) !== root && directory.startsWith(root)) {
+    if (fs.readdirSync(directory).length > 0) {
+      return;
+    }
+    fs.rmdirSync(directory);
+    directory = path.dirname(directory);
+  }
+}
+
+function removeOrphanedOutputs(orphans) {
+  let removed = 0;
+  orphans.forEach((orphan) => {
+    try {
+      fs.unlinkSync(orphan.absolutePath);
+      removeEmptyParents(orphan.absolutePath, orphan.root);
+      removed += 1;
+    } catch (error) {
+      console.warn(
+        `[WARN] Unable to delete ${orphan.absolutePath}: ${error.message}`
+      );
+    }
+  });
+  return removed;
+}
+
+export {
+  findExpiredManifestEntries,
+  findOrphanedOutputs,
+  markMissingManifestEntries,
+  parseAge,
+  removeEmptyParents,
+  removeOrphanedOutputs,
+};
+
+export default {
+  findExpiredManifestEntries,
+  findOrphanedOutputs,
+  markMissingManifestEntries,
+  parseAge,
+  removeEmptyParents,
+  removeOrphanedOutputs,
+};
@@ -0,0 +1,170 @@
+import Database from "better-sqlite3";
+import fs from "fs";
+
+const BUSY_TIMEOUT_MS = 2000;
+
+// Columns that only some MTLibrary versions have. Missing ones are selected as
+// NULL so the row shape stays the same across schema versions.
+const OPTIONAL_EPISODE_COLUMNS = {
+  ZGUID: "episode_guid",
+  ZENCLOSUREURL: "enclosure_url",
+  ZWEBPAGEURL: "episode_web_url",
+  ZAUTHOR: "episode_author",
+  ZSEASONNUMBER: "season_number",
+  ZEPISODENUMBER: "episode_number",
+  ZEPISODETYPE: "episode_type",
+  ZEXPLICIT: "explicit",
+  ZARTWORKTEMPLATEURL: "episode_artwork_url",
+  ZSTORETRACKID: "store_track_id",
+};
+
+const OPTIONAL_PODCAST_COLUMNS = {
+  ZAUTHOR: "show_author",
+  ZFEEDURL: "feed_url",
+  ZSTORECOLLECTIONID: "store_collection_id",
+  ZIMAGEURL: "show_artwork_url",
+};
+
+function selectOptionalColumns(tableAlias, columns, availableColumns) {
+  return Object.entries(columns).map(([column, alias]) =>
+    availableColumns.has(column)
+      ? `${tableAlias}.${column} AS ${alias}`
+      : `NULL AS ${alias}`
+  );
+}
+
+// Identifier and primary-key lists are bound as a single JSON array and
+// expanded with json_each, so queries stay parameterized at any size.
+function buildEpisodesByTranscriptSql(episodeColumns, podcastColumns) {
+  const selected = [
+    "episode.Z_PK AS episode_pk",
+    "episode.ZTRANSCRIPTIDENTIFIER AS transcript_identifier",
+    "episode.ZFREETRANSCRIPTIDENTIFIER AS free_transcript_identifier",
+    "episode.ZENTITLEDTRANSCRIPTIDENTIFIER AS entitled_transcript_identifier",
+    "episode.ZTITLE AS episode_title",
+    "episode.ZPUBDATE AS pub_date",
+    "episode.ZITEMDESCRIPTION AS item_description",
+    "episode.ZITEMDESCRIPTIONWITHOUTHTML AS item_description_without_html",
+    "podcast.ZTITLE AS show_title",
+    "episode.ZPLAYSTATE AS play_state",
+    "episode.ZPLAYHEAD AS play_head_seconds",
+    "episode.ZDURATION AS duration_seconds",
+    "episode.ZLASTDATEPLAYED AS last_played_date",
+    "episode.ZPLAYCOUNT AS play_count",
+    ...selectOptionalColumns(
+      "episode",
+      OPTIONAL_EPISODE_COLUMNS,
+      episodeColumns
+    ),
+    ...selectOptionalColumns(
+      "podcast",
+      OPTIONAL_PODCAST_COLUMNS,
+      podcastColumns
+    ),
+  ];
+  return `
+    WITH requested(identifier) AS (SELECT value FROM json_each(?))
+    SELECT
+      ${selected.join(",\n      ")}
+    FROM ZMTEPISODE episode
+    LEFT JOIN ZMTPODCAST podcast ON episode.ZPODCAST = podcast.Z_PK
+    WHERE episode.ZTRANSCRIPTIDENTIFIER IN (SELECT identifier FROM requested)
+      OR episode.ZFREETRANSCRIPTIDENTIFIER IN (SELECT identifier FROM requested)
+      OR episode.ZENTITLEDTRANSCRIPTIDENTIFIER IN (SELECT identifier FROM requested)
+  `;
+}
+
+const STATIONS_BY_EPISODE_SQL = `
+  SELECT
+    playlist_map.Z_4EPISODES1 AS episode_pk,
+    playlist.ZTITLE AS station_title
+  FROM Z_4PLAYLISTS playlist_map
+  JOIN ZMTPLAYLIST playlist ON playlist.Z_PK = playlist_map.Z_7PLAYLISTS
+  WHERE playlist_map.Z_4EPISODES1 IN (SELECT value FROM json_each(?))
+`;
+
+function isLockedError(error) {
+  return (
+    error &&
+    typeof error.code === "string" &&
+    (error.code.startsWith("SQLITE_BUSY") ||
+      error.code.startsWith("SQLITE_LOCKED"))
+  );
+}
+
+function describeDatabaseError(error, dbPath) {
+  if (isLockedError(error)) {
+    return `The Apple Podcasts library at ${dbPath} is locked by another process. Wait for Podcasts to finish updating and try again.`;
+  }
+  return `Unable to read the Apple Podcasts library at ${dbPath}: ${error.message}`;
+}
+
+// Opens MTLibrary.sqlite read-only. Returns null when the file is missing;
+// other failures throw with a message that names the database.
+function openPodcastLibrary(dbPath) {
+  if (!dbPath || !fs.existsSync(dbPath)) {
+    return null;
+  }
+  let db = null;
+  try {
+    db = new Database(dbPath, {
+      readonly: true,
+      fileMustExist: true,
+      timeout: BUSY_TIMEOUT_MS,
+    });
+  } catch (error) {
+    throw new Error(describeDatabaseError(error, dbPath));
+  }
+
+  const run = (label, callback) => {
+    try {
+      return callback();
+    } catch (error) {
+      const wrapped = new Error(describeDatabaseError(error, dbPath));
+      wrapped.locked = isLockedError(error);
+      wrapped.query = label;
+      throw wrapped;
+    }
+  };
+
+  const readColumnNames = (table) =>
+    new Set(
+      db
+        .prepare("SELECT name FROM pragma_table_info(?)")
+        .all(table)
+        .map((column) => column.name)
+    );
+
+  return {
+    path: dbPath,
+    findEpisodesByTranscriptIdentifiers(identifiers) {
+      if (!Array.isArray(identifiers) || identifiers.length === 0) {
+        return [];
+      }
+      return run("episodes", () => {
+        const sql = buildEpisodesByTranscriptSql(
+          readColumnNames("ZMTEPISODE"),
+          readColumnNames("ZMTPODCAST")
+        );
+        return db.prepare(sql).all(JSON.stringify(identifiers));
+      });
+    },
+    findStationsForEpisodes(episodePks) {
+      if (!Array.isArray(episodePks) || episodePks.length === 0) {
+        return [];
+      }
+      return run("stations", () =>
+        db.prepare(STATIONS_BY_EPISODE_SQL).all(JSON.stringify(episodePks))
+      );
+    },
+    close() {
+      db.close();
+    },
+  };
+}
+
+export { openPodcastLibrary };
+
+export default {
+  openPodcastLibrary,
+};
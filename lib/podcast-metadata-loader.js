@@ -1,8 +1,6 @@
-import { spawnSync } from "child_process";
-import fs from "fs";
-import os from "os";
-import path from "path";
-
+import { getLibraryDbPath } from "./app-config.js";
+import { getEpisodeBaseFileName, getOutputPattern } from "./output-layout.js";
+import { openPodcastLibrary } from "./podcast-library-database.js";
 import transcriptFieldFormatters from "./transcript-field-formatters.js";
 const { formatCocoaDate, formatCocoaDateTime, slugify, truncateSlug } =
   transcriptFieldFormatters;
@@ -79,18 +77,88 @@ function buildListeningStatus(row) {
   };
 }
 
-function loadTranscriptMetadata(requestedIdentifiers = []) {
-  const dbPath = path.join(
-    os.homedir(),
-    "Library/Group Containers/243LU875E5.groups.com.apple.podcasts/Documents/MTLibrary.sqlite"
-  );
+// MTLibrary stores the RSS itunes:episodeType as an integer.
+const EPISODE_TYPES = {
+  0: "full",
+  1: "trailer",
+  2: "bonus",
+};
 
-  if (!fs.existsSync(dbPath)) {
-    console.warn(
-      `Metadata database not found at ${dbPath}. Output filenames will use fallback identifiers.`
-    );
-    return new Map();
+const ARTWORK_SIZE = 600;
+
+function normalizeText(value) {
+  if (typeof value !== "string") {
+    return null;
+  }
+  const trimmed = value.trim();
+  return trimmed ? trimmed : null;
+}
+
+function normalizePositiveInteger(value) {
+  return Number.isInteger(value) && value > 0 ? value : null;
+}
+
+// Store IDs are kept as strings so they survive tools that parse JSON numbers
+// as 32-bit values.
+function normalizeStoreId(value) {
+  if (typeof value === "number" && Number.isInteger(value) && value > 0) {
+    return String(value);
+  }
+  return normalizeText(typeof value === "string" ? value : null);
+}
+
+function formatEpisodeType(value) {
+  if (typeof value === "string") {
+    return normalizeText(value.toLowerCase());
+  }
+  return Number.isInteger(value) ? EPISODE_TYPES[value] || null : null;
+}
+
+// Apple artwork URLs are templates such as `.../{w}x{h}{c}.{f}`.
+function resolveArtworkUrl(value) {
+  const url = normalizeText(value);
+  if (!url) {
+    return null;
+  }
+  return url
+    .replace("{w}", String(ARTWORK_SIZE))
+    .replace("{h}", String(ARTWORK_SIZE))
+    .replace("{c}", "bb")
+    .replace("{f}", "jpg");
+}
+
+function buildApplePodcastsUrl(storeCollectionId, storeTrackId) {
+  if (!storeCollectionId) {
+    return null;
   }
+  const base = `https://podcasts.apple.com/podcast/id${storeCollectionId}`;
+  return storeTrackId ? `${base}?i=${storeTrackId}` : base;
+}
+
+function buildEpisodeDetails(row) {
+  const storeCollectionId = normalizeStoreId(row.store_collection_id);
+  const storeTrackId = normalizeStoreId(row.store_track_id);
+  return {
+    episodeGuid: normalizeText(row.episode_guid),
+    episodeUrl: normalizeText(row.episode_web_url),
+    enclosureUrl: normalizeText(row.enclosure_url),
+    author: normalizeText(row.episode_author) || normalizeText(row.show_author),
+    seasonNumber: normalizePositiveInteger(row.season_number),
+    episodeNumber: normalizePositiveInteger(row.episode_number),
+    episodeType: formatEpisodeType(row.episode_type),
+    explicit: typeof row.explicit === "number" ? row.explicit !== 0 : null,
+    artworkUrl:
+      resolveArtworkUrl(row.episode_artwork_url) ||
+      resolveArtworkUrl(row.show_artwork_url),
+    feedUrl: normalizeText(row.feed_url),
+    storeCollectionId,
+    storeTrackId,
+    applePodcastsUrl: buildApplePodcastsUrl(storeCollectionId, storeTrackId),
+  };
+}
+
+function loadTranscriptMetadata(requestedIdentifiers = []) {
+  const dbPath = getLibraryDbPath();
 
   const uniqueIdentifiers = Array.from(
     new Set(requestedIdentifiers.filter(Boolean))
@@ -99,71 +167,40 @@ function loadTranscriptMetadata(requestedIdentifiers = []) {
     return new Map();
   }
 
-  const baseQuery = [
-    "SELECT",
-    "  episode.Z_PK AS episode_pk,",
-    "  episode.ZTRANSCRIPTIDENTIFIER AS transcript_identifier,",
-    "  episode.ZFREETRANSCRIPTIDENTIFIER AS free_transcript_identifier,",
-    "  episode.ZENTITLEDTRANSCRIPTIDENTIFIER AS entitled_transcript_identifier,",
-    "  episode.ZTITLE AS episode_title,",
-    "  episode.ZPUBDATE AS pub_date,",
-    "  episode.ZITEMDESCRIPTION AS item_description,",
-    "  episode.ZITEMDESCRIPTIONWITHOUTHTML AS item_description_without_html,",
-    "  podcast.ZTITLE AS show_title,",
-    "  episode.ZPLAYSTATE AS play_state,",
-    "  episode.ZPLAYHEAD AS play_head_seconds,",
-    "  episode.ZDURATION AS duration_seconds,",
-    "  episode.ZLASTDATEPLAYED AS last_played_date,",
-    "  episode.ZPLAYCOUNT AS play_count",
-    "FROM ZMTEPISODE episode",
-    "LEFT JOIN ZMTPODCAST podcast ON episode.ZPODCAST = podcast.Z_PK",
-    "LEFT JOIN ZMTCHANNEL channel ON podcast.ZCHANNEL = channel.Z_PK",
-  ].join(" ");
+  let library = null;
+  try {
+    library = openPodcastLibrary(dbPath);
+  } catch (error) {
+    if (error.locked) {
+      throw error;
+    }
+    console.warn(
+      `${error.message}. Output filenames will use fallback identifiers.`
+    );
+    return new Map();
+  }
+  if (!library) {
+    console.warn(
+      `Metadata database not found at ${dbPath}. Output filenames will use fallback identifiers.`
+    );
+    return new Map();
+  }
 
   const metadataMap = new Map();
   let missingListeningStatusLogged = false;
-  const chunkSize = 200;
-
-  for (let i = 0; i < uniqueIdentifiers.length; i += chunkSize) {
-    const chunk = uniqueIdentifiers.slice(i, i + chunkSize);
-    const quotedIdentifiers = chunk
-      .map((identifier) => `'${identifier.replaceAll("'", "''")}'`)
-      .join(",");
-    const whereClause = [
-      `episode.ZTRANSCRIPTIDENTIFIER IN (${quotedIdentifiers})`,
-      `episode.ZFREETRANSCRIPTIDENTIFIER IN (${quotedIdentifiers})`,
-      `episode.ZENTITLEDTRANSCRIPTIDENTIFIER IN (${quotedIdentifiers})`,
-    ].join(" OR ");
-    const query = `${baseQuery} WHERE ${whereClause};`;
-
-    const result = spawnSync("sqlite3", ["-readonly", "-json", dbPath, query], {
-      encoding: "utf8",
-      maxBuffer: 50 * 1024 * 1024,
-    });
-
-    if (result.error) {
-      console.warn(
-        `Unable to load transcript metadata: ${result.error.message}. Filenames will use fallback identifiers.`
-      );
-      return metadataMap;
-    }
-
-    if (result.status !== 0) {
-      console.warn(
-        `sqlite3 returned non-zero status (${result.status}). Output filenames will use fallback identifiers.`
-      );
-      if (result.stderr) {
-        console.warn(result.stderr.trim());
-      }
-      return metadataMap;
-    }
 
-    let rows;
+  try {
+    let rows = [];
     try {
-      rows = JSON.parse(result.stdout || "[]");
-    } catch (parseError) {
+      rows = library.findEpisodesByTranscriptIdentifiers(uniqueIdentifiers);
+    } catch (error) {
+      // A locked library aborts the sync: falling back to generic names
+      // would move every transcript to an "unknown-show" folder.
+      if (error.locked) {
+        throw error;
+      }
       console.warn(
-        "Failed to parse transcript metadata. Output filenames will use fallback identifiers."
+        `Unable to load transcript metadata: ${error.message}. Output filenames will use fallback identifiers.`
       );
       return metadataMap;
     }
@@ -178,64 +215,36 @@ function loadTranscriptMetadata(requestedIdentifiers = []) {
       )
     );
     const stationMap = new Map();
-    if (episodePks.length > 0) {
-      const stationQuery = [
-        "SELECT",
-        "  playlist_map.Z_4EPISODES1 AS episode_pk,",
-        "  playlist.ZTITLE AS station_title",
-        "FROM Z_4PLAYLISTS playlist_map",
-        "JOIN ZMTPLAYLIST playlist ON playlist.Z_PK = playlist_map.Z_7PLAYLISTS",
-        `WHERE playlist_map.Z_4EPISODES1 IN (${episodePks.join(",")})`,
-      ].join(" ");
-      const stationResult = spawnSync(
-        "sqlite3",
-        ["-readonly", "-json", dbPath, stationQuery],
-        {
-          encoding: "utf8",
-          maxBuffer: 50 * 1024 * 1024,
-        }
-      );
-      if (stationResult.error) {
-        console.warn(
-          `Unable to load station metadata: ${stationResult.error.message}. Station filters may be incomplete.`
-        );
-      } else if (stationResult.status !== 0) {
-        if (stationResult.stderr) {
-          console.warn(stationResult.stderr.trim());
-        }
-        console.warn(
-          `sqlite3 returned non-zero status (${stationResult.status}) while loading station metadata. Station filters may be incomplete.`
-        );
-      } else {
-        let stationRows = [];
-        try {
-          stationRows = JSON.parse(stationResult.stdout || "[]");
-        } catch (stationParseError) {
-          console.warn(
-            "Failed to parse station metadata. Station filters may be incomplete."
-          );
-        }
-        stationRows.forEach((stationRow) => {
-          const pk =
-            typeof stationRow.episode_pk === "number"
-              ? stationRow.episode_pk
-              : null;
-          const title =
-            stationRow.station_title &&
-            typeof stationRow.station_title === "string"
-              ? stationRow.station_title.trim()
-              : "";
-          if (!pk || !title) {
-            return;
-          }
-          if (!stationMap.has(pk)) {
-            stationMap.set(pk, new Set());
-          }
-          stationMap.get(pk).add(title);
-        });
+    let stationRows = [];
+    try {
+      stationRows = library.findStationsForEpisodes(episodePks);
+    } catch (error) {
+      if (error.locked) {
+        throw error;
       }
+      console.warn(
+        `Unable to load station metadata: ${error.message}. Station filters may be incomplete.`
+      );
     }
+    stationRows.forEach((stationRow) => {
+      const pk =
+        typeof stationRow.episode_pk === "number"
+          ? stationRow.episode_pk
+          : null;
+      const title =
+        stationRow.station_title && typeof stationRow.station_title === "string"
+          ? stationRow.station_title.trim()
+          : "";
+      if (!pk || !title) {
+        return;
+      }
+      if (!stationMap.has(pk)) {
+        stationMap.set(pk, new Set());
+      }
+      stationMap.get(pk).add(title);
+    });
 
+    const outputPattern = getOutputPattern();
     rows.forEach((row) => {
       const showTitle = row.show_title || "unknown show";
       const episodeTitle = row.episode_title || "unknown episode";
@@ -254,7 +263,20 @@ function loadTranscriptMetadata(requestedIdentifiers = []) {
       const stationTitle = stationTitles.length > 0 ? stationTitles[0] : null;
       const stationSlug = stationSlugs.length > 0 ? stationSlugs[0] : null;
       const listeningStatus = buildListeningStatus(row);
-      const baseFileName = `${showSlug}_${pubDate}_${episodeSlug}`;
+      const episodeDetails = buildEpisodeDetails(row);
+      const baseFileName = getEpisodeBaseFileName(
+        {
+          showTitle,
+          episodeTitle,
+          pubDate,
+          showSlug,
+          stationTitle,
+          stationSlug,
+          listeningStatus,
+          ...episodeDetails,
+        },
+        outputPattern
+      );
       if (!listeningStatus && !missingListeningStatusLogged) {
         console.warn(
           "Playback status columns were unavailable for at least one episode. Listening status will be omitted."
@@ -275,6 +297,7 @@ function loadTranscriptMetadata(requestedIdentifiers = []) {
         baseFileName,
         episodeDescriptionHtml: row.item_description || "",
         episodeDescriptionText: row.item_description_without_html || "",
+        ...episodeDetails,
         listeningStatus,
       };
       [
@@ -287,6 +310,8 @@ function loadTranscriptMetadata(requestedIdentifiers = []) {
         }
       });
     });
+  } finally {
+    library.close();
   }
 
   return metadataMap;
@@ -0,0 +1,529 @@
+import fs from "fs";
+import path from "path";
+
+import { writeFileAtomicSync } from "../utils/atomic-write.js";
+
+const SEARCH_INDEX_FILENAME = ".search-index.json";
+const SEARCH_INDEX_VERSION = 3;
+const SNIPPET_RADIUS = 90;
+const MAX_SNIPPETS_PER_RESULT = 3;
+// Matches `[HH:MM:SS]` markers along with the link target when sync renders
+// them as links, so URLs are neither indexed nor shown in snippets.
+const TIMESTAMP_PATTERN = /\[(\d{2}):(\d{2}):(\d{2})\](?:\([^)\s]*\))?/g;
+const TOKEN_PATTERN = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+
+function getSearchIndexPath(baseDirectory) {
+  return path.join(baseDirectory, SEARCH_INDEX_FILENAME);
+}
+
+function createEmptySearchIndex() {
+  return {
+    version: SEARCH_INDEX_VERSION,
+    nextDocId: 1,
+    documents: {},
+    postings: new Map(),
+    updatedAt: null,
+  };
+}
+
+function normalizeToken(value) {
+  if (!value) {
+    return "";
+  }
+  return String(value)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/['’]/g, "")
+    .toLowerCase();
+}
+
+function maskTimestamps(text) {
+  return text.replace(TIMESTAMP_PATTERN, (match) => " ".repeat(match.length));
+}
+
+// Words with apostrophes are split into their parts, so "O'Brien" matches
+// both "O Brien" and "O'Brien". The last part also carries the joined form
+// as `joined`, which is indexed at the same position so "obrien" and "dont"
+// match too, including in a phrase with the words that follow.
+function tokenizeWithOffsets(text) {
+  const tokens = [];
+  if (!text) {
+    return tokens;
+  }
+  const masked = maskTimestamps(text);
+  for (const match of masked.matchAll(TOKEN_PATTERN)) {
+    const parts = [];
+    let offset = match.index;
+    match[0].split(/['’]/).forEach((part) => {
+      const term = normalizeToken(part);
+      if (term) {
+        parts.push({ term, start: offset, end: offset + part.length });
+      }
+      offset += part.length + 1;
+    });
+    if (parts.length > 1) {
+      parts[parts.length - 1].joined = normalizeToken(match[0]);
+    }
+    tokens.push(...parts);
+  }
+  return tokens;
+}
+
+// Query words are looked up by their joined form, which the index holds for
+// every word with an apostrophe, so "don't know" also finds "dont know".
+function tokenizeQuery(text) {
+  return Array.from(text.matchAll(TOKEN_PATTERN), (match) =>
+    normalizeToken(match[0])
+  ).filter(Boolean);
+}
+
+function loadSearchIndex(baseDirectory) {
+  const indexPath = getSearchIndexPath(baseDirectory);
+  if (!fs.existsSync(indexPath)) {
+    return createEmptySearchIndex();
+  }
+  try {
+    const parsed = JSON.parse(fs.readFileSync(indexPath, "utf8"));
+    if (
+      !parsed ||
+      typeof parsed !== "object" ||
+      parsed.version !== SEARCH_INDEX_VERSION ||
+      !parsed.documents ||
+      !parsed.postings
+    ) {
+      return createEmptySearchIndex();
+    }
+    parsed.nextDocId = Number.isInteger(parsed.nextDocId)
+      ? parsed.nextDocId
+      : 1;
+    // Terms are arbitrary words, so keep them out of plain-object keys
+    // where "constructor" or "__proto__" would collide with the prototype.
+    parsed.postings = new Map(Object.entries(parsed.postings));
+    return parsed;
+  } catch (error) {
+    console.warn(
+      `[WARN] Unable to read search index. Rebuilding it from scratch. (${error.message})`
+    );
+    return createEmptySearchIndex();
+  }
+}
+
+function saveSearchIndex(baseDirectory, index) {
+  const indexPath = getSearchIndexPath(baseDirectory);
+  const output = {
+    version: SEARCH_INDEX_VERSION,
+    nextDocId: index.nextDocId,
+    documents: index.documents,
+    postings: Object.fromEntries(index.postings),
+    updatedAt: new Date().toISOString(),
+  };
+  writeFileAtomicSync(indexPath, JSON.stringify(output));
+}
+
+function removeDocuments(index, docIds) {
+  if (docIds.size === 0) {
+    return;
+  }
+  index.postings.forEach((posting, term) => {
+    docIds.forEach((docId) => {
+      delete posting[docId];
+    });
+    if (Object.keys(posting).length === 0) {
+      index.postings.delete(term);
+    }
+  });
+  docIds.forEach((docId) => {
+    delete index.documents[docId];
+  });
+}
+
+function addDocument(index, { relativePath, identifier, stats, content }) {
+  const docId = String(index.nextDocId);
+  index.nextDocId += 1;
+  const tokens = tokenizeWithOffsets(content);
+  const addPosting = (term, position) => {
+    if (!index.postings.has(term)) {
+      index.postings.set(term, {});
+    }
+    const posting = index.postings.get(term);
+    if (!posting[docId]) {
+      posting[docId] = [];
+    }
+    posting[docId].push(position);
+  };
+  tokens.forEach((token, position) => {
+    addPosting(token.term, position);
+    if (token.joined) {
+      addPosting(token.joined, position);
+    }
+  });
+  index.documents[docId] = {
+    relativePath,
+    identifier: identifier || null,
+    mtimeMs: Math.round(stats.mtimeMs),
+    size: stats.size,
+    tokenCount: tokens.length,
+  };
+}
+
+function updateSearchIndex(index, catalogEntries) {
+  const wanted = new Map();
+  (Array.isArray(catalogEntries) ? catalogEntries : []).forEach((entry) => {
+    if (!entry || !entry.hasMarkdown || !entry.normalizedRelativePath) {
+      return;
+    }
+    wanted.set(entry.normalizedRelativePath, entry);
+  });
+
+  const stale = new Set();
+  const current = new Map();
+  Object.entries(index.documents).forEach(([docId, document]) => {
+    const entry = wanted.get(document.relativePath);
+    if (!entry) {
+      stale.add(docId);
+      return;
+    }
+    let stats = null;
+    try {
+      stats = fs.statSync(entry.absolutePath);
+    } catch (error) {
+      stale.add(docId);
+      return;
+    }
+    if (
+      Math.round(stats.mtimeMs) !== document.mtimeMs ||
+      stats.size !== document.size ||
+      (entry.identifier || null) !== document.identifier
+    ) {
+      stale.add(docId);
+      return;
+    }
+    current.set(document.relativePath, docId);
+  });
+  removeDocuments(index, stale);
+
+  let added = 0;
+  wanted.forEach((entry, relativePath) => {
+    if (current.has(relativePath)) {
+      return;
+    }
+    let content = null;
+    let stats = null;
+    try {
+      stats = fs.statSync(entry.absolutePath);
+      content = fs.readFileSync(entry.absolutePath, "utf8");
+    } catch (error) {
+      console.warn(`[WARN] Unable to index ${relativePath}: ${error.message}`);
+      return;
+    }
+    addDocument(index, {
+      relativePath,
+      identifier: entry.identifier,
+      stats,
+      content,
+    });
+    added += 1;
+  });
+  return { added, removed: stale.size, changed: added > 0 || stale.size > 0 };
+}
+
+function parseSearchQuery(rawQuery) {
+  const query = typeof rawQuery === "string" ? rawQuery.trim() : "";
+  if (!query) {
+    throw new Error("Search query is empty.");
+  }
+  const groups = [[]];
+  let pendingOperator = null;
+  for (const match of query.matchAll(/"([^"]*)"|(\S+)/g)) {
+    const isQuoted = match[1] !== undefined;
+    const raw = isQuoted ? match[1] : match[2];
+    if (!isQuoted && (raw === "OR" || raw === "|")) {
+      pendingOperator = "OR";
+      continue;
+    }
+    if (!isQuoted && (raw === "AND" || raw === "&")) {
+      pendingOperator = "AND";
+      continue;
+    }
+    const terms = tokenizeQuery(raw);
+    if (terms.length === 0) {
+      continue;
+    }
+    if (pendingOperator === "OR" && groups[groups.length - 1].length > 0) {
+      groups.push([]);
+    }
+    pendingOperator = null;
+    groups[groups.length - 1].push({
+      text: isQuoted ? `"${raw}"` : raw,
+      terms,
+    });
+  }
+  const clauses = groups.filter((group) => group.length > 0);
+  if (clauses.length === 0) {
+    throw new Error(`Search query "${query}" has no searchable words.`);
+  }
+  return { raw: query, groups: clauses };
+}
+
+function describeSearchQuery(parsedQuery) {
+  return parsedQuery.groups
+    .map((group) => group.map((clause) => clause.text).join(" AND "))
+    .join(" OR ");
+}
+
+function matchClause(index, clause) {
+  const [firstTerm, ...restTerms] = clause.terms;
+  const firstPosting = index.postings.get(firstTerm);
+  const matches = new Map();
+  if (!firstPosting) {
+    return matches;
+  }
+  Object.entries(firstPosting).forEach(([docId, positions]) => {
+    const hits = positions.filter((position) =>
+      restTerms.every((term, offset) => {
+        const posting = index.postings.get(term);
+        const termPositions = posting ? posting[docId] : null;
+        return (
+          Array.isArray(termPositions) &&
+          termPositions.includes(position + offset + 1)
+        );
+      })
+    );
+    if (hits.length > 0) {
+      matches.set(
+        docId,
+        hits.map((position) => ({ position, length: clause.terms.length }))
+      );
+    }
+  });
+  return matches;
+}
+
+// Each hit records the clause it matched as `clause` ("group:clause"), so
+// snippets can show every word of an AND query.
+function runSearchQuery(index, parsedQuery) {
+  const results = new Map();
+  parsedQuery.groups.forEach((group, groupIndex) => {
+    let groupMatches = null;
+    group.forEach((clause, clauseIndex) => {
+      const clauseMatches = new Map();
+      matchClause(index, clause).forEach((hits, docId) => {
+        clauseMatches.set(
+          docId,
+          hits.map((hit) => ({
+            ...hit,
+            clause: `${groupIndex}:${clauseIndex}`,
+          }))
+        );
+      });
+      if (groupMatches === null) {
+        groupMatches = clauseMatches;
+        return;
+      }
+      const intersected = new Map();
+      groupMatches.forEach((hits, docId) => {
+        if (clauseMatches.has(docId)) {
+          intersected.set(docId, hits.concat(clauseMatches.get(docId)));
+        }
+      });
+      groupMatches = intersected;
+    });
+    (groupMatches || new Map()).forEach((hits, docId) => {
+      const existing = results.get(docId) || [];
+      results.set(docId, existing.concat(hits));
+    });
+  });
+  const output = [];
+  results.forEach((hits, docId) => {
+    const document = index.documents[docId];
+    if (!document) {
+      return;
+    }
+    const unique = new Map();
+    hits.forEach((hit) => {
+      const previous = unique.get(hit.position);
+      if (!previous || previous.length < hit.length) {
+        unique.set(hit.position, hit);
+      }
+    });
+    output.push({
+      relativePath: document.relativePath,
+      identifier: document.identifier,
+      hits: Array.from(unique.values()).sort((a, b) => a.position - b.position),
+    });
+  });
+  return output;
+}
+
+function findNearestTimestamp(content, offset) {
+  // Timestamps open each paragraph, so the closest one before the match is
+  // where it was said. Matches in the description have none.
+  let nearest = null;
+  for (const match of content.matchAll(TIMESTAMP_PATTERN)) {
+    if (match.index > offset) {
+      break;
+    }
+    nearest = `${match[1]}:${match[2]}:${match[3]}`;
+  }
+  return nearest;
+}
+
+function buildSnippetText(content, start, end) {
+  let snippetStart = Math.max(start - SNIPPET_RADIUS, 0);
+  let snippetEnd = Math.min(end + SNIPPET_RADIUS, content.length);
+  if (snippetStart > 0) {
+    const space = content.indexOf(" ", snippetStart);
+    if (space !== -1 && space < start) {
+      snippetStart = space + 1;
+    }
+  }
+  if (snippetEnd < content.length) {
+    const space = content.lastIndexOf(" ", snippetEnd);
+    if (space > end) {
+      snippetEnd = space;
+    }
+  }
+  const body = content
+    .slice(snippetStart, snippetEnd)
+    .replace(TIMESTAMP_PATTERN, "")
+    .replace(/\s+/g, " ")
+    .trim();
+  const prefix = snippetStart > 0 ? "…" : "";
+  const suffix = snippetEnd < content.length ? "…" : "";
+  return `${prefix}${body}${suffix}`;
+}
+
+function findClosestDistance(sortedPositions, position) {
+  let low = 0;
+  let high = sortedPositions.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (sortedPositions[middle] < position) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  let closest = Infinity;
+  [low - 1, low].forEach((candidate) => {
+    if (candidate >= 0 && candidate < sortedPositions.length) {
+      closest = Math.min(
+        closest,
+        Math.abs(sortedPositions[candidate] - position)
+      );
+    }
+  });
+  return closest;
+}
+
+// Orders the hits of each clause so those closest to a hit of another clause
+// in the same AND group come first. Returns one queue per clause.
+function queueHitsByClause(hits) {
+  const byClause = new Map();
+  hits.forEach((hit) => {
+    const key = hit.clause || "";
+    if (!byClause.has(key)) {
+      byClause.set(key, []);
+    }
+    byClause.get(key).push(hit);
+  });
+  const positions = new Map();
+  byClause.forEach((clauseHits, key) => {
+    positions.set(
+      key,
+      clauseHits.map((hit) => hit.position).sort((a, b) => a - b)
+    );
+  });
+  return Array.from(byClause.entries()).map(([key, clauseHits]) => {
+    const group = key.split(":")[0];
+    const others = Array.from(positions.keys()).filter(
+      (other) => other !== key && other.split(":")[0] === group
+    );
+    const distances = new Map();
+    clauseHits.forEach((hit) => {
+      distances.set(
+        hit,
+        others.reduce(
+          (closest, other) =>
+            Math.min(
+              closest,
+              findClosestDistance(positions.get(other), hit.position)
+            ),
+          Infinity
+        )
+      );
+    });
+    return clauseHits
+      .slice()
+      .sort(
+        (a, b) => distances.get(a) - distances.get(b) || a.position - b.position
+      );
+  });
+}
+
+// Takes snippets from each clause in turn, so an AND query shows its rarer
+// words too instead of three hits of the most common one.
+function buildSearchSnippets(content, hits, limit = MAX_SNIPPETS_PER_RESULT) {
+  if (!content || !Array.isArray(hits) || hits.length === 0) {
+    return [];
+  }
+  const tokens = tokenizeWithOffsets(content);
+  const queues = queueHitsByClause(hits);
+  const chosen = [];
+  const isCovered = (start) =>
+    chosen.some(
+      (snippet) =>
+        start >= snippet.start - SNIPPET_RADIUS &&
+        start <= snippet.end + SNIPPET_RADIUS
+    );
+  let remaining = true;
+  while (chosen.length < limit && remaining) {
+    remaining = false;
+    for (const queue of queues) {
+      if (chosen.length >= limit) {
+        break;
+      }
+      while (queue.length > 0) {
+        const hit = queue.shift();
+        const first = tokens[hit.position];
+        const last = tokens[hit.position + hit.length - 1];
+        if (!first || !last || isCovered(first.start)) {
+          continue;
+        }
+        chosen.push({ start: first.start, end: last.end });
+        break;
+      }
+      remaining = remaining || queue.length > 0;
+    }
+  }
+  return chosen
+    .sort((a, b) => a.start - b.start)
+    .map(({ start, end }) => ({
+      timestamp: findNearestTimestamp(content, start),
+      text: buildSnippetText(content, start, end),
+    }));
+}
+
+export {
+  buildSearchSnippets,
+  createEmptySearchIndex,
+  describeSearchQuery,
+  getSearchIndexPath,
+  loadSearchIndex,
+  parseSearchQuery,
+  runSearchQuery,
+  saveSearchIndex,
+  updateSearchIndex,
+};
+
+export default {
+  buildSearchSnippets,
+  createEmptySearchIndex,
+  describeSearchQuery,
+  getSearchIndexPath,
+  loadSearchIndex,
+  parseSearchQuery,
+  runSearchQuery,
+  saveSearchIndex,
+  updateSearchIndex,
+};
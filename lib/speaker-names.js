@@ -0,0 +1,107 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+import { getSpeakersDir } from "./app-config.js";
+
+const cachedFiles = new Map();
+
+// Names files are read once per run; watch mode clears this before each sync
+// so edits made while it runs are picked up.
+function clearSpeakerNamesCache() {
+  cachedFiles.clear();
+}
+
+function getSpeakerNamesPath(showSlug) {
+  return path.join(getSpeakersDir(), `${showSlug}.json`);
+}
+
+function normalizeNameMap(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return {};
+  }
+  const result = {};
+  Object.entries(input).forEach(([speakerId, name]) => {
+    if (typeof name === "string" && name.trim()) {
+      result[speakerId] = name.trim();
+    }
+  });
+  return result;
+}
+
+function readSpeakerNamesFile(showSlug) {
+  if (cachedFiles.has(showSlug)) {
+    return cachedFiles.get(showSlug);
+  }
+  const filePath = getSpeakerNamesPath(showSlug);
+  let parsed = null;
+  if (fs.existsSync(filePath)) {
+    try {
+      parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      console.warn(
+        `[WARN] Unable to read speaker names from ${filePath}: ${error.message}`
+      );
+    }
+  }
+  cachedFiles.set(showSlug, parsed);
+  return parsed;
+}
+
+// A show file is either a flat `{ "SPEAKER_1": "Name" }` map, or
+// `{ "speakers": {...}, "episodes": { "<identifier>": {...} } }` when the
+// same ID means different people in different episodes.
+function resolveSpeakerNames({
+  showSlug,
+  identifier = null,
+  baseFileName = null,
+}) {
+  if (!showSlug) {
+    return null;
+  }
+  const parsed = readSpeakerNamesFile(showSlug);
+  if (!parsed || typeof parsed !== "object") {
+    return null;
+  }
+  const hasSections =
+    Object.prototype.hasOwnProperty.call(parsed, "speakers") ||
+    Object.prototype.hasOwnProperty.call(parsed, "episodes");
+  const showNames = normalizeNameMap(hasSections ? parsed.speakers : parsed);
+  const episodes =
+    hasSections && parsed.episodes && typeof parsed.episodes === "object"
+      ? parsed.episodes
+      : {};
+  const episodeNames = normalizeNameMap(
+    (identifier && episodes[identifier]) ||
+      (baseFileName && episodes[baseFileName]) ||
+      null
+  );
+  const names = { ...showNames, ...episodeNames };
+  return Object.keys(names).length > 0 ? names : null;
+}
+
+function buildSpeakerNamesSignature(speakerNames) {
+  if (!speakerNames) {
+    return "none";
+  }
+  const sorted = Object.keys(speakerNames)
+    .sort()
+    .map((key) => [key, speakerNames[key]]);
+  return crypto
+    .createHash("sha1")
+    .update(JSON.stringify(sorted))
+    .digest("hex")
+    .slice(0, 12);
+}
+
+export {
+  buildSpeakerNamesSignature,
+  clearSpeakerNamesCache,
+  resolveSpeakerNames,
+};
+
+export default {
+  resolveSpeakerNames,
+  buildSpeakerNamesSignature,
+  clearSpeakerNamesCache,
+};
@@ -0,0 +1,176 @@
+const DEFAULT_MAX_LINE_LENGTH = 42;
+const DEFAULT_MAX_LINES = 2;
+const DEFAULT_MAX_CUE_SECONDS = 7;
+const MIN_CUE_SECONDS = 0.8;
+
+function estimateWordTimings(segment) {
+  const words = segment.text.split(/\s+/).filter(Boolean);
+  if (words.length === 0 || segment.begin == null) {
+    return [];
+  }
+  const end =
+    segment.end != null && segment.end > segment.begin
+      ? segment.end
+      : segment.begin + words.length * 0.4;
+  const totalChars = words.reduce((sum, word) => sum + word.length + 1, 0);
+  const duration = end - segment.begin;
+  let cursor = segment.begin;
+  return words.map((word) => {
+    const wordDuration = (duration * (word.length + 1)) / totalChars;
+    const timing = { text: word, begin: cursor, end: cursor + wordDuration };
+    cursor += wordDuration;
+    return timing;
+  });
+}
+
+function getSegmentWords(segment) {
+  const timedWords = Array.isArray(segment.words)
+    ? segment.words.filter((word) => word.begin != null && word.end != null)
+    : [];
+  if (timedWords.length > 0 && timedWords.length === segment.words.length) {
+    return timedWords;
+  }
+  return estimateWordTimings(segment);
+}
+
+function wrapCueLines(text, maxLineLength) {
+  if (text.length <= maxLineLength) {
+    return [text];
+  }
+  // Break at the space closest to the middle so both lines stay balanced.
+  const middle = Math.floor(text.length / 2);
+  let best = -1;
+  for (let index = 0; index < text.length; index += 1) {
+    if (text[index] !== " ") {
+      continue;
+    }
+    if (best === -1 || Math.abs(index - middle) < Math.abs(best - middle)) {
+      best = index;
+    }
+  }
+  if (best === -1) {
+    return [text];
+  }
+  return [text.slice(0, best), text.slice(best + 1)];
+}
+
+function buildSubtitleCues(segments, options = {}) {
+  const {
+    maxLineLength = DEFAULT_MAX_LINE_LENGTH,
+    maxLines = DEFAULT_MAX_LINES,
+    maxCueSeconds = DEFAULT_MAX_CUE_SECONDS,
+  } = options;
+  const maxChars = maxLineLength * maxLines;
+  const cues = [];
+
+  (Array.isArray(segments) ? segments : []).forEach((segment) => {
+    let current = null;
+    const flush = () => {
+      if (current && current.words.length > 0) {
+        cues.push({
+          begin: current.words[0].begin,
+          end: current.words[current.words.length - 1].end,
+          text: current.words.map((word) => word.text).join(" "),
+          speakerId: segment.speakerId || null,
+        });
+      }
+      current = null;
+    };
+    getSegmentWords(segment).forEach((word) => {
+      if (!current) {
+        current = { words: [word], length: word.text.length };
+        return;
+      }
+      const nextLength = current.length + 1 + word.text.length;
+      const nextDuration = word.end - current.words[0].begin;
+      const lastText = current.words[current.words.length - 1].text;
+      const sentenceEnded =
+        /[.!?]["')\]]?$/.test(lastText) && current.length >= maxLineLength;
+      if (
+        nextLength > maxChars ||
+        nextDuration > maxCueSeconds ||
+        sentenceEnded
+      ) {
+        flush();
+        current = { words: [word], length: word.text.length };
+        return;
+      }
+      current.words.push(word);
+      current.length = nextLength;
+    });
+    flush();
+  });
+
+  cues.forEach((cue, index) => {
+    const next = cues[index + 1];
+    const minimumEnd = cue.begin + MIN_CUE_SECONDS;
+    let end = Math.max(cue.end, minimumEnd);
+    if (next && end > next.begin) {
+      end = Math.max(next.begin, cue.begin + 0.001);
+    }
+    cue.end = end;
+    cue.lines = wrapCueLines(cue.text, maxLineLength);
+  });
+  return cues;
+}
+
+function formatCueTimestamp(seconds, separator) {
+  const totalMs = Math.max(Math.round(seconds * 1000), 0);
+  const h = Math.floor(totalMs / 3600000);
+  const m = Math.floor((totalMs % 3600000) / 60000);
+  const s = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  return `${String(h).padStart(2, "0")}:${String(m).padStart(2, "0")}:${String(
+    s
+  ).padStart(2, "0")}${separator}${String(ms).padStart(3, "0")}`;
+}
+
+function escapeVttText(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+function formatSrt(cues) {
+  const blocks = cues.map((cue, index) =>
+    [
+      String(index + 1),
+      `${formatCueTimestamp(cue.begin, ",")} --> ${formatCueTimestamp(
+        cue.end,
+        ","
+      )}`,
+      ...cue.lines,
+    ].join("\n")
+  );
+  return blocks.length > 0 ? `${blocks.join("\n\n")}\n` : "";
+}
+
+function formatVtt(cues, { speakerLabel = null } = {}) {
+  const blocks = cues.map((cue) => {
+    const voice =
+      cue.speakerId && typeof speakerLabel === "function"
+        ? speakerLabel(cue.speakerId)
+        : null;
+    const lines = cue.lines.map(escapeVttText);
+    if (voice) {
+      lines[0] = `<v ${escapeVttText(voice)}>${lines[0]}`;
+    }
+    return [
+      `${formatCueTimestamp(cue.begin, ".")} --> ${formatCueTimestamp(
+        cue.end,
+        "."
+      )}`,
+      ...lines,
+    ].join("\n");
+  });
+  return `WEBVTT\n\n${blocks.join("\n\n")}\n`;
+}
+
+export { buildSubtitleCues, formatSrt, formatVtt };
+
+export default {
+  buildSubtitleCues,
+  formatSrt,
+  formatVtt,
+};
@@ -0,0 +1,33 @@
+import path from "path";
+
+import { getTranscriptsDir } from "./app-config.js";
+import { acquireProcessLock } from "./utils/process-lock.js";
+
+const SYNC_LOCK_FILENAME = ".sync.lock";
+
+function getSyncLockPath(baseDirectory = getTranscriptsDir()) {
+  return path.join(baseDirectory, SYNC_LOCK_FILENAME);
+}
+
+// Held around every command that writes transcripts or the manifest (sync,
+// another command's auto-sync, reorganize, saving a migrated manifest), so two
+// runs never interleave their writes.
+function acquireSyncLock(baseDirectory = getTranscriptsDir()) {
+  return acquireProcessLock(getSyncLockPath(baseDirectory), {
+    command: process.argv.slice(2).join(" ") || "transcripts",
+  });
+}
+
+function describeLockConflict(lock) {
+  return `Another transcripts sync is already running (${
+    lock.owner
+  }). Wait for it to finish, or delete ${getSyncLockPath()} if that process is gone.`;
+}
+
+export { acquireSyncLock, describeLockConflict, getSyncLockPath };
+
+export default {
+  acquireSyncLock,
+  describeLockConflict,
+  getSyncLockPath,
+};
@@ -0,0 +1,156 @@
+import fs from "fs";
+import path from "path";
+
+import transcriptFileManager from "./transcript-file-manager.js";
+
+const { transcriptIdentifierFromRelativePath } = transcriptFileManager;
+
+const DEFAULT_DEBOUNCE_MS = 1500;
+
+// Podcasts writes TTML files and the library database in bursts (a cache
+// directory, then the file; the database, then its -wal/-shm companions), so
+// events are collected until things go quiet for `debounceMs` and handed to
+// `onChange` as one batch. `identifiers` is null when the changes cannot be
+// narrowed to specific transcripts and every file should be checked. Edits to
+// the speaker names files in `speakersDir` also trigger a full check, since a
+// names file covers every episode of its show. When `onChange` resolves to
+// `{ retry: true }` the batch is queued again.
+function watchSyncSources({
+  ttmlCacheDir,
+  libraryDbPath = null,
+  speakersDir = null,
+  debounceMs = DEFAULT_DEBOUNCE_MS,
+  onChange,
+  onError = null,
+}) {
+  const watchers = [];
+  let pending = null;
+  let timer = null;
+  let running = false;
+  let closed = false;
+
+  const reportError = (error) => {
+    if (typeof onError === "function") {
+      onError(error);
+    } else {
+      console.warn(`[WARN] File watcher error: ${error.message}`);
+    }
+  };
+
+  const flush = async () => {
+    timer = null;
+    if (running || closed || !pending) {
+      return;
+    }
+    const batch = pending;
+    pending = null;
+    running = true;
+    try {
+      const outcome = await onChange({
+        identifiers: batch.fullScan ? null : new Set(batch.identifiers),
+        libraryChanged: batch.libraryChanged,
+      });
+      if (outcome && outcome.retry) {
+        batch.identifiers.forEach((identifier) => record({ identifier }));
+        record({
+          fullScan: batch.fullScan,
+          libraryChanged: batch.libraryChanged,
+        });
+      }
+    } catch (error) {
+      reportError(error);
+    } finally {
+      running = false;
+    }
+    // Events that arrived during the run are handled right after it.
+    if (pending && !closed) {
+      schedule();
+    }
+  };
+
+  const schedule = () => {
+    if (timer) {
+      clearTimeout(timer);
+    }
+    timer = setTimeout(flush, debounceMs);
+  };
+
+  const record = (change) => {
+    if (!pending) {
+      pending = {
+        identifiers: new Set(),
+        fullScan: false,
+        libraryChanged: false,
+      };
+    }
+    if (change.identifier) {
+      pending.identifiers.add(change.identifier);
+    }
+    if (change.fullScan) {
+      pending.fullScan = true;
+    }
+    if (change.libraryChanged) {
+      pending.libraryChanged = true;
+    }
+    schedule();
+  };
+
+  const cacheWatcher = fs.watch(
+    ttmlCacheDir,
+    { recursive: true },
+    (eventType, filename) => {
+      const relative = filename ? String(filename) : "";
+      if (relative.includes(".ttml")) {
+        record({ identifier: transcriptIdentifierFromRelativePath(relative) });
+        return;
+      }
+      record({ fullScan: true });
+    }
+  );
+  cacheWatcher.on("error", reportError);
+  watchers.push(cacheWatcher);
+
+  if (libraryDbPath && fs.existsSync(path.dirname(libraryDbPath))) {
+    // Watch the directory rather than the file: SQLite commits land in the
+    // -wal companion and checkpoints may replace the main file.
+    const dbName = path.basename(libraryDbPath);
+    const dbWatcher = fs.watch(
+      path.dirname(libraryDbPath),
+      (eventType, filename) => {
+        if (filename && String(filename).startsWith(dbName)) {
+          record({ fullScan: true, libraryChanged: true });
+        }
+      }
+    );
+    dbWatcher.on("error", reportError);
+    watchers.push(dbWatcher);
+  }
+
+  if (speakersDir && fs.existsSync(speakersDir)) {
+    const speakersWatcher = fs.watch(speakersDir, (eventType, filename) => {
+      if (!filename || String(filename).endsWith(".json")) {
+        record({ fullScan: true });
+      }
+    });
+    speakersWatcher.on("error", reportError);
+    watchers.push(speakersWatcher);
+  }
+
+  return {
+    close() {
+      closed = true;
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+      watchers.forEach((watcher) => watcher.close());
+    },
+  };
+}
+
+export { DEFAULT_DEBOUNCE_MS, watchSyncSources };
+
+export default {
+  DEFAULT_DEBOUNCE_MS,
+  watchSyncSources,
+};
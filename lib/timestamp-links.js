@@ -0,0 +1,100 @@
+import transcriptFieldFormatters from "./transcript-field-formatters.js";
+const { formatTimestamp } = transcriptFieldFormatters;
+
+// `H:MM:SS` or `HH:MM:SS`, optionally followed by `–HH:MM:SS` for a range.
+// Clock times such as "10:30" are left alone.
+const TIME = String.raw`\d{1,2}:[0-5]\d:[0-5]\d`;
+const SUMMARY_TIMESTAMP_PATTERN = new RegExp(
+  String.raw`(\[)?(\x60)?\b(${TIME})(\s*[–—-]\s*${TIME})?\b\2(\])?(\()?`,
+  "g"
+);
+const LINKED_TIMESTAMP_PATTERN = new RegExp(
+  String.raw`\[(${TIME}(?:\s*[–—-]\s*${TIME})?)\]\([^)\s]+\)`,
+  "g"
+);
+
+function parseTimestampSeconds(value) {
+  const [hours, minutes, seconds] = value.split(":").map(Number);
+  return hours * 3600 + minutes * 60 + seconds;
+}
+
+// Apple Podcasts links with a store track ID open the episode in the Podcasts
+// app at `t` seconds. Other episode pages get a `#t=` media fragment, which
+// players that support it seek to and everything else ignores.
+function buildTimestampUrl(metadata, seconds) {
+  if (!metadata || typeof seconds !== "number" || !Number.isFinite(seconds)) {
+    return null;
+  }
+  const offset = Math.max(0, Math.floor(seconds));
+  if (metadata.applePodcastsUrl && metadata.storeTrackId) {
+    return `${metadata.applePodcastsUrl}&t=${offset}`;
+  }
+  if (metadata.episodeUrl) {
+    return `${metadata.episodeUrl.replace(/#.*$/, "")}#t=${offset}`;
+  }
+  return null;
+}
+
+// Returns a function that turns seconds into a link for this episode, or null
+// when the library has no link for it and timestamps stay plain text.
+function createTimestampUrlBuilder(metadata) {
+  if (buildTimestampUrl(metadata, 0) === null) {
+    return null;
+  }
+  return (seconds) => buildTimestampUrl(metadata, seconds);
+}
+
+function formatTimestampLink(seconds, timestampUrl) {
+  const label = formatTimestamp(seconds);
+  const url = timestampUrl ? timestampUrl(seconds) : null;
+  return url ? `[${label}](${url})` : `[${label}]`;
+}
+
+// Links every timestamp and timestamp range in a summary to the moment it
+// starts. Timestamps that are already links are kept, so summaries can be run
+// through this more than once.
+function linkSummaryTimestamps(markdown, metadata) {
+  const timestampUrl = createTimestampUrlBuilder(metadata);
+  if (!markdown || !timestampUrl) {
+    return markdown;
+  }
+  return markdown.replace(
+    SUMMARY_TIMESTAMP_PATTERN,
+    (match, open, tick, start, range, close, paren) => {
+      if (open && close && paren) {
+        return match;
+      }
+      const label = `${start}${range || ""}`;
+      const link = `[${label}](${timestampUrl(parseTimestampSeconds(start))})`;
+      return `${open && !close ? open : ""}${link}${
+        close && !open ? close : ""
+      }${paren || ""}`;
+    }
+  );
+}
+
+// Turns linked timestamps back into plain text: `[HH:MM:SS]` markers for
+// transcripts sent to the summarizer, or bare times (`brackets: false`) for
+// summaries shown in the terminal.
+function unlinkTimestamps(markdown, { brackets = true } = {}) {
+  if (!markdown) {
+    return markdown;
+  }
+  return markdown.replace(LINKED_TIMESTAMP_PATTERN, brackets ? "[$1]" : "$1");
+}
+
+export {
+  buildTimestampUrl,
+  createTimestampUrlBuilder,
+  formatTimestampLink,
+  linkSummaryTimestamps,
+  unlinkTimestamps,
+};
+
+export default {
+  buildTimestampUrl,
+  createTimestampUrlBuilder,
+  formatTimestampLink,
+  linkSummaryTimestamps,
+  unlinkTimestamps,
+};
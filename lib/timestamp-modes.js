@@ -0,0 +1,81 @@
+import { getConfigSetting } from "./app-config.js";
+
+// How often Markdown transcripts carry `[HH:MM:SS]` markers. `interval` takes
+// seconds and `headings` takes minutes; the others have no interval.
+const TIMESTAMP_MODES = {
+  paragraph: {},
+  interval: { defaultInterval: 30 },
+  speaker: {},
+  headings: { defaultInterval: 5 },
+  none: {},
+};
+const DEFAULT_TIMESTAMP_MODE = { mode: "paragraph", interval: null };
+const NO_TIMESTAMPS = { mode: "none", interval: null };
+
+// Accepts `paragraph`, `speaker`, `none`, `interval[:seconds]` or
+// `headings[:minutes]` and returns `{ mode, interval }`, or null when the value
+// is not a mode.
+function parseTimestampMode(value) {
+  if (typeof value !== "string") {
+    return null;
+  }
+  const match = /^([a-z]+)(?::(\d+))?$/.exec(value.trim().toLowerCase());
+  if (
+    !match ||
+    !Object.prototype.hasOwnProperty.call(TIMESTAMP_MODES, match[1])
+  ) {
+    return null;
+  }
+  const [, mode, rawInterval] = match;
+  const { defaultInterval } = TIMESTAMP_MODES[mode];
+  if (!defaultInterval) {
+    return rawInterval ? null : { mode, interval: null };
+  }
+  const interval = rawInterval
+    ? Number.parseInt(rawInterval, 10)
+    : defaultInterval;
+  return interval > 0 ? { mode, interval } : null;
+}
+
+function formatTimestampMode(timestampMode) {
+  const { mode, interval } = timestampMode || DEFAULT_TIMESTAMP_MODE;
+  return interval ? `${mode}:${interval}` : mode;
+}
+
+// Command-line choice first, then the `timestamps` config setting, then
+// per-paragraph stamps.
+function resolveTimestampMode(cliTimestampMode = null) {
+  if (cliTimestampMode) {
+    return cliTimestampMode;
+  }
+  const configured = getConfigSetting("timestamps", null);
+  if (configured === null) {
+    return DEFAULT_TIMESTAMP_MODE;
+  }
+  if (configured === false) {
+    return NO_TIMESTAMPS;
+  }
+  const parsed = parseTimestampMode(String(configured));
+  if (!parsed) {
+    throw new Error(
+      `Invalid timestamps setting "${configured}". Use paragraph, interval[:seconds], speaker, headings[:minutes] or none.`
+    );
+  }
+  return parsed;
+}
+
+export {
+  DEFAULT_TIMESTAMP_MODE,
+  NO_TIMESTAMPS,
+  formatTimestampMode,
+  parseTimestampMode,
+  resolveTimestampMode,
+};
+
+export default {
+  DEFAULT_TIMESTAMP_MODE,
+  NO_TIMESTAMPS,
+  formatTimestampMode,
+  parseTimestampMode,
+  resolveTimestampMode,
+};
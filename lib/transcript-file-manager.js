@@ -1,7 +1,22 @@
 import fs from "fs";
 import path from "path";
 
-import { buildEpisodeMarkdown } from "./episode-markdown-builder.js";
+import {
+  INDEX_PAGE_FILENAME,
+  TRANSCRIPT_FORMAT_EXTENSIONS,
+} from "./app-constants.js";
+import {
+  buildEpisodeMarkdown,
+  extractTranscriptBody,
+  readFrontMatterValue,
+} from "./episode-markdown-builder.js";
+import { defaultFileOperations } from "./file-operations.js";
+import {
+  formatSummaryFileName,
+  isDefaultOutputPattern,
+  parseSummaryFileName,
+  resolveEpisodeRelativeStem,
+} from "./output-layout.js";
 import { resolveMetadataForFile } from "./podcast-metadata-loader.js";
 
 function transcriptIdentifierFromRelativePath(relativePath) {
@@ -51,7 +66,10 @@ function findTTMLFiles(dir, baseDir = dir) {
   return ttmlFiles;
 }
 
-function convertExistingTxtTranscripts(directoryPath) {
+function convertExistingTxtTranscripts(
+  directoryPath,
+  fileOps = defaultFileOperations
+) {
   if (!fs.existsSync(directoryPath)) {
     return;
   }
@@ -66,13 +84,16 @@ function convertExistingTxtTranscripts(directoryPath) {
         `${path.basename(entry.name, ".txt")}.md`
       );
       const content = fs.readFileSync(sourcePath, "utf8");
-      fs.writeFileSync(destinationPath, content);
-      fs.unlinkSync(sourcePath);
+      fileOps.writeFile(destinationPath, content);
+      fileOps.unlink(sourcePath);
     }
   });
 }
 
-function moveMarkdownTranscriptsIntoShowDirectories(directoryPath) {
+function moveMarkdownTranscriptsIntoShowDirectories(
+  directoryPath,
+  fileOps = defaultFileOperations
+) {
   if (!fs.existsSync(directoryPath)) {
     return;
   }
@@ -80,7 +101,11 @@ function moveMarkdownTranscriptsIntoShowDirectories(directoryPath) {
   const entries = fs.readdirSync(directoryPath, { withFileTypes: true });
 
   entries.forEach((entry) => {
-    if (!entry.isFile() || path.extname(entry.name).toLowerCase() !== ".md") {
+    if (
+      !entry.isFile() ||
+      path.extname(entry.name).toLowerCase() !== ".md" ||
+      entry.name === INDEX_PAGE_FILENAME
+    ) {
       return;
     }
 
@@ -88,38 +113,78 @@ function moveMarkdownTranscriptsIntoShowDirectories(directoryPath) {
     const { showSlug: parsedShowSlug } = parseBaseNameSegments(baseName);
     const showSlug = parsedShowSlug || "unknown-show";
     const showDir = path.join(directoryPath, showSlug);
-    if (!fs.existsSync(showDir)) {
-      fs.mkdirSync(showDir, { recursive: true });
-    }
+    fileOps.mkdir(showDir);
 
     const currentPath = path.join(directoryPath, entry.name);
     const targetPath = path.join(showDir, entry.name);
     if (currentPath !== targetPath) {
-      fs.renameSync(currentPath, targetPath);
+      fileOps.rename(currentPath, targetPath);
     }
   });
 }
 
-function ensureShowOutputDirectory(baseDirectory, showSlug) {
+function ensureShowOutputDirectory(
+  baseDirectory,
+  showSlug,
+  fileOps = defaultFileOperations
+) {
   const directoryPath = path.join(baseDirectory, showSlug);
-  if (!fs.existsSync(directoryPath)) {
-    fs.mkdirSync(directoryPath, { recursive: true });
-  }
+  fileOps.mkdir(directoryPath);
   return directoryPath;
 }
 
-function ensureEpisodeOutputDirectory(baseDirectory, showSlug, playState) {
-  const showDirectory = ensureShowOutputDirectory(baseDirectory, showSlug);
+function ensureEpisodeOutputDirectory(
+  baseDirectory,
+  showSlug,
+  playState,
+  fileOps = defaultFileOperations
+) {
+  const showDirectory = ensureShowOutputDirectory(
+    baseDirectory,
+    showSlug,
+    fileOps
+  );
   if (playState === "played") {
     const playedDirectory = path.join(showDirectory, "played");
-    if (!fs.existsSync(playedDirectory)) {
-      fs.mkdirSync(playedDirectory, { recursive: true });
-    }
+    fileOps.mkdir(playedDirectory);
     return playedDirectory;
   }
   return showDirectory;
 }
 
+// Episodes with library metadata follow the output pattern. Without metadata
+// only the default layout can still place a file by its show slug; with a
+// custom pattern it stays where it is.
+function resolveEpisodeDirectory({
+  rootDirectory,
+  currentDirectory,
+  metadata,
+  fallbackShowSlug,
+  playState,
+  fileOps,
+}) {
+  if (metadata) {
+    const stemDirectory = path.posix.dirname(
+      resolveEpisodeRelativeStem(metadata)
+    );
+    const directoryPath =
+      stemDirectory === "."
+        ? rootDirectory
+        : path.join(rootDirectory, ...stemDirectory.split("/"));
+    fileOps.mkdir(directoryPath);
+    return directoryPath;
+  }
+  if (!isDefaultOutputPattern()) {
+    return currentDirectory;
+  }
+  return ensureEpisodeOutputDirectory(
+    rootDirectory,
+    fallbackShowSlug,
+    playState,
+    fileOps
+  );
+}
+
 function resolveFallbackContext(baseName, directorySlug) {
   const { showSlug: parsedShowSlug, dateSegment } =
     parseBaseNameSegments(baseName);
@@ -163,11 +228,67 @@ function updateManifestRelativePath(
   return changed;
 }
 
+function findManifestEntryByPath(manifest, relativePath) {
+  if (!manifest || !manifest.entries || !relativePath) {
+    return null;
+  }
+  return (
+    Object.values(manifest.entries).find(
+      (entry) => entry && entry.relativePath === relativePath
+    ) || null
+  );
+}
+
+// Files the manifest knows take the metadata of their own episode; looking
+// them up by file name could pick another episode with the same base name.
+// Only files the manifest has no entry for fall back to the name.
+function resolveMetadataForManifestFile({
+  manifestEntry,
+  metadataMap,
+  metadataIndex,
+  rawBaseName,
+}) {
+  if (!manifestEntry) {
+    return resolveMetadataForFile(metadataIndex, rawBaseName);
+  }
+  return (
+    (metadataMap && manifestEntry.identifier
+      ? metadataMap.get(manifestEntry.identifier)
+      : null) ||
+    manifestEntry.metadata ||
+    null
+  );
+}
+
+// Subtitle and JSON exports share the transcript's base name, so they follow it
+// whenever the Markdown file moves between show and played/ folders.
+function moveTranscriptSidecarFiles(
+  fromMarkdownPath,
+  toMarkdownPath,
+  fileOps = defaultFileOperations
+) {
+  Object.values(TRANSCRIPT_FORMAT_EXTENSIONS).forEach((extension) => {
+    if (extension === ".md") {
+      return;
+    }
+    const fromPath = fromMarkdownPath.replace(/\.md$/i, extension);
+    const toPath = toMarkdownPath.replace(/\.md$/i, extension);
+    if (!fileOps.exists(fromPath) || fileOps.exists(toPath)) {
+      return;
+    }
+    fileOps.rename(fromPath, toPath);
+  });
+}
+
+// `markdownOptions.metadataMap` holds the current metadata by identifier, which
+// takes precedence over the metadata stored in the manifest.
 function updateExistingMarkdownFiles(
   directoryPath,
   metadataIndex,
   manifest,
-  transcriptsRoot
+  transcriptsRoot,
+  fileOps = defaultFileOperations,
+  markdownOptions = {}
 ) {
   if (!fs.existsSync(directoryPath)) {
     return false;
@@ -183,17 +304,36 @@ function updateExistingMarkdownFiles(
           fullPath,
           metadataIndex,
           manifest,
-          transcriptsRoot
+          transcriptsRoot,
+          fileOps,
+          markdownOptions
         ) || manifestChanged;
       return;
     }
-    if (!entry.isFile() || path.extname(entry.name).toLowerCase() !== ".md") {
+    // Index pages are generated from the manifest after each sync.
+    if (
+      !entry.isFile() ||
+      path.extname(entry.name).toLowerCase() !== ".md" ||
+      entry.name === INDEX_PAGE_FILENAME
+    ) {
       return;
     }
 
     const currentContent = fs.readFileSync(fullPath, "utf8");
     const rawBaseName = path.basename(entry.name, ".md");
-    const metadata = resolveMetadataForFile(metadataIndex, rawBaseName);
+    const oldRelativePath = transcriptsRoot
+      ? path.relative(transcriptsRoot, fullPath)
+      : entry.name;
+    const manifestEntry = findManifestEntryByPath(
+      manifest,
+      oldRelativePath.split(path.sep).join("/")
+    );
+    const metadata = resolveMetadataForManifestFile({
+      manifestEntry,
+      metadataMap: markdownOptions.metadataMap,
+      metadataIndex,
+      rawBaseName,
+    });
     const parentDirSlug = path.basename(directoryPath);
     const fallbackContext = resolveFallbackContext(rawBaseName, parentDirSlug);
     const baseNameWithoutPrefix = stripPlayedPrefix(rawBaseName);
@@ -206,20 +346,20 @@ function updateExistingMarkdownFiles(
       parseBaseNameSegments(baseNameWithoutPrefix).showSlug ||
       "unknown-show";
     const desiredDirectory = transcriptsRoot
-      ? ensureEpisodeOutputDirectory(
-          transcriptsRoot,
+      ? resolveEpisodeDirectory({
+          rootDirectory: transcriptsRoot,
+          currentDirectory: directoryPath,
+          metadata,
           fallbackShowSlug,
-          playState
-        )
+          playState,
+          fileOps,
+        })
       : directoryPath;
     const targetFileName = `${baseNameWithoutPrefix}.md`;
     const targetPath = path.join(desiredDirectory, targetFileName);
-    const oldRelativePath = transcriptsRoot
-      ? path.relative(transcriptsRoot, fullPath)
-      : entry.name;
     let effectivePath = fullPath;
     if (targetPath !== fullPath) {
-      if (fs.existsSync(targetPath)) {
+      if (fileOps.exists(targetPath)) {
         const oldDisplay = oldRelativePath.split(path.sep).join("/");
         const newDisplay = transcriptsRoot
           ? path.relative(transcriptsRoot, targetPath).split(path.sep).join("/")
@@ -228,7 +368,8 @@ function updateExistingMarkdownFiles(
           `[WARN] Skipped moving ${oldDisplay} to ${newDisplay} because the destination already exists.`
         );
       } else {
-        fs.renameSync(fullPath, targetPath);
+        fileOps.rename(fullPath, targetPath);
+        moveTranscriptSidecarFiles(fullPath, targetPath, fileOps);
         effectivePath = targetPath;
         const newRelativePath = transcriptsRoot
           ? path.relative(transcriptsRoot, targetPath)
@@ -242,26 +383,21 @@ function updateExistingMarkdownFiles(
           ) || manifestChanged;
       }
     }
-    if (metadata) {
-      metadata.baseFileName = baseNameWithoutPrefix;
-    }
 
-    let transcriptBody = currentContent.trim();
-    const transcriptHeadingIndex = currentContent.indexOf(
-      "## Episode transcript"
-    );
-    if (transcriptHeadingIndex !== -1) {
-      const afterHeading = currentContent.slice(
-        transcriptHeadingIndex + "## Episode transcript".length
-      );
-      transcriptBody = afterHeading.replace(/^\s+/, "").trim();
+    // Templated files need the parsed TTML, so batch sync re-renders them.
+    if (markdownOptions.template) {
+      return;
     }
+    const identifier =
+      (manifestEntry && manifestEntry.identifier) ||
+      readFrontMatterValue(currentContent, "identifier");
     const updatedContent = buildEpisodeMarkdown(
-      transcriptBody,
-      metadata,
-      fallbackContext
+      extractTranscriptBody(currentContent),
+      metadata ? { ...metadata, baseFileName: baseNameWithoutPrefix } : null,
+      fallbackContext,
+      { frontMatter: Boolean(markdownOptions.frontMatter), identifier }
     );
-    fs.writeFileSync(effectivePath, updatedContent);
+    fileOps.writeFile(effectivePath, updatedContent);
   });
   return manifestChanged;
 }
@@ -269,7 +405,8 @@ function updateExistingMarkdownFiles(
 function updateExistingSummaryFiles(
   directoryPath,
   metadataIndex,
-  summariesRoot
+  summariesRoot,
+  fileOps = defaultFileOperations
 ) {
   if (!fs.existsSync(directoryPath)) {
     return false;
@@ -281,19 +418,32 @@ function updateExistingSummaryFiles(
     const fullPath = path.join(directoryPath, entry.name);
     if (entry.isDirectory()) {
       changed =
-        updateExistingSummaryFiles(fullPath, metadataIndex, summariesRoot) ||
-        changed;
+        updateExistingSummaryFiles(
+          fullPath,
+          metadataIndex,
+          summariesRoot,
+          fileOps
+        ) || changed;
       return;
     }
     if (!entry.isFile() || path.extname(entry.name).toLowerCase() !== ".md") {
       return;
     }
 
-    const rawBaseName = path.basename(entry.name, ".md");
-    // summaries are written as `summary_<baseFileName>.md` by the Gemini client
-    const baseNameWithoutSummaryPrefix = rawBaseName.startsWith("summary_")
-      ? rawBaseName.slice("summary_".length)
-      : rawBaseName;
+    // summaries are written as `summary_<baseFileName>.md` by the summary
+    // client, or `summary_<baseFileName>.<suffix>.md` for prompt profiles
+    const readings = parseSummaryFileName(entry.name);
+    if (readings.length === 0) {
+      readings.push({
+        baseFileName: path.basename(entry.name, ".md"),
+        suffix: null,
+      });
+    }
+    const reading =
+      readings.find(({ baseFileName }) =>
+        resolveMetadataForFile(metadataIndex, baseFileName)
+      ) || readings[0];
+    const baseNameWithoutSummaryPrefix = reading.baseFileName;
     const metadata = resolveMetadataForFile(
       metadataIndex,
       baseNameWithoutSummaryPrefix
@@ -313,13 +463,23 @@ function updateExistingSummaryFiles(
       "unknown-show";
 
     const desiredDirectory = summariesRoot
-      ? ensureEpisodeOutputDirectory(summariesRoot, fallbackShowSlug, playState)
+      ? resolveEpisodeDirectory({
+          rootDirectory: summariesRoot,
+          currentDirectory: directoryPath,
+          metadata,
+          fallbackShowSlug,
+          playState,
+          fileOps,
+        })
       : directoryPath;
-    const targetFileName = `summary_${baseNameWithoutSummaryPrefix}.md`;
+    const targetFileName = formatSummaryFileName(
+      baseNameWithoutSummaryPrefix,
+      reading.suffix
+    );
     const targetPath = path.join(desiredDirectory, targetFileName);
     let effectivePath = fullPath;
     if (targetPath !== fullPath) {
-      if (fs.existsSync(targetPath)) {
+      if (fileOps.exists(targetPath)) {
         const oldDisplay = path
           .relative(summariesRoot || directoryPath, fullPath)
           .split(path.sep)
@@ -333,7 +493,7 @@ function updateExistingSummaryFiles(
         );
       } else {
         try {
-          fs.renameSync(fullPath, targetPath);
+          fileOps.rename(fullPath, targetPath);
           effectivePath = targetPath;
           changed = true;
         } catch (e) {
@@ -355,6 +515,7 @@ export {
   ensureShowOutputDirectory,
   findTTMLFiles,
   moveMarkdownTranscriptsIntoShowDirectories,
+  moveTranscriptSidecarFiles,
   resolveFallbackContext,
   transcriptIdentifierFromRelativePath,
   updateExistingMarkdownFiles,
@@ -368,6 +529,7 @@ export default {
   moveMarkdownTranscriptsIntoShowDirectories,
   ensureShowOutputDirectory,
   ensureEpisodeOutputDirectory,
+  moveTranscriptSidecarFiles,
   resolveFallbackContext,
   updateExistingMarkdownFiles,
   updateExistingSummaryFiles,
@@ -0,0 +1,106 @@
+import transcriptFieldFormatters from "./transcript-field-formatters.js";
+const { formatSlugAsTitle } = transcriptFieldFormatters;
+
+// Bump when a field is removed or changes meaning, and add a matching
+// schemas/transcript.v<N>.schema.json. New optional fields keep the version.
+const TRANSCRIPT_JSON_SCHEMA_VERSION = 1;
+const TRANSCRIPT_JSON_SCHEMA_ID = `urn:apple-podcast-helper:transcript:v${TRANSCRIPT_JSON_SCHEMA_VERSION}`;
+
+function roundSeconds(value) {
+  return typeof value === "number" && Number.isFinite(value)
+    ? Math.round(value * 1000) / 1000
+    : null;
+}
+
+function buildDocumentMetadata(metadata, fallbackContext) {
+  if (metadata) {
+    const output = { ...metadata };
+    delete output.listeningStatus;
+    return output;
+  }
+  const showSlug =
+    fallbackContext && fallbackContext.showSlug
+      ? fallbackContext.showSlug
+      : null;
+  return {
+    showTitle: showSlug ? formatSlugAsTitle(showSlug) : null,
+    episodeTitle: null,
+    pubDate:
+      fallbackContext && fallbackContext.dateSegment
+        ? fallbackContext.dateSegment
+        : null,
+    showSlug,
+  };
+}
+
+function buildDocumentSegment(segment) {
+  const words = Array.isArray(segment.words)
+    ? segment.words
+        .filter((word) => word.begin != null && word.end != null)
+        .map((word) => ({
+          text: word.text,
+          begin: roundSeconds(word.begin),
+          end: roundSeconds(word.end),
+        }))
+    : [];
+  const output = {
+    begin: roundSeconds(segment.begin),
+    end: roundSeconds(segment.end),
+    text: segment.text,
+    speaker: segment.speakerId || null,
+  };
+  if (words.length > 0) {
+    output.words = words;
+  }
+  return output;
+}
+
+function buildTranscriptDocument(segments, options = {}) {
+  const {
+    identifier = null,
+    metadata = null,
+    fallbackContext = null,
+    speakerLabel = null,
+  } = options;
+  const speakerIds = [];
+  segments.forEach((segment) => {
+    if (segment.speakerId && !speakerIds.includes(segment.speakerId)) {
+      speakerIds.push(segment.speakerId);
+    }
+  });
+  return {
+    $schema: TRANSCRIPT_JSON_SCHEMA_ID,
+    schemaVersion: TRANSCRIPT_JSON_SCHEMA_VERSION,
+    identifier,
+    metadata: buildDocumentMetadata(metadata, fallbackContext),
+    listeningStatus:
+      metadata && metadata.listeningStatus ? metadata.listeningStatus : null,
+    speakers: speakerIds.map((id) => ({
+      id,
+      name: typeof speakerLabel === "function" ? speakerLabel(id) : id,
+    })),
+    segments: segments.map(buildDocumentSegment),
+  };
+}
+
+function formatTranscriptJson(segments, options = {}) {
+  return `${JSON.stringify(
+    buildTranscriptDocument(segments, options),
+    null,
+    2
+  )}\n`;
+}
+
+export {
+  buildTranscriptDocument,
+  formatTranscriptJson,
+  TRANSCRIPT_JSON_SCHEMA_ID,
+  TRANSCRIPT_JSON_SCHEMA_VERSION,
+};
+
+export default {
+  buildTranscriptDocument,
+  formatTranscriptJson,
+  TRANSCRIPT_JSON_SCHEMA_ID,
+  TRANSCRIPT_JSON_SCHEMA_VERSION,
+};
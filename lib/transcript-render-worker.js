@@ -0,0 +1,21 @@
+import fs from "fs";
+import { parentPort } from "worker_threads";
+
+import ttmlParser from "./ttml-transcript-parser.js";
+
+const { extractTranscriptOutputs } = ttmlParser;
+
+// Worker thread entry for batch sync: reads one TTML file and returns every
+// requested output format. Files are written by the main thread.
+parentPort.on("message", async ({ id, payload }) => {
+  try {
+    const data = await fs.promises.readFile(payload.ttmlPath, "utf8");
+    const result = await extractTranscriptOutputs(data, payload.options);
+    parentPort.postMessage({ id, result });
+  } catch (error) {
+    parentPort.postMessage({
+      id,
+      error: `${payload.ttmlPath}: ${error.message}`,
+    });
+  }
+});
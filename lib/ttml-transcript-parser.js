@@ -1,59 +1,365 @@
+import crypto from "crypto";
 import { Parser } from "xml2js";
 
 import { buildEpisodeMarkdown } from "./episode-markdown-builder.js";
+import { renderEpisodeTemplate } from "./episode-template.js";
+import subtitleBuilder from "./subtitle-builder.js";
+import {
+  createTimestampUrlBuilder,
+  formatTimestampLink,
+} from "./timestamp-links.js";
+import { DEFAULT_TIMESTAMP_MODE, NO_TIMESTAMPS } from "./timestamp-modes.js";
 import transcriptFieldFormatters from "./transcript-field-formatters.js";
+import transcriptJsonBuilder from "./transcript-json-builder.js";
 const { formatTimestamp } = transcriptFieldFormatters;
+const { formatTranscriptJson } = transcriptJsonBuilder;
+const { buildSubtitleCues, formatSrt, formatVtt } = subtitleBuilder;
 
-function extractTextFromSpans(spans) {
+function getSpeakerId(node) {
+  if (!node || !node.$) {
+    return null;
+  }
+  const agent = node.$["ttm:agent"] || node.$.agent || null;
+  return agent && String(agent).trim() ? String(agent).trim() : null;
+}
+
+function extractTextFromSpans(spans, state = {}) {
   let text = "";
   spans.forEach((span) => {
+    if (!state.speakerId) {
+      state.speakerId = getSpeakerId(span);
+    }
     if (span.span) {
-      text += extractTextFromSpans(span.span);
+      text += extractTextFromSpans(span.span, state);
     } else if (span._) {
       text += `${span._} `;
+      const word = span._.trim();
+      if (word && state.words) {
+        state.words.push({
+          text: word,
+          begin: span.$ ? parseSeconds(span.$.begin) : null,
+          end: span.$ ? parseSeconds(span.$.end) : null,
+        });
+      }
     }
   });
   return text;
 }
 
-async function parseTranscript(ttmlContent, includeTimestamps) {
+function parseSeconds(value) {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+async function parseTranscriptSegments(ttmlContent) {
   const parser = new Parser();
   const result = await parser.parseStringPromise(ttmlContent);
 
-  let transcript = [];
+  const segments = [];
   const paragraphs = result.tt.body[0].div[0].p;
 
   paragraphs.forEach((paragraph) => {
     if (!paragraph.span) {
       return;
     }
-    const paragraphText = extractTextFromSpans(paragraph.span).trim();
-    if (!paragraphText) {
+    const state = { speakerId: getSpeakerId(paragraph), words: [] };
+    const text = extractTextFromSpans(paragraph.span, state).trim();
+    if (!text) {
       return;
     }
-    if (includeTimestamps && paragraph.$ && paragraph.$.begin) {
-      const timestamp = formatTimestamp(parseFloat(paragraph.$.begin));
-      transcript.push(`[${timestamp}] ${paragraphText}`);
+    segments.push({
+      begin: paragraph.$ ? parseSeconds(paragraph.$.begin) : null,
+      end: paragraph.$ ? parseSeconds(paragraph.$.end) : null,
+      text,
+      speakerId: state.speakerId,
+      words: state.words,
+    });
+  });
+
+  return segments;
+}
+
+function formatSpeakerLabel(speakerId, speakerNames) {
+  if (speakerNames && speakerNames[speakerId]) {
+    return speakerNames[speakerId];
+  }
+  const numbered = /^speaker[_\s-]?(\d+)$/i.exec(speakerId);
+  if (numbered) {
+    return `Speaker ${numbered[1]}`;
+  }
+  return speakerId;
+}
+
+function groupSpeakerTurns(segments) {
+  const turns = [];
+  segments.forEach((segment) => {
+    const previous = turns[turns.length - 1];
+    if (
+      previous &&
+      segment.speakerId &&
+      previous.speakerId === segment.speakerId
+    ) {
+      previous.segments.push(segment);
       return;
     }
-    transcript.push(paragraphText);
+    turns.push({ speakerId: segment.speakerId, segments: [segment] });
   });
+  return turns;
+}
 
-  return transcript.join("\n\n");
+// Decides which paragraphs get a `[HH:MM:SS]` marker. Segments must be offered
+// in reading order because `interval` remembers the last marker it placed.
+function createStampFilter(timestampMode) {
+  let lastStamped = null;
+  return (segment, startsTurn) => {
+    if (segment.begin == null) {
+      return false;
+    }
+    switch (timestampMode.mode) {
+      case "paragraph":
+        return true;
+      case "speaker":
+        return startsTurn;
+      case "interval":
+        if (
+          lastStamped !== null &&
+          segment.begin - lastStamped < timestampMode.interval
+        ) {
+          return false;
+        }
+        lastStamped = segment.begin;
+        return true;
+      default:
+        return false;
+    }
+  };
 }
 
-async function extractTranscript(ttmlContent, options = {}) {
+function renderTranscriptParagraphs(
+  segments,
+  { shouldStamp, speakerNames, timestampUrl = null }
+) {
+  const stamp = (segment, startsTurn) =>
+    shouldStamp(segment, startsTurn)
+      ? `${formatTimestampLink(segment.begin, timestampUrl)} `
+      : "";
+
+  const hasSpeakers = segments.some((segment) => segment.speakerId);
+  if (!hasSpeakers) {
+    return segments
+      .map((segment) => `${stamp(segment, true)}${segment.text}`)
+      .join("\n\n");
+  }
+
+  return groupSpeakerTurns(segments)
+    .map((turn) => {
+      const [first, ...rest] = turn.segments;
+      const firstStamp = stamp(first, true);
+      const label = turn.speakerId
+        ? `**${formatSpeakerLabel(turn.speakerId, speakerNames)}:** `
+        : "";
+      const body = [
+        first.text,
+        ...rest.map((segment) => `${stamp(segment, false)}${segment.text}`),
+      ].join(" ");
+      return `${firstStamp}${label}${body}`;
+    })
+    .join("\n\n");
+}
+
+// GitHub-style heading anchor: lower case, punctuation dropped, spaces to `-`.
+function formatHeadingAnchor(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^\w\s-]/g, "")
+    .trim()
+    .replace(/\s+/g, "-");
+}
+
+// Splits the transcript into sections of `minutes` and puts a `### [HH:MM:SS]`
+// heading over each one, with a linked list of the sections at the top.
+function renderTimestampHeadings(
+  segments,
+  { minutes, speakerNames, timestampUrl = null }
+) {
+  const sectionLength = minutes * 60;
+  const sections = [];
+  segments.forEach((segment) => {
+    const current = sections[sections.length - 1];
+    const index =
+      segment.begin == null
+        ? current
+          ? current.index
+          : 0
+        : Math.floor(segment.begin / sectionLength);
+    if (current && current.index === index) {
+      current.segments.push(segment);
+      return;
+    }
+    sections.push({ index, segments: [segment] });
+  });
+
+  const noStamps = () => false;
+  const rendered = sections.map((section) => {
+    const start = section.index * sectionLength;
+    const label = formatTimestamp(start);
+    return {
+      label,
+      heading: formatTimestampLink(start, timestampUrl),
+      anchor: formatHeadingAnchor(label),
+      text: renderTranscriptParagraphs(section.segments, {
+        shouldStamp: noStamps,
+        speakerNames,
+      }),
+    };
+  });
+  const contents = rendered
+    .map(({ label, anchor }) => `- [${label}](#${anchor})`)
+    .join("\n");
+  return [
+    contents,
+    ...rendered.map(({ heading, text }) => `### ${heading}\n\n${text}`),
+  ].join("\n\n");
+}
+
+// `timestamps` is a mode from `parseTimestampMode`; the older boolean
+// `includeTimestamps` option still selects `paragraph` or `none`. With a
+// `timestampUrl` function, markers link to the episode at that moment.
+function renderTranscriptText(segments, options = {}) {
+  const {
+    includeTimestamps = false,
+    timestamps = null,
+    speakerNames = null,
+    timestampUrl = null,
+  } = options;
+  const timestampMode =
+    timestamps || (includeTimestamps ? DEFAULT_TIMESTAMP_MODE : NO_TIMESTAMPS);
+  if (
+    timestampMode.mode === "headings" &&
+    segments.some((segment) => segment.begin != null)
+  ) {
+    return renderTimestampHeadings(segments, {
+      minutes: timestampMode.interval,
+      speakerNames,
+      timestampUrl,
+    });
+  }
+  return renderTranscriptParagraphs(segments, {
+    shouldStamp: createStampFilter(timestampMode),
+    speakerNames,
+    timestampUrl,
+  });
+}
+
+function renderTranscriptFormat(format, segments, options) {
   const {
     includeTimestamps = false,
+    timestamps = null,
+    timestampLinks = false,
     metadata = null,
     fallbackContext = null,
+    speakerNames = null,
+    identifier = null,
+    frontMatter = false,
+    template = null,
   } = options;
-  const transcriptText = await parseTranscript(ttmlContent, includeTimestamps);
-  return buildEpisodeMarkdown(transcriptText, metadata, fallbackContext);
+  const speakerLabel = (speakerId) =>
+    formatSpeakerLabel(speakerId, speakerNames);
+  switch (format) {
+    case "markdown": {
+      const timestampUrl = timestampLinks
+        ? createTimestampUrlBuilder(metadata)
+        : null;
+      const transcriptText = renderTranscriptText(segments, {
+        includeTimestamps,
+        timestamps,
+        speakerNames,
+        timestampUrl,
+      });
+      if (template) {
+        return renderEpisodeTemplate(template, {
+          transcriptText,
+          segments,
+          metadata,
+          fallbackContext,
+          identifier,
+          speakerLabel,
+          timestampUrl,
+        });
+      }
+      return buildEpisodeMarkdown(transcriptText, metadata, fallbackContext, {
+        frontMatter,
+        identifier,
+      });
+    }
+    case "srt":
+      return formatSrt(buildSubtitleCues(segments));
+    case "vtt":
+      return formatVtt(buildSubtitleCues(segments), { speakerLabel });
+    case "json":
+      return formatTranscriptJson(segments, {
+        identifier,
+        metadata,
+        fallbackContext,
+        speakerLabel,
+      });
+    default:
+      throw new Error(`Unsupported transcript format: ${format}`);
+  }
 }
 
-export { extractTranscript };
+// Identifies what was said, when and by whom, independent of how the
+// transcript is rendered, so templates, timestamp modes and listening progress
+// never change it. Summaries record it to tell when they are stale.
+function hashTranscriptSegments(segments) {
+  const spoken = segments.map((segment) => [
+    segment.begin,
+    segment.speakerId || null,
+    segment.text,
+  ]);
+  return crypto
+    .createHash("sha1")
+    .update(JSON.stringify(spoken))
+    .digest("hex")
+    .slice(0, 12);
+}
+
+// Returns the rendered text for each requested format, keyed by format, plus
+// `transcriptHash` from hashTranscriptSegments.
+async function extractTranscriptOutputs(ttmlContent, options = {}) {
+  const formats =
+    Array.isArray(options.formats) && options.formats.length > 0
+      ? options.formats
+      : ["markdown"];
+  const segments = await parseTranscriptSegments(ttmlContent);
+  const outputs = {};
+  formats.forEach((format) => {
+    outputs[format] = renderTranscriptFormat(format, segments, options);
+  });
+  outputs.transcriptHash = hashTranscriptSegments(segments);
+  return outputs;
+}
+
+async function extractTranscript(ttmlContent, options = {}) {
+  const outputs = await extractTranscriptOutputs(ttmlContent, {
+    ...options,
+    formats: ["markdown"],
+  });
+  return outputs.markdown;
+}
+
+export {
+  extractTranscript,
+  extractTranscriptOutputs,
+  hashTranscriptSegments,
+  parseTranscriptSegments,
+  renderTranscriptText,
+};
 
 export default {
   extractTranscript,
+  extractTranscriptOutputs,
+  hashTranscriptSegments,
+  parseTranscriptSegments,
+  renderTranscriptText,
 };
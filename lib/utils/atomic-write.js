@@ -0,0 +1,30 @@
+import fs from "fs";
+import path from "path";
+
+// Writes to a temporary file in the same directory and renames it over the
+// target, so readers see either the old file or the new one, never a partial
+// write. The rename is atomic because both paths share a filesystem.
+function writeFileAtomicSync(filePath, content) {
+  const directory = path.dirname(filePath);
+  const tempPath = path.join(
+    directory,
+    `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`
+  );
+  let descriptor = null;
+  try {
+    descriptor = fs.openSync(tempPath, "w");
+    fs.writeFileSync(descriptor, content);
+    fs.fsyncSync(descriptor);
+    fs.closeSync(descriptor);
+    descriptor = null;
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    if (descriptor !== null) {
+      fs.closeSync(descriptor);
+    }
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+export { writeFileAtomicSync };
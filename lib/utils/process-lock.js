@@ -0,0 +1,158 @@
+import fs from "fs";
+import os from "os";
+
+const DEFAULT_STALE_MS = 2 * 60 * 1000;
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+
+function readLockInfo(lockPath) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(lockPath, "utf8"));
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM means the process exists but belongs to someone else.
+    return error.code === "EPERM";
+  }
+}
+
+// A lock is stale when its owner on this machine has exited, or when the
+// owner stopped refreshing it (it crashed, or runs on another machine that
+// shares the folder) for longer than `staleMs`.
+function isLockStale(lockPath, info, staleMs) {
+  if (info.hostname === os.hostname() && Number.isInteger(info.pid)) {
+    if (!isProcessAlive(info.pid)) {
+      return true;
+    }
+  }
+  try {
+    const { mtimeMs } = fs.statSync(lockPath);
+    return Date.now() - mtimeMs > staleMs;
+  } catch (error) {
+    return true;
+  }
+}
+
+function isSameLockOwner(a, b) {
+  return (
+    a.pid === b.pid && a.hostname === b.hostname && a.startedAt === b.startedAt
+  );
+}
+
+// Removes a stale lock without racing another process doing the same: the
+// file is first renamed to a name only this process uses, then checked again.
+// If another process replaced the stale lock with its own in the meantime, the
+// fresh lock is put back. Returns true when the stale lock is gone.
+function breakStaleLock(lockPath, stale) {
+  const claimedPath = `${lockPath}.${process.pid}-${Date.now()}.stale`;
+  try {
+    fs.renameSync(lockPath, claimedPath);
+  } catch (error) {
+    // Someone else removed it first; try to take the lock again.
+    return error.code === "ENOENT";
+  }
+  const claimed = readLockInfo(claimedPath);
+  if (isSameLockOwner(claimed, stale)) {
+    fs.rmSync(claimedPath, { force: true });
+    return true;
+  }
+  try {
+    fs.linkSync(claimedPath, lockPath);
+  } catch (error) {
+    // A third process took the lock while it was moved aside.
+  }
+  fs.rmSync(claimedPath, { force: true });
+  return false;
+}
+
+function describeLockOwner(info) {
+  const parts = [];
+  if (info.pid) {
+    parts.push(`pid ${info.pid}`);
+  }
+  if (info.hostname && info.hostname !== os.hostname()) {
+    parts.push(`on ${info.hostname}`);
+  }
+  if (info.command) {
+    parts.push(`running "${info.command}"`);
+  }
+  if (info.startedAt) {
+    parts.push(`since ${info.startedAt}`);
+  }
+  return parts.length > 0 ? parts.join(", ") : "unknown owner";
+}
+
+// Returns `{ acquired: true, release }` or `{ acquired: false, owner }`. The
+// lock file is refreshed while held and removed on release or process exit.
+function acquireProcessLock(
+  lockPath,
+  { staleMs = DEFAULT_STALE_MS, command = null } = {}
+) {
+  const info = {
+    pid: process.pid,
+    hostname: os.hostname(),
+    command,
+    startedAt: new Date().toISOString(),
+  };
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    try {
+      fs.writeFileSync(lockPath, `${JSON.stringify(info, null, 2)}\n`, {
+        flag: "wx",
+      });
+    } catch (error) {
+      if (error.code !== "EEXIST") {
+        throw error;
+      }
+      const existing = readLockInfo(lockPath);
+      if (attempt === 0 && isLockStale(lockPath, existing, staleMs)) {
+        if (breakStaleLock(lockPath, existing)) {
+          console.warn(
+            `[WARN] Removed stale lock ${lockPath} (${describeLockOwner(
+              existing
+            )}).`
+          );
+          continue;
+        }
+        return {
+          acquired: false,
+          owner: describeLockOwner(readLockInfo(lockPath)),
+        };
+      }
+      return { acquired: false, owner: describeLockOwner(existing) };
+    }
+
+    const heartbeat = setInterval(() => {
+      const now = new Date();
+      try {
+        fs.utimesSync(lockPath, now, now);
+      } catch (error) {
+        // The lock was removed by hand; release() below tolerates that.
+      }
+    }, HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref();
+    let released = false;
+    const release = () => {
+      if (released) {
+        return;
+      }
+      released = true;
+      clearInterval(heartbeat);
+      process.off("exit", release);
+      if (readLockInfo(lockPath).pid === process.pid) {
+        fs.rmSync(lockPath, { force: true });
+      }
+    };
+    process.on("exit", release);
+    return { acquired: true, release };
+  }
+  return { acquired: false, owner: describeLockOwner(readLockInfo(lockPath)) };
+}
+
+export { acquireProcessLock };
@@ -0,0 +1,28 @@
+import { setTimeout as delay } from "timers/promises";
+
+// Spaces calls evenly so no more than `requestsPerMinute` start in any
+// minute. `wait` resolves when the caller may send its request and rejects
+// with an AbortError when `signal` is aborted first. Without a limit every
+// call goes through immediately.
+function createRateLimiter(requestsPerMinute) {
+  const intervalMs =
+    Number.isFinite(requestsPerMinute) && requestsPerMinute > 0
+      ? 60000 / requestsPerMinute
+      : 0;
+  let nextSlot = 0;
+  return {
+    async wait(signal) {
+      if (intervalMs === 0) {
+        return;
+      }
+      const now = Date.now();
+      const slot = Math.max(now, nextSlot);
+      nextSlot = slot + intervalMs;
+      if (slot > now) {
+        await delay(slot - now, undefined, { signal });
+      }
+    },
+  };
+}
+
+export { createRateLimiter };
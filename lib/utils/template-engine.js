@@ -0,0 +1,236 @@
+// A small logic-light template language for Markdown output:
+//
+//   {{ path.to.value }}                 value (arrays are joined with ", ")
+//   {{#if path}} … {{else}} … {{/if}}   conditional on a truthy value
+//   {{#unless path}} … {{/unless}}      conditional on a falsy value
+//   {{#each path}} … {{/each}}          loop; `this`, `@index`, `@first` and
+//                                       `@last` refer to the current item
+//
+// Empty arrays, empty strings, 0, null and undefined are falsy.
+const TAG_PATTERN = /\{\{\s*([#/]?)\s*([^{}]*?)\s*\}\}/g;
+const BLOCK_TYPES = new Set(["if", "unless", "each"]);
+
+function templateError(message, name, line = null) {
+  return new Error(
+    line ? `${name}:${line}: ${message}` : `${name}: ${message}`
+  );
+}
+
+function lineAt(source, offset) {
+  return source.slice(0, offset).split("\n").length;
+}
+
+// A block tag alone on its line takes the indentation and line break with it,
+// so `{{#if}}` lines do not leave blank lines in the output.
+function findStandaloneRange(source, start, end) {
+  const lineStart = source.lastIndexOf("\n", start - 1) + 1;
+  const newline = source.indexOf("\n", end);
+  const lineEnd = newline === -1 ? source.length : newline + 1;
+  const before = source.slice(lineStart, start);
+  const after = source.slice(end, newline === -1 ? source.length : newline);
+  if (before.trim() !== "" || after.trim() !== "") {
+    return null;
+  }
+  return { start: lineStart, end: lineEnd };
+}
+
+function tokenize(source) {
+  const tokens = [];
+  let lastIndex = 0;
+  let match = null;
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source))) {
+    const [raw, sigil, body] = match;
+    const line = lineAt(source, match.index);
+    let token = null;
+    if (sigil === "#") {
+      const [blockType, ...rest] = body.split(/\s+/);
+      token = { type: "open", blockType, expression: rest.join(" ") };
+    } else if (sigil === "/") {
+      token = { type: "close", blockType: body };
+    } else if (body === "else") {
+      token = { type: "else" };
+    } else {
+      token = { type: "value", expression: body };
+    }
+    const tagEnd = match.index + raw.length;
+    const range =
+      token.type === "value"
+        ? null
+        : findStandaloneRange(source, match.index, tagEnd);
+    const textEnd = range ? Math.max(range.start, lastIndex) : match.index;
+    if (textEnd > lastIndex) {
+      tokens.push({ type: "text", value: source.slice(lastIndex, textEnd) });
+    }
+    tokens.push({ ...token, line, raw });
+    lastIndex = range ? range.end : tagEnd;
+  }
+  if (lastIndex < source.length) {
+    tokens.push({ type: "text", value: source.slice(lastIndex) });
+  }
+  return tokens;
+}
+
+function parse(tokens, name) {
+  const root = { children: [] };
+  const stack = [{ node: root, target: root.children }];
+  tokens.forEach((token) => {
+    const current = stack[stack.length - 1];
+    if (token.type === "text") {
+      if (token.value) {
+        current.target.push(token);
+      }
+      return;
+    }
+    if (token.type === "value") {
+      if (!token.expression) {
+        throw templateError("Empty {{ }} tag", name, token.line);
+      }
+      current.target.push(token);
+      return;
+    }
+    if (token.type === "open") {
+      if (!BLOCK_TYPES.has(token.blockType)) {
+        throw templateError(
+          `Unknown block {{#${token.blockType}}}. Use if, unless or each.`,
+          name,
+          token.line
+        );
+      }
+      if (!token.expression) {
+        throw templateError(
+          `{{#${token.blockType}}} needs a value to test`,
+          name,
+          token.line
+        );
+      }
+      const node = { ...token, children: [], inverse: [] };
+      current.target.push(node);
+      stack.push({ node, target: node.children });
+      return;
+    }
+    if (stack.length === 1) {
+      throw templateError(`Unexpected ${token.raw}`, name, token.line);
+    }
+    if (token.type === "else") {
+      if (current.target === current.node.inverse) {
+        throw templateError("Duplicate {{else}}", name, token.line);
+      }
+      current.target = current.node.inverse;
+      return;
+    }
+    if (token.blockType !== current.node.blockType) {
+      throw templateError(
+        `${token.raw} does not match {{#${current.node.blockType}}} on line ${current.node.line}`,
+        name,
+        token.line
+      );
+    }
+    stack.pop();
+  });
+  if (stack.length > 1) {
+    const unclosed = stack[stack.length - 1].node;
+    throw templateError(
+      `{{#${unclosed.blockType}}} is never closed`,
+      name,
+      unclosed.line
+    );
+  }
+  return root.children;
+}
+
+function resolvePath(expression, scopes) {
+  const [head, ...rest] = expression.split(".");
+  let value;
+  if (head === "this") {
+    value = scopes[scopes.length - 1].value;
+  } else if (head.startsWith("@")) {
+    value = scopes[scopes.length - 1].locals[head];
+  } else {
+    const scope = [...scopes]
+      .reverse()
+      .find(
+        ({ value: candidate }) =>
+          candidate &&
+          typeof candidate === "object" &&
+          Object.prototype.hasOwnProperty.call(candidate, head)
+      );
+    value = scope ? scope.value[head] : undefined;
+  }
+  return rest.reduce(
+    (current, key) =>
+      current != null && typeof current === "object" ? current[key] : undefined,
+    value
+  );
+}
+
+function isTruthy(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0;
+  }
+  return Boolean(value);
+}
+
+function formatValue(value) {
+  if (value == null) {
+    return "";
+  }
+  if (Array.isArray(value)) {
+    return value.map(formatValue).join(", ");
+  }
+  if (typeof value === "object") {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+function renderNodes(nodes, scopes) {
+  return nodes
+    .map((node) => {
+      if (node.type === "text") {
+        return node.value;
+      }
+      const value = resolvePath(node.expression, scopes);
+      if (node.type === "value") {
+        return formatValue(value);
+      }
+      if (node.blockType === "each") {
+        const items = Array.isArray(value) ? value : [];
+        if (items.length === 0) {
+          return renderNodes(node.inverse, scopes);
+        }
+        return items
+          .map((item, index) =>
+            renderNodes(node.children, [
+              ...scopes,
+              {
+                value: item,
+                locals: {
+                  "@index": index,
+                  "@first": index === 0,
+                  "@last": index === items.length - 1,
+                },
+              },
+            ])
+          )
+          .join("");
+      }
+      const passes =
+        node.blockType === "if" ? isTruthy(value) : !isTruthy(value);
+      return renderNodes(passes ? node.children : node.inverse, scopes);
+    })
+    .join("");
+}
+
+// Parses once and returns a render function. Syntax errors throw with the
+// template name and line in the message.
+function compileTemplate(source, { name = "template" } = {}) {
+  const nodes = parse(tokenize(String(source)), name);
+  return (context) => renderNodes(nodes, [{ value: context, locals: {} }]);
+}
+
+export { compileTemplate };
+
+export default {
+  compileTemplate,
+};
@@ -0,0 +1,100 @@
+import { Worker } from "worker_threads";
+
+// Runs tasks on a fixed number of worker threads. The worker script receives
+// `{ id, payload }` messages and must reply with `{ id, result }` or
+// `{ id, error }`; tasks queue up while every worker is busy.
+function createWorkerPool(workerUrl, size) {
+  const idle = [];
+  const queue = [];
+  const tasks = new Map();
+  const workers = new Set();
+  let nextTaskId = 1;
+  let closed = false;
+
+  const dispatch = () => {
+    while (idle.length > 0 && queue.length > 0) {
+      const worker = idle.pop();
+      const task = queue.shift();
+      worker.currentTaskId = task.id;
+      worker.postMessage({ id: task.id, payload: task.payload });
+    }
+  };
+
+  const settle = (worker, taskId, error, result) => {
+    const task = tasks.get(taskId);
+    worker.currentTaskId = null;
+    if (task) {
+      tasks.delete(taskId);
+      if (error) {
+        task.reject(error);
+      } else {
+        task.resolve(result);
+      }
+    }
+  };
+
+  const spawn = () => {
+    const worker = new Worker(workerUrl);
+    worker.currentTaskId = null;
+    worker.on("message", (message) => {
+      const error = message.error ? new Error(message.error) : null;
+      settle(worker, message.id, error, message.result);
+      idle.push(worker);
+      dispatch();
+    });
+    worker.on("error", (error) => {
+      settle(worker, worker.currentTaskId, error);
+    });
+    worker.on("exit", () => {
+      workers.delete(worker);
+      const idleIndex = idle.indexOf(worker);
+      if (idleIndex !== -1) {
+        idle.splice(idleIndex, 1);
+      }
+      if (worker.currentTaskId != null) {
+        settle(
+          worker,
+          worker.currentTaskId,
+          new Error("Worker exited before finishing its task.")
+        );
+      }
+      if (!closed) {
+        idle.push(spawn());
+        dispatch();
+      }
+    });
+    workers.add(worker);
+    return worker;
+  };
+
+  for (let index = 0; index < size; index += 1) {
+    idle.push(spawn());
+  }
+
+  return {
+    size,
+    run(payload) {
+      if (closed) {
+        return Promise.reject(new Error("Worker pool is closed."));
+      }
+      return new Promise((resolve, reject) => {
+        const id = nextTaskId;
+        nextTaskId += 1;
+        tasks.set(id, { resolve, reject });
+        queue.push({ id, payload });
+        dispatch();
+      });
+    },
+    async close() {
+      closed = true;
+      queue.length = 0;
+      await Promise.all(
+        Array.from(workers).map((worker) => worker.terminate())
+      );
+      tasks.forEach((task) => task.reject(new Error("Worker pool is closed.")));
+      tasks.clear();
+    },
+  };
+}
+
+export { createWorkerPool };
@@ -1,17 +1,26 @@
 #!/usr/bin/env node
 
 import fs from "fs";
-import os from "os";
 import path from "path";
 
 import appConfig from "../lib/app-config.js";
+import { stripFrontMatter } from "../lib/episode-markdown-builder.js";
 import listeningStatusStore from "../lib/listening-status-manifest-store.js";
 import { loadEnv } from "../lib/env.js";
+import { parseSummaryFileName } from "../lib/output-layout.js";
 
-const { transcriptsDir } = appConfig;
+const {
+  configureApp,
+  expandHomeDirectory,
+  getSummariesDir,
+  getTranscriptsDir,
+} = appConfig;
+const CONFIG_PATH_FLAGS = {
+  "--config": "configPath",
+  "--transcripts-dir": "transcriptsDir",
+  "--summaries-dir": "summariesDir",
+};
 const { loadListeningStatusManifest } = listeningStatusStore;
-const projectRoot = path.dirname(transcriptsDir);
-const summariesRoot = path.join(projectRoot, "summaries");
 
 loadEnv();
 
@@ -25,6 +34,12 @@ function printUsage() {
   console.log(
     "  --dry-run                                 List files without copying"
   );
+  console.log(
+    "  --config <file>                           Read paths from this config file"
+  );
+  console.log(
+    "  --transcripts-dir, --summaries-dir <dir>  Override configured locations"
+  );
   console.log(
     "  -h, --help                                Show this help text"
   );
@@ -39,6 +54,7 @@ function parseArguments(argv) {
     target: process.env.SUMMARY_EXPORT_TARGET || null,
     dryRun: false,
     help: false,
+    configOverrides: {},
   };
   let positionalTarget = null;
   for (let index = 0; index < argv.length; index += 1) {
@@ -54,6 +70,20 @@ function parseArguments(argv) {
       result.dryRun = true;
       continue;
     }
+    const equalsIndex = arg.indexOf("=");
+    const flag = equalsIndex === -1 ? arg : arg.slice(0, equalsIndex);
+    if (Object.prototype.hasOwnProperty.call(CONFIG_PATH_FLAGS, flag)) {
+      let value = equalsIndex === -1 ? null : arg.slice(equalsIndex + 1);
+      if (value === null) {
+        value = argv[index + 1];
+        if (!value || value.startsWith("-")) {
+          throw new Error(`Missing value for ${flag}`);
+        }
+        index += 1;
+      }
+      result.configOverrides[CONFIG_PATH_FLAGS[flag]] = value;
+      continue;
+    }
     if (arg === "--target" || arg === "--destination" || arg === "--output") {
       const next = argv[index + 1];
       if (!next || next.startsWith("-")) {
@@ -90,19 +120,6 @@ function parseArguments(argv) {
   return result;
 }
 
-function expandHomeDirectory(input) {
-  if (!input) {
-    return null;
-  }
-  if (input === "~") {
-    return os.homedir();
-  }
-  if (input.startsWith("~/")) {
-    return path.join(os.homedir(), input.slice(2));
-  }
-  return input;
-}
-
 function resolveDestination(input) {
   const expanded = expandHomeDirectory(input);
   if (!expanded) {
@@ -121,7 +138,7 @@ function ensureParentDirectory(filePath) {
   }
 }
 
-function collectSummaryFiles(rootDir) {
+function collectSummaryFiles(rootDir, summariesRoot = rootDir) {
   if (!fs.existsSync(rootDir)) {
     return [];
   }
@@ -136,26 +153,23 @@ function collectSummaryFiles(rootDir) {
       if (entry.name === "played") {
         return;
       }
-      files.push(...collectSummaryFiles(fullPath));
+      files.push(...collectSummaryFiles(fullPath, summariesRoot));
       return;
     }
     if (!entry.isFile()) {
       return;
     }
-    if (path.extname(entry.name).toLowerCase() !== ".md") {
-      return;
-    }
-    if (!entry.name.startsWith("summary_")) {
+    // `summary_<base>.md`, or `summary_<base>.<suffix>.md` for prompt
+    // profiles; names with dots have more than one reading.
+    const readings = parseSummaryFileName(entry.name);
+    if (readings.length === 0) {
       return;
     }
     const relativePath = path.relative(summariesRoot, fullPath);
     files.push({
       sourcePath: fullPath,
       relativePath,
-      baseFileName: entry.name.slice(
-        "summary_".length,
-        entry.name.length - ".md".length
-      ),
+      baseFileNames: readings.map((reading) => reading.baseFileName),
     });
   });
   return files;
@@ -192,6 +206,14 @@ function buildPlayStateIndex(manifest) {
   return index;
 }
 
+// The first reading that names a known episode decides, plain reading first.
+function findPlayState(playStateIndex, summary) {
+  const baseFileName = summary.baseFileNames.find((candidate) =>
+    playStateIndex.has(candidate)
+  );
+  return baseFileName ? playStateIndex.get(baseFileName) : null;
+}
+
 function normalizeRelativePath(value) {
   return value.split(path.sep).join("/");
 }
@@ -202,6 +224,8 @@ function main() {
     printUsage();
     process.exit(0);
   }
+  configureApp(args.configOverrides);
+  const summariesRoot = getSummariesDir();
   if (!args.target) {
     console.error("[ERROR] Destination directory not provided.");
     printUsage();
@@ -218,7 +242,7 @@ function main() {
     );
     return;
   }
-  const manifest = loadListeningStatusManifest(transcriptsDir);
+  const manifest = loadListeningStatusManifest(getTranscriptsDir());
   const playStateIndex = buildPlayStateIndex(manifest);
   const summaries = collectSummaryFiles(summariesRoot).sort((a, b) =>
     a.relativePath.localeCompare(b.relativePath)
@@ -237,7 +261,7 @@ function main() {
   let plannedCount = 0;
   summaries.forEach((summary) => {
     const normalized = normalizeRelativePath(summary.relativePath);
-    const state = playStateIndex.get(summary.baseFileName);
+    const state = findPlayState(playStateIndex, summary);
     if (state && String(state).toLowerCase() === "played") {
       skippedPlayedCount += 1;
       return;
@@ -259,7 +283,9 @@ function main() {
       return;
     }
     ensureParentDirectory(destinationPath);
-    fs.copyFileSync(summary.sourcePath, destinationPath);
+    // The front matter only tells this tool whether the summary is current.
+    const content = fs.readFileSync(summary.sourcePath, "utf8");
+    fs.writeFileSync(destinationPath, stripFrontMatter(content).trimStart());
     console.log(`[COPY] ${normalized}`);
     exportedCount += 1;
   });